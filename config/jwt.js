@@ -1,28 +1,97 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
+const { isAsymmetric, getActiveKey, getVerificationKey } = require('./keys');
 
-const generateToken = (payload) => {
-  return jwt.sign(payload, process.env.JWT_SECRET, {
+// Access tokens are signed with JWT_SECRET (HS256) or, when JWT_ALGORITHM is RS256/ES256,
+// with the active key from the key store so other services can verify them via JWKS
+// `iatMs` is the issue time in milliseconds: `iat` alone can't tell a token from the second a
+// password was changed apart from one refreshed right after it
+const generateToken = (payload, overrides = {}) => {
+  payload = { ...payload, iatMs: Date.now() };
+  const options = {
     expiresIn: process.env.JWT_EXPIRE,
-  });
+    jwtid: crypto.randomUUID(), // Lets a single access token be revoked
+    ...overrides,
+  };
+
+  if (isAsymmetric()) {
+    const key = getActiveKey();
+    return jwt.sign(payload, key.privateKey, {
+      ...options,
+      algorithm: key.algorithm,
+      keyid: key.kid,
+    });
+  }
+
+  return jwt.sign(payload, process.env.JWT_SECRET, options);
 };
 
 const generateRefreshToken = (payload) => {
   return jwt.sign(payload, process.env.JWT_REFRESH_SECRET, {
     expiresIn: process.env.JWT_REFRESH_EXPIRE,
+    jwtid: crypto.randomUUID(), // Keeps every rotated token unique
+  });
+};
+
+// Short-lived challenge token issued after the password step when 2FA is enabled
+const generateMfaToken = (payload) => {
+  return jwt.sign({ ...payload, purpose: 'mfa' }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_MFA_EXPIRE || '5m',
+  });
+};
+
+// Short-lived access token for an admin acting as another user
+// payload.id is the impersonated user; payload.act identifies the admin (RFC 8693 actor claim)
+const generateImpersonationToken = (payload) => {
+  return generateToken(payload, {
+    expiresIn: process.env.IMPERSONATION_TOKEN_EXPIRE || '15m',
   });
 };
 
 const verifyToken = (token) => {
-  return jwt.verify(token, process.env.JWT_SECRET);
+  let decoded;
+
+  if (isAsymmetric()) {
+    // Pick the key (active or recently retired) the token says it was signed with
+    const header = jwt.decode(token, { complete: true });
+    const key = header && getVerificationKey(header.header.kid);
+    if (!key) {
+      throw new jwt.JsonWebTokenError('Unknown signing key');
+    }
+
+    decoded = jwt.verify(token, key.publicKey, { algorithms: [key.algorithm] });
+  } else {
+    decoded = jwt.verify(token, process.env.JWT_SECRET, { algorithms: ['HS256'] });
+  }
+
+  // Purpose-bound tokens (e.g. MFA challenges) can't be used as access tokens
+  if (decoded.purpose) {
+    throw new jwt.JsonWebTokenError('Invalid token purpose');
+  }
+
+  return decoded;
 };
 
 const verifyRefreshToken = (token) => {
   return jwt.verify(token, process.env.JWT_REFRESH_SECRET);
 };
 
+const verifyMfaToken = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  if (decoded.purpose !== 'mfa') {
+    throw new jwt.JsonWebTokenError('Invalid token purpose');
+  }
+
+  return decoded;
+};
+
 module.exports = {
   generateToken,
   generateRefreshToken,
+  generateMfaToken,
+  generateImpersonationToken,
   verifyToken,
   verifyRefreshToken,
+  verifyMfaToken,
 };
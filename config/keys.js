@@ -0,0 +1,209 @@
+const crypto = require('crypto');
+const SigningKey = require('../models/SigningKey');
+
+// Key store for asymmetric (RS256/ES256) access token signing
+// Keys live in MongoDB so every instance signs and verifies with the same set;
+// each instance keeps an in-memory copy so signing and verification stay synchronous.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Cache lifetime of GET /.well-known/jwks.json
+const JWKS_MAX_AGE_SECONDS = 300;
+
+const KEY_TYPES = {
+  RS256: { type: 'rsa', options: { modulusLength: 2048 } },
+  ES256: { type: 'ec', options: { namedCurve: 'P-256' } }
+};
+
+// Tokens with unknown kids are cheap to send, so the reloads they trigger are throttled
+const UNKNOWN_KID_RELOAD_INTERVAL_MS = 30 * 1000;
+
+let cachedKeys = [];
+let refreshTimer = null;
+let unknownKidReload = null;
+let lastUnknownKidReloadAt = 0;
+
+const getSigningAlgorithm = () => (process.env.JWT_ALGORITHM || 'HS256').toUpperCase();
+
+const isAsymmetric = () => Boolean(KEY_TYPES[getSigningAlgorithm()]);
+
+// How often a new signing key is introduced
+const getRotationMs = () => (parseInt(process.env.JWT_KEY_ROTATION_DAYS) || 30) * DAY_MS;
+
+// How long a retired key is still accepted (must cover the access token lifetime)
+const getRetentionMs = () => (parseInt(process.env.JWT_KEY_RETENTION_DAYS) || 8) * DAY_MS;
+
+const getRefreshMs = () => (parseInt(process.env.JWT_KEY_REFRESH_SECONDS) || 300) * 1000;
+
+// How long a new key is published before it signs anything: every instance has reloaded the
+// key set and every JWKS cache has expired by then
+const getPublishDelayMs = () => JWKS_MAX_AGE_SECONDS * 1000 + getRefreshMs();
+
+// Generate and store a new key pair; returns null when another instance already added the
+// key replacing the same predecessor
+const generateSigningKey = async (algorithm, { status, predecessor }) => {
+  const { type, options } = KEY_TYPES[algorithm];
+  const { privateKey, publicKey } = crypto.generateKeyPairSync(type, options);
+  const kid = crypto.randomBytes(12).toString('hex');
+
+  try {
+    return await SigningKey.create({
+      kid,
+      algorithm,
+      status,
+      predecessor,
+      activatedAt: status === 'active' ? new Date() : null,
+      privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+      publicJwk: {
+        ...publicKey.export({ format: 'jwk' }),
+        kid,
+        alg: algorithm,
+        use: 'sig'
+      }
+    });
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+// Load the active and recently retired keys into memory
+const loadKeys = async () => {
+  const algorithm = getSigningAlgorithm();
+  const retiredCutoff = new Date(Date.now() - getRetentionMs());
+
+  const keys = await SigningKey.find({
+    algorithm,
+    $or: [
+      { status: { $in: ['pending', 'active'] } },
+      { retiredAt: { $gt: retiredCutoff } }
+    ]
+  })
+    .select('+privateKey')
+    .sort({ createdAt: -1 });
+
+  cachedKeys = keys.map(key => ({
+    kid: key.kid,
+    algorithm: key.algorithm,
+    status: key.status,
+    createdAt: key.createdAt,
+    privateKey: crypto.createPrivateKey(key.privateKey),
+    publicKey: crypto.createPublicKey({ key: key.publicJwk, format: 'jwk' }),
+    publicJwk: key.publicJwk
+  }));
+
+  return cachedKeys;
+};
+
+// Rotation runs on every instance:
+// 1. Shortly before the active key is due, a pending key is added (at most one per active
+//    key) and published in the JWKS
+// 2. Once it has been published for the publish delay, it becomes active
+// 3. Only active keys older than the newest active key are retired, so concurrent rotations
+//    never leave zero active keys
+// Without any key (first start) the new key is active right away. Keys past their retention
+// are purged
+const rotateKeysIfDue = async () => {
+  const algorithm = getSigningAlgorithm();
+  const now = Date.now();
+
+  const activeKey = await SigningKey.findOne({ algorithm, status: 'active' }).sort({ createdAt: -1 });
+  const pendingKey = await SigningKey.findOne({ algorithm, status: 'pending' }).sort({ createdAt: -1 });
+
+  if (!activeKey && !pendingKey) {
+    // Keyed on the day, so instances starting together create a single first key
+    const predecessor = `initial:${Math.floor(now / DAY_MS)}`;
+    const newKey = await generateSigningKey(algorithm, { status: 'active', predecessor });
+    if (newKey) console.log(`Generated new ${algorithm} signing key: ${newKey.kid}`);
+  } else if (!pendingKey && now - activeKey.createdAt.getTime() >= getRotationMs() - getPublishDelayMs()) {
+    const newKey = await generateSigningKey(algorithm, { status: 'pending', predecessor: activeKey.kid });
+    if (newKey) console.log(`Published upcoming ${algorithm} signing key: ${newKey.kid}`);
+  }
+
+  // Activate pending keys that have been published long enough (or right away if nothing can sign)
+  const publishedBefore = activeKey ? new Date(now - getPublishDelayMs()) : new Date(now);
+  await SigningKey.updateMany(
+    { algorithm, status: 'pending', createdAt: { $lte: publishedBefore } },
+    { status: 'active', activatedAt: new Date(now) }
+  );
+
+  const newestActive = await SigningKey.findOne({ algorithm, status: 'active' }).sort({ createdAt: -1 });
+  if (newestActive) {
+    await SigningKey.updateMany(
+      { algorithm, status: 'active', createdAt: { $lt: newestActive.createdAt } },
+      { status: 'retired', retiredAt: new Date(now) }
+    );
+  }
+
+  await SigningKey.deleteMany({
+    status: 'retired',
+    retiredAt: { $lt: new Date(now - getRetentionMs()) }
+  });
+
+  return loadKeys();
+};
+
+// Load keys on startup and keep them fresh (no-op for HS256)
+const initKeyStore = async () => {
+  if (!isAsymmetric()) return;
+
+  await rotateKeysIfDue();
+
+  if (!refreshTimer) {
+    refreshTimer = setInterval(() => {
+      rotateKeysIfDue().catch(error => console.error('Signing key rotation error:', error));
+    }, getRefreshMs());
+    refreshTimer.unref();
+  }
+};
+
+// Newest active key, used for signing (keys are cached newest first)
+const getActiveKey = () => {
+  const key = cachedKeys.find(k => k.status === 'active');
+  if (!key) {
+    throw new Error('No active signing key loaded');
+  }
+  return key;
+};
+
+// Reload the keys in the background: one reload at a time, at most once per interval
+const reloadKeysForUnknownKid = () => {
+  if (unknownKidReload || Date.now() - lastUnknownKidReloadAt < UNKNOWN_KID_RELOAD_INTERVAL_MS) return;
+
+  lastUnknownKidReloadAt = Date.now();
+  unknownKidReload = loadKeys()
+    .catch(error => console.error('Signing key reload error:', error))
+    .finally(() => {
+      unknownKidReload = null;
+    });
+};
+
+// Key for verifying a token signed with the given kid
+const getVerificationKey = (kid) => {
+  const key = cachedKeys.find(k => k.kid === kid);
+
+  // Another instance may have rotated; pick the new key up in the background
+  if (!key && isAsymmetric()) {
+    reloadKeysForUnknownKid();
+  }
+
+  return key || null;
+};
+
+// Public keys in JWKS format, including the pending key about to be used
+const getPublicJwks = () => {
+  return {
+    keys: isAsymmetric() ? cachedKeys.map(key => key.publicJwk) : []
+  };
+};
+
+module.exports = {
+  JWKS_MAX_AGE_SECONDS,
+  getSigningAlgorithm,
+  isAsymmetric,
+  initKeyStore,
+  rotateKeysIfDue,
+  getActiveKey,
+  getVerificationKey,
+  getPublicJwks
+};
@@ -0,0 +1,31 @@
+// Account lockout policy
+// After LOCKOUT_MAX_ATTEMPTS failed logins the account is locked. Each further lock
+// uses the next entry of LOCKOUT_DURATIONS_MINUTES (the last entry repeats), and the
+// progression starts over once LOCKOUT_RESET_HOURS pass without a lock.
+
+const parseDurations = (value) => (value || '')
+  .split(',')
+  .map(minutes => parseFloat(minutes))
+  .filter(minutes => minutes > 0);
+
+const getLockoutPolicy = () => {
+  const durations = parseDurations(process.env.LOCKOUT_DURATIONS_MINUTES);
+
+  return {
+    maxAttempts: parseInt(process.env.LOCKOUT_MAX_ATTEMPTS) || 5,
+    durationsMinutes: durations.length > 0 ? durations : [15, 60, 120, 1440],
+    resetHours: parseFloat(process.env.LOCKOUT_RESET_HOURS) || 24,
+    notifyUser: process.env.LOCKOUT_NOTIFY_USER === 'true'
+  };
+};
+
+// Lock duration in milliseconds for the nth consecutive lock (1-based)
+const getLockDuration = (lockCount, policy = getLockoutPolicy()) => {
+  const index = Math.min(lockCount, policy.durationsMinutes.length) - 1;
+  return policy.durationsMinutes[Math.max(index, 0)] * 60 * 1000;
+};
+
+module.exports = {
+  getLockoutPolicy,
+  getLockDuration
+};
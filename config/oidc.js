@@ -0,0 +1,57 @@
+const jwt = require('jsonwebtoken');
+
+// OpenID Connect provider configuration
+// Every endpoint can be overridden through the environment so a local mock IdP can stand in
+
+const splitList = (value) => (value || '').split(',').map(v => v.trim()).filter(Boolean);
+
+const providers = {
+  google: () => ({
+    name: 'google',
+    issuers: splitList(process.env.OIDC_GOOGLE_ISSUER || 'https://accounts.google.com,accounts.google.com'),
+    jwksUri: process.env.OIDC_GOOGLE_JWKS_URI || 'https://www.googleapis.com/oauth2/v3/certs',
+    tokenEndpoint: process.env.OIDC_GOOGLE_TOKEN_ENDPOINT || 'https://oauth2.googleapis.com/token',
+    // Mobile and web apps each have their own client ID
+    clientIds: splitList(process.env.GOOGLE_CLIENT_IDS),
+    clientSecret: () => process.env.GOOGLE_CLIENT_SECRET
+  }),
+  apple: () => ({
+    name: 'apple',
+    issuers: splitList(process.env.OIDC_APPLE_ISSUER || 'https://appleid.apple.com'),
+    jwksUri: process.env.OIDC_APPLE_JWKS_URI || 'https://appleid.apple.com/auth/keys',
+    tokenEndpoint: process.env.OIDC_APPLE_TOKEN_ENDPOINT || 'https://appleid.apple.com/auth/token',
+    clientIds: splitList(process.env.APPLE_CLIENT_IDS),
+    clientSecret: (clientId) => createAppleClientSecret(clientId)
+  })
+};
+
+// Apple's client secret is a short-lived ES256 JWT signed with the team's private key
+const createAppleClientSecret = (clientId) => {
+  if (process.env.APPLE_CLIENT_SECRET) return process.env.APPLE_CLIENT_SECRET;
+  if (!process.env.APPLE_PRIVATE_KEY) return undefined;
+
+  return jwt.sign({}, process.env.APPLE_PRIVATE_KEY.replace(/\\n/g, '\n'), {
+    algorithm: 'ES256',
+    keyid: process.env.APPLE_KEY_ID,
+    issuer: process.env.APPLE_TEAM_ID,
+    audience: 'https://appleid.apple.com',
+    subject: clientId,
+    expiresIn: '5m'
+  });
+};
+
+// Get a configured provider, or null if unknown or not configured
+const getProvider = (name) => {
+  const factory = providers[name];
+  if (!factory) return null;
+
+  const provider = factory();
+  return provider.clientIds.length > 0 ? provider : null;
+};
+
+const getProviderNames = () => Object.keys(providers);
+
+module.exports = {
+  getProvider,
+  getProviderNames
+};
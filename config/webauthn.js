@@ -0,0 +1,24 @@
+const crypto = require('crypto');
+
+// WebAuthn relying party configuration
+// The RP ID must be the domain the app's associated-domains / asset links point at
+
+const splitList = (value) => (value || '').split(',').map(v => v.trim()).filter(Boolean);
+
+const getRelyingParty = () => ({
+  id: process.env.WEBAUTHN_RP_ID || 'localhost',
+  name: process.env.WEBAUTHN_RP_NAME || 'We Spend Wise',
+  // Web origins plus native app origins (e.g. android:apk-key-hash:...)
+  origins: splitList(process.env.WEBAUTHN_ORIGINS || process.env.APP_URL || 'http://localhost:3000')
+});
+
+// Used for the made-up credentials returned for unknown emails; without a configured secret
+// they stay stable until the server restarts
+const fallbackDecoySecret = crypto.randomBytes(32).toString('hex');
+
+const getDecoySecret = () => process.env.WEBAUTHN_DECOY_SECRET || process.env.JWT_SECRET || fallbackDecoySecret;
+
+module.exports = {
+  getRelyingParty,
+  getDecoySecret
+};
@@ -1,17 +1,138 @@
 const jwt = require('jsonwebtoken');
 const { verifyToken } = require('../config/jwt');
 const User = require('../models/User');
+const RevokedToken = require('../models/RevokedToken');
+const ApiKey = require('../models/ApiKey');
+const SecurityEvent = require('../models/SecurityEvent');
+const { can } = require('./permissions');
+const {
+  isCookieAuthEnabled,
+  wantsCookieAuth,
+  isValidCsrfRequest,
+  getAccessTokenFromCookies,
+  setAuthCookies
+} = require('../utils/authCookies');
+
+// API keys are sent as "X-API-Key: <key>" or "Authorization: ApiKey <key>"
+const getApiKeyFromRequest = (req) => {
+  if (req.headers['x-api-key']) {
+    return req.headers['x-api-key'];
+  }
+
+  if (req.headers.authorization && req.headers.authorization.startsWith('ApiKey ')) {
+    return req.headers.authorization.split(' ')[1];
+  }
+
+  return null;
+};
+
+// Access tokens come from "Authorization: Bearer <token>" or, in browser mode, the access token cookie
+const getAccessToken = (req) => {
+  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+    return { token: req.headers.authorization.split(' ')[1], source: 'header' };
+  }
+
+  const cookieToken = isCookieAuthEnabled() && getAccessTokenFromCookies(req);
+  if (cookieToken) {
+    return { token: cookieToken, source: 'cookie' };
+  }
+
+  return { token: null, source: null };
+};
+
+// Authenticate a request made with an API key instead of a JWT
+const authenticateApiKey = async (rawKey, req, res, next) => {
+  const apiKey = await ApiKey.findActiveByKey(rawKey);
+  if (!apiKey) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid or expired API key'
+    });
+  }
+
+  const user = await User.findById(apiKey.user).populate('roles');
+
+  if (!user) {
+    return res.status(401).json({
+      success: false,
+      message: 'No user found with this API key'
+    });
+  }
+
+  // Check if user is active
+  if (!user.isActive) {
+    return res.status(401).json({
+      success: false,
+      message: 'User account is deactivated'
+    });
+  }
+
+  // Check if user account is locked
+  if (user.isLocked) {
+    return res.status(401).json({
+      success: false,
+      message: 'User account is temporarily locked due to multiple failed login attempts'
+    });
+  }
+
+  // Keys stop working while the account is scheduled for deletion
+  if (user.deletionScheduledFor) {
+    return res.status(401).json({
+      success: false,
+      message: 'User account is scheduled for deletion'
+    });
+  }
+
+  await apiKey.recordUse(req.ip);
+
+  req.user = user;
+  req.apiKey = apiKey;
+  req.sessionId = null;
+  req.tokenPayload = null;
+  next();
+};
+
+// Impersonation tokens name the admin in the "act" claim; the admin has to still be
+// allowed to log in, and ending their own session ends the impersonation too
+const loadImpersonator = async (decoded) => {
+  const actor = await User.findById(decoded.act.id).populate('roles');
+
+  if (!actor || !actor.isActive || actor.isLocked || actor.isTokenIssuedBeforeCutoff(decoded)) {
+    return null;
+  }
+  if (decoded.act.sid && !actor.findSession(decoded.act.sid)) {
+    return null;
+  }
+
+  return actor;
+};
+
+// Attribute every request made while impersonating to the admin behind it
+const recordImpersonatedRequest = (req, res) => {
+  res.on('finish', () => {
+    SecurityEvent.record('impersonated_request', {
+      user: req.user._id,
+      actor: req.impersonator._id,
+      req,
+      details: {
+        method: req.method,
+        path: req.originalUrl,
+        statusCode: res.statusCode
+      }
+    });
+  });
+};
 
 // Protect routes - verify JWT token
 const protect = async (req, res, next) => {
   try {
-    let token;
-
-    // Check for token in headers
-    if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-      token = req.headers.authorization.split(' ')[1];
+    const rawApiKey = getApiKeyFromRequest(req);
+    if (rawApiKey) {
+      return await authenticateApiKey(rawApiKey, req, res, next);
     }
 
+    const { token, source } = getAccessToken(req);
+
     // Make sure token exists
     if (!token) {
       return res.status(401).json({
@@ -24,6 +145,14 @@ const protect = async (req, res, next) => {
       // Verify token
       const decoded = verifyToken(token);
 
+      // Check the denylist for individually revoked tokens
+      if (decoded.jti && await RevokedToken.isRevoked(decoded.jti)) {
+        return res.status(401).json({
+          success: false,
+          message: 'Token has been revoked'
+        });
+      }
+
       // Get user from token
       const user = await User.findById(decoded.id).populate('roles');
       
@@ -50,7 +179,52 @@ const protect = async (req, res, next) => {
         });
       }
 
+      // Tokens issued before a password change, deactivation or "logout everywhere" are rejected
+      if (user.isTokenIssuedBeforeCutoff(decoded, decoded.sid)) {
+        return res.status(401).json({
+          success: false,
+          message: 'Token has been revoked'
+        });
+      }
+
+      // Tokens tied to a session stop working once that session is revoked
+      if (decoded.sid && !user.findSession(decoded.sid)) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session has been revoked'
+        });
+      }
+
+      // Browsers send cookies automatically, so cookie-authenticated changes need the CSRF token
+      if (source === 'cookie' && !isValidCsrfRequest(req, decoded.sid)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Invalid or missing CSRF token',
+          code: 'CSRF_TOKEN_INVALID'
+        });
+      }
+
+      // Impersonation: req.user is the impersonated user, req.impersonator the admin
+      let impersonator = null;
+      if (decoded.act) {
+        impersonator = await loadImpersonator(decoded);
+        if (!impersonator) {
+          return res.status(401).json({
+            success: false,
+            message: 'Impersonation session is no longer valid'
+          });
+        }
+      }
+
       req.user = user;
+      req.impersonator = impersonator;
+      req.sessionId = decoded.sid || null;
+      req.tokenPayload = decoded;
+      req.authSource = source;
+
+      if (impersonator) {
+        recordImpersonatedRequest(req, res);
+      }
       next();
     } catch (error) {
       return res.status(401).json({
@@ -68,6 +242,7 @@ const protect = async (req, res, next) => {
 };
 
 // Grant access to specific roles
+// Routes decide access with requirePermission() from middleware/permissions.js instead
 const authorize = (...roles) => {
   return (req, res, next) => {
     if (!req.user) {
@@ -94,19 +269,37 @@ const authorize = (...roles) => {
 // Optional authentication - doesn't fail if no token
 const optionalAuth = async (req, res, next) => {
   try {
-    let token;
+    const { token, source } = getAccessToken(req);
 
-    if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-      token = req.headers.authorization.split(' ')[1];
-    }
+    const rawApiKey = getApiKeyFromRequest(req);
+    if (rawApiKey) {
+      const apiKey = await ApiKey.findActiveByKey(rawApiKey);
+      const user = apiKey && await User.findById(apiKey.user).populate('roles');
 
-    if (token) {
+      if (user && user.isActive && !user.isLocked && !user.deletionScheduledFor) {
+        await apiKey.recordUse(req.ip);
+        req.user = user;
+        req.apiKey = apiKey;
+      }
+    } else if (token) {
       try {
         const decoded = verifyToken(token);
-        const user = await User.findById(decoded.id).populate('roles');
+        const isRevoked = decoded.jti && await RevokedToken.isRevoked(decoded.jti);
+        const user = isRevoked ? null : await User.findById(decoded.id).populate('roles');
+        
+        const impersonator = user && decoded.act ? await loadImpersonator(decoded) : null;
         
-        if (user && user.isActive && !user.isLocked) {
+        if (user && user.isActive && !user.isLocked &&
+          !user.isTokenIssuedBeforeCutoff(decoded, decoded.sid) &&
+          (!decoded.sid || user.findSession(decoded.sid)) &&
+          (!decoded.act || impersonator) &&
+          (source !== 'cookie' || isValidCsrfRequest(req, decoded.sid))) {
           req.user = user;
+          req.impersonator = impersonator;
+          req.authSource = source;
+          if (impersonator) {
+            recordImpersonatedRequest(req, res);
+          }
         }
       } catch (error) {
         // Token is invalid, but we don't fail
@@ -121,39 +314,90 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
-// Check if user owns the resource or has admin role
-const checkOwnership = (resourceIdParam = 'id') => {
-  return (req, res, next) => {
-    if (!req.user) {
-      return res.status(401).json({
+// Keep API keys away from routes that manage the account's credentials,
+// so a leaked key can't be used to mint more keys or take over the account
+const rejectApiKey = (req, res, next) => {
+  if (getApiKeyFromRequest(req)) {
+    return res.status(403).json({
+      success: false,
+      message: 'API keys cannot be used for this route'
+    });
+  }
+
+  next();
+};
+
+// Keep impersonation tokens away from routes that change passwords, roles, 2FA or other credentials
+// Runs before protect, so it only reads the claim; protect still verifies the token
+const rejectImpersonation = (req, res, next) => {
+  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+    const decoded = jwt.decode(req.headers.authorization.split(' ')[1]);
+
+    if (decoded && decoded.act) {
+      return res.status(403).json({
         success: false,
-        message: 'Not authorized to access this route'
+        message: 'This action is not allowed while impersonating a user'
       });
     }
+  }
 
-    const resourceId = req.params[resourceIdParam];
-    const userRoles = req.user.roles.map(role => role.name);
+  next();
+};
 
-    // Admin users can access any resource
-    if (userRoles.includes('admin') || userRoles.includes('super-admin')) {
-      return next();
-    }
+// Browser mode: move a newly issued token pair from the JSON response into cookies
+// Applies when the client asked for cookie mode, or when the request itself was authenticated
+// by cookie (e.g. POST /api/auth/refresh with the refresh token cookie)
+const browserAuthMode = (req, res, next) => {
+  const json = res.json.bind(res);
 
-    // Check if user owns the resource
-    if (req.user._id.toString() === resourceId) {
-      return next();
+  res.json = (body) => {
+    const data = body && body.success && body.data;
+    if (data && data.token && data.refreshToken && (req.authSource === 'cookie' || wantsCookieAuth(req))) {
+      const csrfToken = setAuthCookies(res, data);
+      const { token, refreshToken, ...rest } = data;
+      return json({ ...body, data: { ...rest, authMode: 'cookie', csrfToken } });
     }
+    return json(body);
+  };
+
+  next();
+};
 
+// Block access until the user has verified their email address
+// Enforced only when REQUIRE_EMAIL_VERIFICATION=true so existing accounts keep working
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Not authorized to access this route'
+    });
+  }
+
+  if (process.env.REQUIRE_EMAIL_VERIFICATION === 'true' && !req.user.isEmailVerified) {
     return res.status(403).json({
       success: false,
-      message: 'Not authorized to access this resource'
+      message: 'Please verify your email address to access this route',
+      code: 'EMAIL_NOT_VERIFIED'
     });
-  };
+  }
+
+  next();
+};
+
+// Check that the user holds a permission for the resource whose id is in the given route param
+// Access to one's own account comes from a conditional grant such as users:read:self, not from
+// ownership alone; routes that load the resource should use can() from middleware/permissions.js
+const checkOwnership = (resourceIdParam = 'id', resource = 'users', action = 'read') => {
+  return can(action, resource, req => ({ _id: req.params[resourceIdParam] }));
 };
 
 module.exports = {
   protect,
   authorize,
   optionalAuth,
+  requireVerifiedEmail,
+  rejectApiKey,
+  rejectImpersonation,
+  browserAuthMode,
   checkOwnership
 };
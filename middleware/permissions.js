@@ -1,5 +1,30 @@
-const Permission = require('../models/Permission');
-const Role = require('../models/Role');
+const { getCompiledPermissions, getEffectivePermissions } = require('../utils/permissionCache');
+const { isAllowed, allowsAnyOn, parsePermission } = require('../utils/permissionMatch');
+const { buildPolicyContext, evaluatePolicy } = require('../utils/policy');
+
+// Requests made with an API key are limited to the scopes granted to the key
+const isInApiKeyScope = (req, resource, action) => {
+  return !req.apiKey || req.apiKey.hasScope(resource, action);
+};
+
+// The user's compiled permissions, looked up once per request (see utils/permissionCache.js)
+const getRequestGrants = async (req) => {
+  if (!req.permissions) {
+    const { permissions, conditionalGrants } = await getCompiledPermissions(req.user);
+    req.permissions = new Set(permissions);
+    req.conditionalGrants = conditionalGrants;
+  }
+  return { permissions: req.permissions, conditionalGrants: req.conditionalGrants };
+};
+
+// Unconditional permissions only: the guards below have no target to check conditions against
+const getRequestPermissions = async (req) => (await getRequestGrants(req)).permissions;
+
+// "users" -> "User not found"
+const notFoundMessage = (resource) => {
+  const name = resource.replace(/s$/, '');
+  return `${name.charAt(0).toUpperCase()}${name.slice(1)} not found`;
+};
 
 // Check if user has specific permission
 const hasPermission = (resource, action) => {
@@ -12,24 +37,11 @@ const hasPermission = (resource, action) => {
         });
       }
 
-      // Get user roles with permissions
-      const userRoles = await Role.find({
-        _id: { $in: req.user.roles },
-        isActive: true
-      }).populate('permissions');
-
-      // Check if any role has the required permission
-      let hasRequiredPermission = false;
-
-      for (const role of userRoles) {
-        for (const permission of role.permissions) {
-          if (permission.resource === resource && permission.action === action && permission.isActive) {
-            hasRequiredPermission = true;
-            break;
-          }
-        }
-        if (hasRequiredPermission) break;
-      }
+      const userPermissions = await getRequestPermissions(req);
+
+      // Check if any role has the required permission (wildcards and "manage" included)
+      const hasRequiredPermission = isAllowed(userPermissions, resource, action) &&
+        isInApiKeyScope(req, resource, action);
 
       if (!hasRequiredPermission) {
         return res.status(403).json({
@@ -60,28 +72,13 @@ const hasAnyPermission = (permissions) => {
         });
       }
 
-      // Get user roles with permissions
-      const userRoles = await Role.find({
-        _id: { $in: req.user.roles },
-        isActive: true
-      }).populate('permissions');
+      const userPermissions = await getRequestPermissions(req);
 
       // Check if user has any of the required permissions
-      let hasAnyRequiredPermission = false;
-
-      for (const role of userRoles) {
-        for (const permission of role.permissions) {
-          for (const requiredPermission of permissions) {
-            const [resource, action] = requiredPermission.split(':');
-            if (permission.resource === resource && permission.action === action && permission.isActive) {
-              hasAnyRequiredPermission = true;
-              break;
-            }
-          }
-          if (hasAnyRequiredPermission) break;
-        }
-        if (hasAnyRequiredPermission) break;
-      }
+      const hasAnyRequiredPermission = permissions.some(requiredPermission => {
+        const { resource, action } = parsePermission(requiredPermission);
+        return isAllowed(userPermissions, resource, action) && isInApiKeyScope(req, resource, action);
+      });
 
       if (!hasAnyRequiredPermission) {
         return res.status(403).json({
@@ -112,31 +109,16 @@ const hasAllPermissions = (permissions) => {
         });
       }
 
-      // Get user roles with permissions
-      const userRoles = await Role.find({
-        _id: { $in: req.user.roles },
-        isActive: true
-      }).populate('permissions');
-
-      // Collect all user permissions
-      const userPermissions = new Set();
-      for (const role of userRoles) {
-        for (const permission of role.permissions) {
-          if (permission.isActive) {
-            userPermissions.add(`${permission.resource}:${permission.action}`);
-          }
-        }
-      }
+      const userPermissions = await getRequestPermissions(req);
 
-      // Check if user has all required permissions
-      const hasAllRequiredPermissions = permissions.every(permission => 
-        userPermissions.has(permission)
-      );
+      // Check if user has all required permissions (within the API key's scopes)
+      const isGranted = (permission) => {
+        const { resource, action } = parsePermission(permission);
+        return isAllowed(userPermissions, resource, action) && isInApiKeyScope(req, resource, action);
+      };
 
-      if (!hasAllRequiredPermissions) {
-        const missingPermissions = permissions.filter(permission => 
-          !userPermissions.has(permission)
-        );
+      if (!permissions.every(isGranted)) {
+        const missingPermissions = permissions.filter(permission => !isGranted(permission));
         return res.status(403).json({
           success: false,
           message: `Insufficient permissions. Missing: ${missingPermissions.join(', ')}`
@@ -165,24 +147,16 @@ const hasResourcePermission = (resource) => {
         });
       }
 
-      // Get user roles with permissions
-      const userRoles = await Role.find({
-        _id: { $in: req.user.roles },
-        isActive: true
-      }).populate('permissions');
+      const userPermissions = await getRequestPermissions(req);
 
       // Check if user has any permission for the resource
-      let hasResourceAccess = false;
-
-      for (const role of userRoles) {
-        for (const permission of role.permissions) {
-          if (permission.resource === resource && permission.isActive) {
-            hasResourceAccess = true;
-            break;
-          }
-        }
-        if (hasResourceAccess) break;
-      }
+      // With an API key, at least one of the key's scopes on the resource has to be granted too
+      const hasResourceAccess = req.apiKey
+        ? req.apiKey.scopes.some(scope => {
+          const { resource: scopeResource, action } = parsePermission(scope);
+          return scopeResource === resource && isAllowed(userPermissions, resource, action);
+        })
+        : allowsAnyOn(userPermissions, resource);
 
       if (!hasResourceAccess) {
         return res.status(403).json({
@@ -202,33 +176,171 @@ const hasResourcePermission = (resource) => {
   };
 };
 
+// Decide resource:action for a request, against the target loaded by loadTarget(req) if given
+// Without a target only unconditional permissions count. Returns { allowed, status, message }
+// when denied and { allowed, target, fields } when allowed
+const checkPermission = async (req, resource, action, loadTarget) => {
+  const denied = {
+    allowed: false,
+    status: 403,
+    message: `Insufficient permissions. Required: ${resource}:${action}`
+  };
+
+  const { permissions, conditionalGrants } = await getRequestGrants(req);
+
+  if (!loadTarget) {
+    const allowed = isAllowed(permissions, resource, action) && isInApiKeyScope(req, resource, action);
+    return allowed ? { allowed, target: null, fields: null } : denied;
+  }
+
+  const target = await loadTarget(req);
+  if (!target) {
+    return { allowed: false, status: 404, message: notFoundMessage(resource) };
+  }
+
+  const decision = evaluatePolicy({
+    permissions,
+    conditionalGrants,
+    resource,
+    action,
+    context: buildPolicyContext(req, target)
+  });
+
+  if (!decision.allowed || !isInApiKeyScope(req, resource, action)) {
+    return denied;
+  }
+  return { allowed: true, target, fields: decision.fields };
+};
+
+// Check a permission against a specific target, including conditional grants (see utils/policy.js)
+// loadTarget(req) returns the target document, e.g. req => User.findById(req.params.id).
+// The target is kept on req.target, and the fields the grants cover on req.allowedFields
+// (null when every field is allowed; see canChangeField)
+const can = (action, resource, loadTarget) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          message: 'Authentication required'
+        });
+      }
+
+      const result = await checkPermission(req, resource, action, loadTarget);
+      if (!result.allowed) {
+        return res.status(result.status).json({
+          success: false,
+          message: result.message
+        });
+      }
+
+      req.target = result.target;
+      req.allowedFields = result.fields;
+      next();
+    } catch (error) {
+      console.error('Permission check error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error checking permissions'
+      });
+    }
+  };
+};
+
+// "permissions" (default): permissions alone decide. "compat": the roles a route used to
+// require are checked too, and every disagreement between the two checks is logged
+const getAuthorizationMode = () => {
+  return (process.env.AUTHORIZATION_MODE || '').toLowerCase() === 'compat' ? 'compat' : 'permissions';
+};
+
+const logAuthorizationMismatch = (req, permission, legacyRoles, roleAllowed) => {
+  const route = `${req.method} ${req.baseUrl}${req.route ? req.route.path : req.path}`;
+  console.warn(
+    `Authorization mismatch on ${route} for user ${req.user._id}: ` +
+    `role check (${legacyRoles.join(', ')}) ${roleAllowed ? 'allows' : 'denies'}, ` +
+    `permission check (${permission}) ${roleAllowed ? 'denies' : 'allows'}`
+  );
+};
+
+// Declarative route guard: requirePermission('users:read'), or for routes acting on one
+// document requirePermission('users:update', { target: loadUser }) (see can())
+// legacyRoles are the roles the route required before permissions were authoritative; they
+// are only checked in AUTHORIZATION_MODE=compat
+const requirePermission = (permission, { target, legacyRoles = [] } = {}) => {
+  const { resource, action } = parsePermission(permission);
+
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          message: 'Authentication required'
+        });
+      }
+
+      const result = await checkPermission(req, resource, action, target);
+
+      if (getAuthorizationMode() === 'compat' && legacyRoles.length > 0) {
+        const userRoles = req.user.roles.map(role => role.name);
+        const roleAllowed = legacyRoles.some(role => userRoles.includes(role));
+
+        // A missing target says nothing about the permission check
+        if (roleAllowed !== result.allowed && result.status !== 404) {
+          logAuthorizationMismatch(req, permission, legacyRoles, roleAllowed);
+        }
+
+        // Same response the role check used to give
+        if (!roleAllowed) {
+          return res.status(403).json({
+            success: false,
+            message: `User role ${userRoles.join(', ')} is not authorized to access this route`
+          });
+        }
+      }
+
+      if (!result.allowed) {
+        return res.status(result.status).json({
+          success: false,
+          message: result.message
+        });
+      }
+
+      req.target = result.target;
+      req.allowedFields = result.fields;
+      next();
+    } catch (error) {
+      console.error('Permission check error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error checking permissions'
+      });
+    }
+  };
+};
+
+// May the request change this field of the target checked by can() or requirePermission()?
+const canChangeField = (req, field) => !req.allowedFields || req.allowedFields.includes(field);
+
 // Get user permissions (utility function)
+// Returns the granted permission strings plus every active permission they cover, so a
+// "*:*" or "users:manage" grant lists the concrete permissions it allows
 const getUserPermissions = async (userId) => {
   try {
     const User = require('../models/User');
-    const user = await User.findById(userId).populate({
-      path: 'roles',
-      populate: {
-        path: 'permissions'
-      }
-    });
+    const Permission = require('../models/Permission');
+    const user = await User.findById(userId).select('roles');
 
     if (!user) {
       return [];
     }
 
-    const permissions = new Set();
-    for (const role of user.roles) {
-      if (role.isActive) {
-        for (const permission of role.permissions) {
-          if (permission.isActive) {
-            permissions.add(`${permission.resource}:${permission.action}`);
-          }
-        }
-      }
-    }
+    const granted = await getEffectivePermissions(user);
+    const activePermissions = await Permission.find({ isActive: true }).select('resource action');
+    const covered = activePermissions
+      .filter(permission => isAllowed(granted, permission.resource, permission.action))
+      .map(permission => `${permission.resource}:${permission.action}`);
 
-    return Array.from(permissions);
+    return [...new Set([...granted, ...covered])];
   } catch (error) {
     console.error('Get user permissions error:', error);
     return [];
@@ -240,5 +352,9 @@ module.exports = {
   hasAnyPermission,
   hasAllPermissions,
   hasResourcePermission,
+  can,
+  canChangeField,
+  requirePermission,
+  getAuthorizationMode,
   getUserPermissions
 };
@@ -37,6 +37,20 @@ const passwordResetLimiter = createRateLimit(
   'Too many password reset attempts, please try again later.'
 );
 
+// Email verification rate limiter (resending verification emails)
+const emailVerificationLimiter = createRateLimit(
+  60 * 60 * 1000, // 1 hour
+  3, // 3 requests per hour
+  'Too many verification email requests, please try again later.'
+);
+
+// Passwordless login rate limiter (sending magic links and SMS codes)
+const passwordlessLimiter = createRateLimit(
+  15 * 60 * 1000, // 15 minutes
+  5, // 5 requests per window
+  'Too many sign-in code requests, please try again later.'
+);
+
 // Helmet configuration for security headers
 const helmetConfig = helmet({
   contentSecurityPolicy: {
@@ -68,7 +82,7 @@ const corsConfig = cors({
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-API-Key', 'X-Device-Name', 'X-Device-Id', 'X-Auth-Mode', 'X-CSRF-Token'],
 });
 
 // Request sanitization middleware
@@ -111,6 +125,8 @@ module.exports = {
   generalLimiter,
   authLimiter,
   passwordResetLimiter,
+  emailVerificationLimiter,
+  passwordlessLimiter,
   helmetConfig,
   corsConfig,
   sanitizeRequest,
@@ -0,0 +1,57 @@
+const multer = require('multer');
+const { getMaxAvatarBytes } = require('../utils/avatar');
+
+// Multipart uploads are kept in memory: files are small, and they're re-encoded before
+// anything is written to storage. The JSON body limit doesn't apply to these requests.
+
+const formatBytes = (bytes) => {
+  if (bytes >= 1024 * 1024) return `${Math.round(bytes / (1024 * 1024) * 10) / 10} MB`;
+  if (bytes >= 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${bytes} bytes`;
+};
+
+// Wrap a multer handler so upload errors get the usual JSON error responses
+const handleUpload = (upload, maxBytes) => (req, res, next) => {
+  upload(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+
+    if (error instanceof multer.MulterError) {
+      if (error.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).json({
+          success: false,
+          message: `File is too large. The maximum size is ${formatBytes(maxBytes)}`
+        });
+      }
+
+      return res.status(400).json({
+        success: false,
+        message: error.code === 'LIMIT_UNEXPECTED_FILE'
+          ? `Unexpected file field "${error.field}"`
+          : error.message
+      });
+    }
+
+    next(error);
+  });
+};
+
+// Single "avatar" file field
+const avatarUpload = () => {
+  const maxBytes = getMaxAvatarBytes();
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+      fileSize: maxBytes,
+      files: 1,
+      fields: 5
+    }
+  }).single('avatar');
+
+  return handleUpload(upload, maxBytes);
+};
+
+module.exports = {
+  avatarUpload
+};
@@ -0,0 +1,149 @@
+const mongoose = require('mongoose');
+const { generateRandomToken, hashToken } = require('../utils/tokens');
+const { isAllowed } = require('../utils/permissionMatch');
+
+// Keys start with this prefix so they are easy to spot in logs and secret scanners
+const KEY_PREFIX = 'wsw_';
+
+// Long-lived personal access tokens for scripts and integrations
+const apiKeySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'API key name is required'],
+    trim: true,
+    maxlength: [100, 'API key name cannot be more than 100 characters']
+  },
+  // First characters of the key, shown in listings so users can tell keys apart
+  prefix: {
+    type: String,
+    required: true
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  // resource:action permissions this key may use (checked against the owner's roles too)
+  scopes: [{
+    type: String,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z0-9_-]+:[a-z]+$/, 'Scopes must look like resource:action']
+  }],
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry is required']
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedIp: {
+    type: String,
+    default: null
+  },
+  rotatedAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Index for better performance
+apiKeySchema.index({ user: 1, createdAt: -1 });
+
+// Virtual for whether the key can still be used
+apiKeySchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > Date.now();
+});
+
+const createKey = () => `${KEY_PREFIX}${generateRandomToken()}`;
+
+// Static method to create a key (returns the raw key once, stores the hash)
+apiKeySchema.statics.generate = async function({ user, name, scopes, expiresAt }) {
+  const key = createKey();
+
+  const apiKey = await this.create({
+    user,
+    name,
+    scopes,
+    expiresAt,
+    prefix: key.slice(0, KEY_PREFIX.length + 8),
+    keyHash: hashToken(key)
+  });
+
+  return { apiKey, key };
+};
+
+// Static method to find a usable key from the raw value sent by a client
+apiKeySchema.statics.findActiveByKey = function(key) {
+  if (typeof key !== 'string' || !key.startsWith(KEY_PREFIX)) {
+    return Promise.resolve(null);
+  }
+
+  return this.findOne({
+    keyHash: hashToken(key),
+    revokedAt: null,
+    expiresAt: { $gt: Date.now() }
+  });
+};
+
+// Static method to list a user's keys, newest first
+apiKeySchema.statics.findByUser = function(userId) {
+  return this.find({ user: userId }).sort({ createdAt: -1 });
+};
+
+// Instance method to replace the secret (the old value stops working immediately)
+apiKeySchema.methods.rotate = async function(expiresAt) {
+  const key = createKey();
+
+  this.prefix = key.slice(0, KEY_PREFIX.length + 8);
+  this.keyHash = hashToken(key);
+  this.rotatedAt = new Date();
+  if (expiresAt) {
+    this.expiresAt = expiresAt;
+  }
+  await this.save();
+
+  return key;
+};
+
+// Instance method to revoke the key
+apiKeySchema.methods.revoke = function() {
+  this.revokedAt = new Date();
+  return this.save();
+};
+
+// Static method to revoke every active key of a user (e.g. after a compromised login)
+apiKeySchema.statics.revokeAllForUser = async function(userId) {
+  const result = await this.updateMany({ user: userId, revokedAt: null }, { revokedAt: new Date() });
+  return result.modifiedCount;
+};
+
+// Instance method to check whether the key was granted a scope (a "manage" scope covers its resource)
+apiKeySchema.methods.hasScope = function(resource, action) {
+  return isAllowed(this.scopes, resource, action);
+};
+
+// Instance method to record a request made with the key
+apiKeySchema.methods.recordUse = function(ip) {
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { lastUsedAt: new Date(), lastUsedIp: ip || null }
+  );
+};
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
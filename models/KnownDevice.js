@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+// Devices a user has logged in from, used to spot logins from new devices or regions
+const knownDeviceSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  // Hash identifying the device (see utils/loginAlerts.js)
+  fingerprint: {
+    type: String,
+    required: [true, 'Fingerprint is required']
+  },
+  deviceName: {
+    type: String,
+    trim: true
+  },
+  userAgent: {
+    type: String
+  },
+  // Regions (network or country) this device has logged in from
+  regions: {
+    type: [String],
+    default: []
+  },
+  lastIp: {
+    type: String
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better performance
+knownDeviceSchema.index({ user: 1, fingerprint: 1 }, { unique: true });
+knownDeviceSchema.index({ user: 1, lastSeenAt: -1 });
+
+const MAX_REGIONS_PER_DEVICE = 20;
+
+const getMaxKnownDevices = () => parseInt(process.env.KNOWN_DEVICES_MAX) || 20;
+
+// Static method to record a login and report what was new about it
+// Returns { device, isFirstLogin, isNewDevice, isNewRegion }
+knownDeviceSchema.statics.recordLogin = async function(userId, { fingerprint, region, deviceName, userAgent, ip }) {
+  const devices = await this.find({ user: userId }).sort({ lastSeenAt: -1 });
+
+  let device = devices.find(known => known.fingerprint === fingerprint);
+  const isFirstLogin = devices.length === 0;
+  const isNewDevice = !device;
+  const isNewRegion = !devices.some(known => known.regions.includes(region));
+
+  if (!device) {
+    device = new this({ user: userId, fingerprint });
+  }
+
+  device.deviceName = deviceName;
+  device.userAgent = userAgent;
+  device.lastIp = ip;
+  device.lastSeenAt = new Date();
+  if (!device.regions.includes(region)) {
+    device.regions = [region, ...device.regions].slice(0, MAX_REGIONS_PER_DEVICE);
+  }
+  await device.save();
+
+  // Forget the least recently used devices beyond the limit
+  if (isNewDevice) {
+    const staleDevices = devices.slice(getMaxKnownDevices() - 1);
+    if (staleDevices.length > 0) {
+      await this.deleteMany({ _id: { $in: staleDevices.map(stale => stale._id) } });
+    }
+  }
+
+  return { device, isFirstLogin, isNewDevice, isNewRegion };
+};
+
+// Static method to list a user's known devices, most recently used first
+knownDeviceSchema.statics.findByUser = function(userId) {
+  return this.find({ user: userId }).sort({ lastSeenAt: -1 });
+};
+
+module.exports = mongoose.model('KnownDevice', knownDeviceSchema);
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+const { generateRandomToken, hashToken } = require('../utils/tokens');
+
+// New-device / new-region login notifications and their "this wasn't me" tokens
+const loginAlertSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  tokenHash: {
+    type: String,
+    required: [true, 'Token is required'],
+    unique: true
+  },
+  // Session created by the login
+  sessionId: {
+    type: String
+  },
+  device: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'KnownDevice'
+  },
+  reasons: [{
+    type: String,
+    enum: ['new_device', 'new_region']
+  }],
+  deviceName: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  },
+  ip: {
+    type: String
+  },
+  region: {
+    type: String
+  },
+  reportedAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry is required']
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Index for better performance
+loginAlertSchema.index({ user: 1, createdAt: -1 });
+
+// Alerts are removed by MongoDB once their report link has expired
+loginAlertSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to store an alert (returns the raw report token, stores the hash)
+loginAlertSchema.statics.issue = async function(details) {
+  const token = generateRandomToken();
+  const reportDays = parseInt(process.env.LOGIN_ALERT_REPORT_DAYS) || 7;
+
+  const alert = await this.create({
+    ...details,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + reportDays * 24 * 60 * 60 * 1000)
+  });
+
+  return { alert, token };
+};
+
+// Static method to find an unexpired alert that hasn't been reported yet
+loginAlertSchema.statics.findByToken = function(token) {
+  return this.findOne({
+    tokenHash: hashToken(token),
+    reportedAt: null,
+    expiresAt: { $gt: Date.now() }
+  });
+};
+
+module.exports = mongoose.model('LoginAlert', loginAlertSchema);
@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { generateRandomToken, hashToken } = require('../utils/tokens');
+
+// One-time codes for passwordless login (email magic links and SMS OTPs)
+const loginCodeSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  channel: {
+    type: String,
+    required: [true, 'Channel is required'],
+    enum: ['email', 'sms']
+  },
+  codeHash: {
+    type: String,
+    required: [true, 'Code is required']
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  consumedAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry is required']
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Index for better performance
+loginCodeSchema.index({ user: 1, channel: 1, createdAt: -1 });
+loginCodeSchema.index({ codeHash: 1 });
+
+// Codes are removed by MongoDB once expired
+loginCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const getExpiryMinutes = (channel) => {
+  return channel === 'email'
+    ? parseInt(process.env.PASSWORDLESS_EMAIL_EXPIRE_MINUTES) || 15
+    : parseInt(process.env.PASSWORDLESS_SMS_EXPIRE_MINUTES) || 5;
+};
+
+const getMaxAttempts = () => parseInt(process.env.PASSWORDLESS_MAX_ATTEMPTS) || 5;
+
+// Virtual for whether the code can still be used
+loginCodeSchema.virtual('isUsable').get(function() {
+  return !this.consumedAt && this.expiresAt > Date.now() && this.attempts < getMaxAttempts();
+});
+
+// Static method to issue a new code (returns the raw code, stores the hash)
+// Any earlier unused code for the same user and channel stops working
+loginCodeSchema.statics.issue = async function(userId, channel) {
+  const code = channel === 'email'
+    ? generateRandomToken()
+    : String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+
+  await this.updateMany(
+    { user: userId, channel, consumedAt: null },
+    { consumedAt: new Date() }
+  );
+
+  await this.create({
+    user: userId,
+    channel,
+    codeHash: hashToken(code),
+    expiresAt: new Date(Date.now() + getExpiryMinutes(channel) * 60 * 1000)
+  });
+
+  return code;
+};
+
+// Static method to find the most recent code for a user and channel
+loginCodeSchema.statics.findLatest = function(userId, channel) {
+  return this.findOne({ user: userId, channel }).sort({ createdAt: -1 });
+};
+
+// Static method to consume an unused email magic link token (atomic, so it works only once)
+loginCodeSchema.statics.consumeMagicLinkToken = function(token) {
+  return this.findOneAndUpdate({
+    codeHash: hashToken(token),
+    channel: 'email',
+    consumedAt: null,
+    expiresAt: { $gt: Date.now() }
+  }, {
+    consumedAt: new Date()
+  }, {
+    new: true
+  });
+};
+
+// Static method to count an attempt at a code (atomic, so parallel guesses can't go past the
+// limit); returns the code, or null when it's used, expired or out of attempts
+loginCodeSchema.statics.recordAttempt = function(codeId) {
+  return this.findOneAndUpdate({
+    _id: codeId,
+    consumedAt: null,
+    expiresAt: { $gt: Date.now() },
+    attempts: { $lt: getMaxAttempts() }
+  }, {
+    $inc: { attempts: 1 }
+  }, {
+    new: true
+  });
+};
+
+// Static method to mark a code as used (atomic, so it works only once)
+loginCodeSchema.statics.consume = function(codeId) {
+  return this.findOneAndUpdate({ _id: codeId, consumedAt: null }, { consumedAt: new Date() }, { new: true });
+};
+
+// Instance method to check a submitted code (call recordAttempt() first to count the attempt)
+loginCodeSchema.methods.matches = function(code) {
+  return hashToken(String(code || '').trim()) === this.codeHash;
+};
+
+module.exports = mongoose.model('LoginCode', loginCodeSchema);
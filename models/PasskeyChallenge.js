@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// Pending WebAuthn challenges (one per registration or login ceremony)
+const passkeyChallengeSchema = new mongoose.Schema({
+  challenge: {
+    type: String,
+    required: [true, 'Challenge is required']
+  },
+  type: {
+    type: String,
+    required: [true, 'Challenge type is required'],
+    enum: ['registration', 'authentication']
+  },
+  // Set when the ceremony is bound to an existing account
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Profile for an account that will be created when a passkey-only sign up completes
+  pendingUser: {
+    _id: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+    firstName: String,
+    lastName: String,
+    email: String
+  },
+  passkeyName: {
+    type: String,
+    trim: true
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry is required']
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Challenges are removed by MongoDB once expired
+passkeyChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to store a challenge for a new ceremony
+passkeyChallengeSchema.statics.issue = function(type, challenge, details = {}) {
+  const expireSeconds = parseInt(process.env.WEBAUTHN_CHALLENGE_EXPIRE_SECONDS) || 300;
+
+  return this.create({
+    ...details,
+    type,
+    challenge,
+    expiresAt: new Date(Date.now() + expireSeconds * 1000)
+  });
+};
+
+// Static method to take an unexpired challenge (atomic, so each challenge works only once)
+passkeyChallengeSchema.statics.consume = function(id, type) {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return Promise.resolve(null);
+  }
+
+  return this.findOneAndDelete({
+    _id: id,
+    type,
+    expiresAt: { $gt: Date.now() }
+  });
+};
+
+module.exports = mongoose.model('PasskeyChallenge', passkeyChallengeSchema);
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { grantAllows } = require('../utils/permissionMatch');
+const { isValidCondition } = require('../utils/policy');
 
 const permissionSchema = new mongoose.Schema({
   name: {
@@ -32,9 +34,27 @@ const permissionSchema = new mongoose.Schema({
     required: [true, 'Action is required'],
     trim: true,
     lowercase: true,
-    enum: ['create', 'read', 'update', 'delete', 'manage', 'export', 'import'],
+    // "*" (any action) and "manage" (every action on the resource) are wildcards, as is a "*" resource
+    enum: ['create', 'read', 'update', 'delete', 'manage', 'export', 'import', 'impersonate', '*'],
     maxlength: [20, 'Action cannot be more than 20 characters']
   },
+  // Attribute-based conditions, e.g. "target.id == actor.id" (see utils/policy.js)
+  // The permission only applies when all of them hold
+  conditions: [{
+    type: String,
+    trim: true,
+    maxlength: [200, 'Condition cannot be more than 200 characters'],
+    validate: {
+      validator: isValidCondition,
+      message: props => `Invalid condition: ${props.value}`
+    }
+  }],
+  // Fields of the target the permission covers (e.g. for updates); empty means every field
+  fields: [{
+    type: String,
+    trim: true,
+    maxlength: [50, 'Field name cannot be more than 50 characters']
+  }],
   isActive: {
     type: Boolean,
     default: true
@@ -60,6 +80,11 @@ permissionSchema.virtual('fullPermission').get(function() {
   return `${this.resource}:${this.action}`;
 });
 
+// Virtual for whether the permission only applies under conditions or to some fields
+permissionSchema.virtual('isConditional').get(function() {
+  return (this.conditions || []).length > 0 || (this.fields || []).length > 0;
+});
+
 // Index for better performance
 permissionSchema.index({ name: 1 });
 permissionSchema.index({ resource: 1, action: 1 });
@@ -99,9 +124,9 @@ permissionSchema.statics.findByCategory = function(category) {
   return this.find({ category: category.toLowerCase(), isActive: true });
 };
 
-// Instance method to check if permission matches resource and action
+// Instance method to check if permission allows resource and action (wildcards included)
 permissionSchema.methods.matches = function(resource, action) {
-  return this.resource === resource.toLowerCase() && this.action === action.toLowerCase();
+  return grantAllows(this.fullPermission, resource.toLowerCase(), action.toLowerCase());
 };
 
 module.exports = mongoose.model('Permission', permissionSchema);
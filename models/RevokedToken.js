@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// Denylist of access tokens revoked before their natural expiry
+const revokedTokenSchema = new mongoose.Schema({
+  jti: {
+    type: String,
+    required: [true, 'Token ID is required'],
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Reason cannot be more than 50 characters']
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry is required']
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Entries are removed by MongoDB once the token would have expired anyway
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to revoke a decoded access token until it expires
+revokedTokenSchema.statics.revoke = function(decoded, reason) {
+  if (!decoded || !decoded.jti) return Promise.resolve(null);
+
+  return this.updateOne(
+    { jti: decoded.jti },
+    {
+      $setOnInsert: {
+        jti: decoded.jti,
+        user: decoded.id,
+        reason,
+        expiresAt: new Date(decoded.exp * 1000)
+      }
+    },
+    { upsert: true }
+  );
+};
+
+// Static method to check whether a token ID has been revoked
+revokedTokenSchema.statics.isRevoked = async function(jti) {
+  return Boolean(await this.exists({ jti }));
+};
+
+module.exports = mongoose.model('RevokedToken', revokedTokenSchema);
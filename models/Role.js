@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { parsePermission, grantAllows } = require('../utils/permissionMatch');
 
 const roleSchema = new mongoose.Schema({
   name: {
@@ -24,6 +25,11 @@ const roleSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Permission'
   }],
+  // A role inherits every permission of its parent roles (see utils/roleHierarchy.js)
+  parents: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Role'
+  }],
   isActive: {
     type: Boolean,
     default: true
@@ -53,6 +59,7 @@ roleSchema.virtual('permissionCount').get(function() {
 roleSchema.index({ name: 1 });
 roleSchema.index({ isActive: 1 });
 roleSchema.index({ level: 1 });
+roleSchema.index({ parents: 1 });
 
 // Pre-save middleware to ensure unique role names
 roleSchema.pre('save', function(next) {
@@ -65,6 +72,33 @@ roleSchema.statics.findByName = function(name) {
   return this.findOne({ name: name.toLowerCase() });
 };
 
+// Static method to get the highest level among (populated) roles, ignoring inactive ones
+roleSchema.statics.getHighestLevel = function(roles = []) {
+  return roles
+    .filter(role => role && role.isActive)
+    .reduce((highest, role) => Math.max(highest, role.level || 0), 0);
+};
+
+// Static method to get the role assigned to new users (created if missing)
+roleSchema.statics.getDefaultRole = async function() {
+  let defaultRole = await this.findOne({ name: 'user' });
+
+  // If user role doesn't exist, create it (fallback)
+  if (!defaultRole) {
+    console.warn('User role not found, creating default user role...');
+    defaultRole = await this.create({
+      name: 'user',
+      displayName: 'User',
+      description: 'Standard user with basic permissions',
+      level: 1,
+      isSystemRole: true,
+      isActive: true
+    });
+  }
+
+  return defaultRole;
+};
+
 // Static method to get all active roles
 roleSchema.statics.findActive = function() {
   return this.find({ isActive: true }).populate('permissions');
@@ -84,10 +118,16 @@ roleSchema.methods.removePermission = function(permissionId) {
   return this.save();
 };
 
-// Instance method to check if role has permission
+// Instance method to check if role has permission (by name or id)
+// Names follow the wildcard rules in utils/permissionMatch.js; needs populated permissions and
+// only looks at the role's own permissions, not inherited or conditional ones
 roleSchema.methods.hasPermission = function(permissionName) {
+  const { resource, action } = parsePermission(permissionName);
   return this.permissions.some(permission => 
-    permission.name === permissionName || permission._id.toString() === permissionName
+    permission.name === permissionName ||
+    permission._id.toString() === permissionName ||
+    (permission.isActive !== false && !permission.isConditional && Boolean(permission.resource) &&
+      grantAllows(`${permission.resource}:${permission.action}`, resource, action))
   );
 };
 
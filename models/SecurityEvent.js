@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+const securityEventSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  type: {
+    type: String,
+    required: [true, 'Event type is required'],
+    trim: true,
+    lowercase: true,
+    maxlength: [50, 'Event type cannot be more than 50 characters']
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  ip: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Index for better performance
+securityEventSchema.index({ user: 1, createdAt: -1 });
+securityEventSchema.index({ type: 1, createdAt: -1 });
+
+// Static method to record an event without ever failing the calling request
+securityEventSchema.statics.record = async function(type, { user, actor = null, req = null, details = {} }) {
+  try {
+    return await this.create({
+      user,
+      type,
+      actor,
+      ip: req ? req.ip : undefined,
+      userAgent: req ? req.get('user-agent') : undefined,
+      details
+    });
+  } catch (error) {
+    console.error('Record security event error:', error);
+    return null;
+  }
+};
+
+// Static method to find recent events for a user
+securityEventSchema.statics.findByUser = function(userId, limit = 50) {
+  return this.find({ user: userId }).sort({ createdAt: -1 }).limit(limit);
+};
+
+module.exports = mongoose.model('SecurityEvent', securityEventSchema);
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// Asymmetric key pairs used to sign access tokens (see config/keys.js)
+const signingKeySchema = new mongoose.Schema({
+  kid: {
+    type: String,
+    required: [true, 'Key ID is required'],
+    unique: true
+  },
+  algorithm: {
+    type: String,
+    required: [true, 'Algorithm is required'],
+    enum: ['RS256', 'ES256']
+  },
+  privateKey: {
+    type: String,
+    required: [true, 'Private key is required'],
+    select: false // Never returned unless explicitly requested
+  },
+  publicJwk: {
+    type: mongoose.Schema.Types.Mixed,
+    required: [true, 'Public key is required']
+  },
+  // pending keys are published in the JWKS but not used for signing yet
+  status: {
+    type: String,
+    enum: ['pending', 'active', 'retired'],
+    default: 'active'
+  },
+  // kid of the key this one replaces; unique per algorithm, so instances rotating at the
+  // same time can't each add a key
+  predecessor: {
+    type: String
+  },
+  activatedAt: {
+    type: Date,
+    default: null
+  },
+  retiredAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better performance
+signingKeySchema.index({ algorithm: 1, status: 1, createdAt: -1 });
+signingKeySchema.index(
+  { algorithm: 1, predecessor: 1 },
+  { unique: true, partialFilterExpression: { predecessor: { $exists: true } } }
+);
+
+module.exports = mongoose.model('SigningKey', signingKeySchema);
@@ -1,5 +1,10 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { generateRandomToken, hashToken } = require('../utils/tokens');
+const { verifyCode } = require('../utils/totp');
+const { getMaxHistoryCount } = require('../utils/passwordPolicy');
+const { formatAvatar } = require('../utils/avatar');
+const { getLockoutPolicy, getLockDuration } = require('../config/lockout');
 
 const userSchema = new mongoose.Schema({
   firstName: {
@@ -27,19 +32,42 @@ const userSchema = new mongoose.Schema({
   },
   password: {
     type: String,
-    required: [true, 'Password is required'],
-    minlength: [6, 'Password must be at least 6 characters'],
+    // Accounts created through a linked identity provider or a passkey don't need a password
+    required: [function() { return !this.hasPasswordlessLoginMethod(); }, 'Password is required'],
+    // Strength rules live in utils/passwordPolicy.js and are checked by the routes
     select: false // Don't include password in queries by default
   },
+  // Hashes of the most recent passwords, newest first (prevents reuse)
+  passwordHistory: {
+    type: [{
+      _id: false,
+      hash: String,
+      changedAt: Date
+    }],
+    select: false
+  },
+  // Stored in E.164 format (see utils/phone.js) and usable as a login identifier
   phone: {
     type: String,
     trim: true,
-    match: [/^[\+]?[1-9][\d]{0,15}$/, 'Please provide a valid phone number']
+    match: [/^\+[1-9]\d{1,14}$/, 'Please provide a valid phone number']
   },
+  // A number from before normalization that couldn't be migrated (see utils/phoneMigration.js)
+  legacyPhone: {
+    type: String,
+    select: false
+  },
+  // Storage key of the avatar; URLs are built from keys when read (see utils/avatar.js)
   avatar: {
     type: String,
     default: null
   },
+  // Resized copies of the avatar (avatar itself is the largest one)
+  avatarVariants: [{
+    _id: false,
+    size: Number,
+    key: String
+  }],
   isEmailVerified: {
     type: Boolean,
     default: false
@@ -48,6 +76,38 @@ const userSchema = new mongoose.Schema({
     type: String,
     select: false
   },
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
+  // Requested new email address, applied once the user confirms it from that inbox
+  pendingEmail: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: null
+  },
+  emailChangeToken: {
+    type: String,
+    select: false
+  },
+  emailChangeExpires: {
+    type: Date,
+    select: false
+  },
+  // Address (and link token) the previous owner can use to undo an email change
+  emailRevertAddress: {
+    type: String,
+    select: false
+  },
+  emailRevertToken: {
+    type: String,
+    select: false
+  },
+  emailRevertExpires: {
+    type: Date,
+    select: false
+  },
   passwordResetToken: {
     type: String,
     select: false
@@ -56,15 +116,120 @@ const userSchema = new mongoose.Schema({
     type: Date,
     select: false
   },
+  // Set when the user reports a login they didn't make; password login stays blocked until reset
+  passwordResetRequired: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorSecret: {
+    type: String,
+    select: false
+  },
+  twoFactorRecoveryCodes: {
+    type: [String],
+    select: false
+  },
+  twoFactorLastUsedStep: {
+    type: Number,
+    select: false
+  },
+  twoFactorEnabledAt: {
+    type: Date,
+    default: null
+  },
+  // Each refresh token entry is a login session on one device
   refreshTokens: [{
     token: {
       type: String,
       required: true
     },
+    deviceName: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Device name cannot be more than 100 characters']
+    },
+    userAgent: {
+      type: String
+    },
+    ip: {
+      type: String
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now
+    },
+    // Hashes of tokens this session already rotated away from (reuse detection)
+    previousTokens: [{
+      _id: false,
+      tokenHash: String,
+      rotatedAt: Date
+    }]
+  }],
+  // External identity providers (Google, Apple) linked to this account
+  identities: [{
+    provider: {
+      type: String,
+      required: true,
+      enum: ['google', 'apple']
+    },
+    subject: {
+      type: String,
+      required: true
+    },
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true
+    },
+    linkedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // WebAuthn credentials (passkeys) registered by this user
+  passkeys: [{
+    credentialId: {
+      type: String,
+      required: true
+    },
+    publicKey: {
+      type: Buffer,
+      required: true
+    },
+    // Signature counter reported by the authenticator (detects cloned keys)
+    counter: {
+      type: Number,
+      default: 0
+    },
+    transports: [String],
+    deviceType: {
+      type: String,
+      enum: ['singleDevice', 'multiDevice']
+    },
+    backedUp: {
+      type: Boolean,
+      default: false
+    },
+    name: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Passkey name cannot exceed 100 characters']
+    },
     createdAt: {
       type: Date,
-      default: Date.now,
-      expires: 2592000 // 30 days
+      default: Date.now
+    },
+    lastUsedAt: {
+      type: Date,
+      default: null
     }
   }],
   roles: [{
@@ -79,16 +244,47 @@ const userSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  // Access tokens issued before this time are rejected
+  tokensValidAfter: {
+    type: Date,
+    default: null
+  },
   loginAttempts: {
     type: Number,
     default: 0
   },
   lockUntil: {
     type: Date
+  },
+  // Self-service deletion: the account is anonymized or purged after the grace period
+  deletionRequestedAt: {
+    type: Date,
+    default: null
+  },
+  deletionScheduledFor: {
+    type: Date,
+    default: null
+  },
+  anonymizedAt: {
+    type: Date,
+    default: null
+  },
+  // Consecutive locks, used for progressive lock durations
+  lockCount: {
+    type: Number,
+    default: 0
+  },
+  lastLockedAt: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true,
-  toJSON: { virtuals: true },
+  toJSON: {
+    virtuals: true,
+    // Avatar keys become URLs
+    transform: (doc, ret) => Object.assign(ret, formatAvatar(doc))
+  },
   toObject: { virtuals: true }
 });
 
@@ -104,17 +300,30 @@ userSchema.virtual('isLocked').get(function() {
 
 // Index for better performance
 userSchema.index({ email: 1 });
+userSchema.index({ phone: 1 }, { unique: true, sparse: true });
 userSchema.index({ 'refreshTokens.token': 1 });
+userSchema.index({ 'identities.provider': 1, 'identities.subject': 1 }, { unique: true, sparse: true });
+userSchema.index({ 'passkeys.credentialId': 1 }, { unique: true, sparse: true });
+userSchema.index({ deletionScheduledFor: 1 });
 
 // Pre-save middleware to hash password
 userSchema.pre('save', async function(next) {
-  // Only hash the password if it has been modified (or is new)
-  if (!this.isModified('password')) return next();
+  // Only hash the password if it has been modified (or is new) and is set
+  if (!this.isModified('password') || !this.password) return next();
 
   try {
     // Hash password with cost of 12
     const salt = await bcrypt.genSalt(parseInt(process.env.BCRYPT_ROUNDS) || 12);
     this.password = await bcrypt.hash(this.password, salt);
+
+    // Remember the hash for the reuse check (only when the history was loaded,
+    // otherwise saving would overwrite the stored history)
+    if (this.isNew || this.isSelected('passwordHistory')) {
+      this.passwordHistory = [
+        { hash: this.password, changedAt: new Date() },
+        ...(this.passwordHistory || [])
+      ].slice(0, getMaxHistoryCount());
+    }
     next();
   } catch (error) {
     next(error);
@@ -123,27 +332,44 @@ userSchema.pre('save', async function(next) {
 
 // Instance method to check password
 userSchema.methods.comparePassword = async function(candidatePassword) {
+  // Accounts without a password (identity provider only) never match
+  if (!this.password) return false;
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
 // Instance method to increment login attempts
-userSchema.methods.incLoginAttempts = function() {
+// Resolves to { locked, lockUntil, lockCount } so callers can react to a new lock
+userSchema.methods.incLoginAttempts = async function() {
+  const policy = getLockoutPolicy();
+
   // If we have a previous lock that has expired, restart at 1
   if (this.lockUntil && this.lockUntil < Date.now()) {
-    return this.updateOne({
+    await this.updateOne({
       $unset: { lockUntil: 1 },
       $set: { loginAttempts: 1 }
     });
+    return { locked: false };
   }
   
   const updates = { $inc: { loginAttempts: 1 } };
   
-  // Lock account after 5 failed attempts for 2 hours
-  if (this.loginAttempts + 1 >= 5 && !this.isLocked) {
-    updates.$set = { lockUntil: Date.now() + 2 * 60 * 60 * 1000 }; // 2 hours
+  // Lock account after too many failed attempts, for longer each time it happens again
+  if (this.loginAttempts + 1 >= policy.maxAttempts && !this.isLocked) {
+    const lockProgressionExpired = !this.lastLockedAt ||
+      Date.now() - this.lastLockedAt.getTime() > policy.resetHours * 60 * 60 * 1000;
+    const lockCount = lockProgressionExpired ? 1 : (this.lockCount || 0) + 1;
+    const lockUntil = new Date(Date.now() + getLockDuration(lockCount, policy));
+
+    updates.$set = { lockUntil, lockCount, lastLockedAt: new Date() };
+    await this.updateOne(updates);
+
+    this.lockUntil = lockUntil;
+    this.lockCount = lockCount;
+    return { locked: true, lockUntil, lockCount };
   }
   
-  return this.updateOne(updates);
+  await this.updateOne(updates);
+  return { locked: false };
 };
 
 // Instance method to reset login attempts
@@ -153,9 +379,22 @@ userSchema.methods.resetLoginAttempts = function() {
   });
 };
 
-// Instance method to add refresh token
-userSchema.methods.addRefreshToken = function(token) {
-  this.refreshTokens.push({ token });
+// Instance method to clear a lock (admin unlock); also restarts the lock progression
+userSchema.methods.unlock = function() {
+  return this.updateOne({
+    $set: { loginAttempts: 0, lockCount: 0 },
+    $unset: { lockUntil: 1 }
+  });
+};
+
+// Sessions unused for longer than this are pruned (matches the refresh token lifetime)
+const SESSION_MAX_IDLE_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+// Instance method to add refresh token (with optional session/device details)
+userSchema.methods.addRefreshToken = function(token, details = {}) {
+  const cutoff = Date.now() - SESSION_MAX_IDLE_MS;
+  this.refreshTokens = this.refreshTokens.filter(rt => (rt.lastUsedAt || rt.createdAt) > cutoff);
+  this.refreshTokens.push({ token, ...details });
   return this.save();
 };
 
@@ -165,14 +404,384 @@ userSchema.methods.removeRefreshToken = function(token) {
   return this.save();
 };
 
+// Rotated token hashes kept per session for reuse detection
+const MAX_PREVIOUS_TOKENS = 50;
+
+// Instance method to replace a session's refresh token in place (the session id stays the same)
+// The old token is remembered by hash so a later replay can be detected
+userSchema.methods.rotateRefreshToken = function(oldToken, newToken, details = {}) {
+  const session = this.refreshTokens.find(rt => rt.token === oldToken);
+  if (!session) return null;
+
+  session.previousTokens.push({ tokenHash: hashToken(oldToken), rotatedAt: new Date() });
+  if (session.previousTokens.length > MAX_PREVIOUS_TOKENS) {
+    session.previousTokens.splice(0, session.previousTokens.length - MAX_PREVIOUS_TOKENS);
+  }
+
+  session.token = newToken;
+  session.lastUsedAt = new Date();
+  if (details.userAgent) session.userAgent = details.userAgent;
+  if (details.ip) session.ip = details.ip;
+
+  return this.save().then(() => session);
+};
+
+// Instance method to find the session a rotated (no longer current) refresh token belonged to
+// Returns { session, rotatedAt, isLatest } or null
+userSchema.methods.findSessionByPreviousToken = function(token) {
+  const tokenHash = hashToken(token);
+
+  for (const session of this.refreshTokens) {
+    const index = session.previousTokens.findIndex(pt => pt.tokenHash === tokenHash);
+    if (index !== -1) {
+      return {
+        session,
+        rotatedAt: session.previousTokens[index].rotatedAt,
+        isLatest: index === session.previousTokens.length - 1
+      };
+    }
+  }
+
+  return null;
+};
+
+// Instance method to find a session by id
+userSchema.methods.findSession = function(sessionId) {
+  return this.refreshTokens.find(rt => rt._id.toString() === String(sessionId));
+};
+
+// Instance method to revoke a single session by id
+userSchema.methods.revokeSession = function(sessionId) {
+  this.refreshTokens = this.refreshTokens.filter(rt => rt._id.toString() !== String(sessionId));
+  return this.save();
+};
+
+// Instance method to revoke all sessions, optionally keeping one (e.g. the current one)
+userSchema.methods.revokeAllSessions = function(exceptSessionId = null) {
+  this.refreshTokens = exceptSessionId
+    ? this.refreshTokens.filter(rt => rt._id.toString() === String(exceptSessionId))
+    : [];
+  return this.save();
+};
+
+// Instance method to invalidate every access token issued so far
+userSchema.methods.invalidateAccessTokens = function() {
+  this.tokensValidAfter = new Date();
+};
+
+// Instance method to check whether an access token was issued before the cutoff
+// Tokens carry their issue time in milliseconds (`iatMs`). Older tokens only have the
+// second-precision `iat`, so those from the cutoff's own second are rejected too unless their
+// session was created after the cutoff (e.g. the login that follows it)
+userSchema.methods.isTokenIssuedBeforeCutoff = function(decoded, sessionId = null) {
+  if (!this.tokensValidAfter) return false;
+
+  const session = sessionId && this.findSession(sessionId);
+  if (session && session.createdAt > this.tokensValidAfter) return false;
+
+  const issuedAtMs = decoded.iatMs || decoded.iat * 1000;
+  return issuedAtMs <= this.tokensValidAfter.getTime();
+};
+
+// Instance method to create an email verification token (returns the raw token, stores the hash)
+userSchema.methods.createEmailVerificationToken = function() {
+  const token = generateRandomToken();
+  const expiresInHours = parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS) || 24;
+
+  this.emailVerificationToken = hashToken(token);
+  this.emailVerificationExpires = Date.now() + expiresInHours * 60 * 60 * 1000;
+
+  return token;
+};
+
+// Static method to find user by a valid (unexpired) email verification token
+userSchema.statics.findByEmailVerificationToken = function(token) {
+  return this.findOne({
+    emailVerificationToken: hashToken(token),
+    emailVerificationExpires: { $gt: Date.now() }
+  }).select('+emailVerificationToken +emailVerificationExpires');
+};
+
+// Instance method to start an email change (returns the raw confirm and revert tokens, stores hashes)
+// While an earlier change can still be reverted, that revert link stays the only one, so a
+// second change can't take the undo away from the original owner (revertToken is null then)
+userSchema.methods.createEmailChangeRequest = function(newEmail) {
+  const confirmToken = generateRandomToken();
+  const expiresInHours = parseInt(process.env.EMAIL_CHANGE_EXPIRE_HOURS) || 24;
+  const revertDays = parseInt(process.env.EMAIL_CHANGE_REVERT_DAYS) || 7;
+
+  this.pendingEmail = newEmail;
+  this.emailChangeToken = hashToken(confirmToken);
+  this.emailChangeExpires = Date.now() + expiresInHours * 60 * 60 * 1000;
+
+  let revertToken = null;
+  if (!this.emailRevertExpires || this.emailRevertExpires < Date.now()) {
+    revertToken = generateRandomToken();
+    this.emailRevertAddress = this.email;
+    this.emailRevertToken = hashToken(revertToken);
+    this.emailRevertExpires = Date.now() + revertDays * 24 * 60 * 60 * 1000;
+  }
+
+  return { confirmToken, revertToken };
+};
+
+// Instance method to apply a confirmed email change
+userSchema.methods.applyEmailChange = function() {
+  this.email = this.pendingEmail;
+  this.isEmailVerified = true;
+  this.pendingEmail = null;
+  this.emailChangeToken = undefined;
+  this.emailChangeExpires = undefined;
+};
+
+// Instance method to undo an email change (or cancel a pending one) from the old address
+userSchema.methods.revertEmailChange = function() {
+  this.email = this.emailRevertAddress;
+  this.isEmailVerified = true;
+  this.pendingEmail = null;
+  this.emailChangeToken = undefined;
+  this.emailChangeExpires = undefined;
+  this.emailRevertAddress = undefined;
+  this.emailRevertToken = undefined;
+  this.emailRevertExpires = undefined;
+};
+
+// Static method to find user by a valid (unexpired) email change confirmation token
+userSchema.statics.findByEmailChangeToken = function(token) {
+  return this.findOne({
+    emailChangeToken: hashToken(token),
+    emailChangeExpires: { $gt: Date.now() }
+  }).select('+emailChangeToken +emailChangeExpires');
+};
+
+// Static method to find user by a valid (unexpired) email revert token
+userSchema.statics.findByEmailRevertToken = function(token) {
+  return this.findOne({
+    emailRevertToken: hashToken(token),
+    emailRevertExpires: { $gt: Date.now() }
+  }).select('+emailChangeToken +emailChangeExpires +emailRevertAddress +emailRevertToken +emailRevertExpires');
+};
+
+// Instance method to create a password reset token (returns the raw token, stores the hash)
+userSchema.methods.createPasswordResetToken = function() {
+  const token = generateRandomToken();
+  const expiresInMinutes = parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 60;
+
+  this.passwordResetToken = hashToken(token);
+  this.passwordResetExpires = Date.now() + expiresInMinutes * 60 * 1000;
+
+  return token;
+};
+
+// Static method to find user by a valid (unexpired) password reset token
+userSchema.statics.findByPasswordResetToken = function(token) {
+  return this.findOne({
+    passwordResetToken: hashToken(token),
+    passwordResetExpires: { $gt: Date.now() }
+  }).select('+password +passwordHistory +passwordResetToken +passwordResetExpires');
+};
+
+// Instance method to verify a TOTP code (rejects codes that were already used)
+userSchema.methods.verifyTwoFactorCode = function(code) {
+  if (!this.twoFactorSecret) return false;
+
+  const window = parseInt(process.env.MFA_TOTP_WINDOW) || 1;
+  const step = verifyCode(this.twoFactorSecret, code, window);
+  if (step === null || (this.twoFactorLastUsedStep && step <= this.twoFactorLastUsedStep)) {
+    return false;
+  }
+
+  this.twoFactorLastUsedStep = step;
+  return true;
+};
+
+// Instance method to generate new recovery codes (returns the raw codes, stores the hashes)
+userSchema.methods.generateRecoveryCodes = function(count = 10) {
+  const codes = [];
+  for (let i = 0; i < count; i++) {
+    const raw = generateRandomToken(4);
+    codes.push(`${raw.slice(0, 4)}-${raw.slice(4)}`);
+  }
+
+  this.twoFactorRecoveryCodes = codes.map(code => hashToken(code));
+  return codes;
+};
+
+// Instance method to consume a recovery code (each code works only once)
+userSchema.methods.useRecoveryCode = function(code) {
+  const hashed = hashToken(String(code || '').trim().toLowerCase());
+  const codes = this.twoFactorRecoveryCodes || [];
+  if (!codes.includes(hashed)) return false;
+
+  this.twoFactorRecoveryCodes = codes.filter(c => c !== hashed);
+  return true;
+};
+
+// Instance method to turn two-factor authentication off and clear its secrets
+userSchema.methods.clearTwoFactor = function() {
+  this.twoFactorEnabled = false;
+  this.twoFactorSecret = undefined;
+  this.twoFactorRecoveryCodes = [];
+  this.twoFactorLastUsedStep = undefined;
+  this.twoFactorEnabledAt = null;
+};
+
+// Static method to find user by id with two-factor secrets
+userSchema.statics.findByIdWithTwoFactor = function(id) {
+  return this.findById(id).select('+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep');
+};
+
+// Instance method to find a linked identity by provider
+userSchema.methods.findIdentity = function(provider) {
+  return this.identities.find(identity => identity.provider === provider);
+};
+
+// Instance method to link an external identity (one per provider)
+userSchema.methods.linkIdentity = function({ provider, subject, email }) {
+  this.identities = this.identities.filter(identity => identity.provider !== provider);
+  this.identities.push({ provider, subject, email });
+};
+
+// Instance method to unlink an external identity
+userSchema.methods.unlinkIdentity = function(provider) {
+  this.identities = this.identities.filter(identity => identity.provider !== provider);
+};
+
+// Static method to find user by a linked identity
+userSchema.statics.findByIdentity = function(provider, subject) {
+  return this.findOne({
+    identities: { $elemMatch: { provider, subject } }
+  });
+};
+
+// Instance method to check for a login method that doesn't need a password
+userSchema.methods.hasPasswordlessLoginMethod = function() {
+  return (this.identities && this.identities.length > 0) || (this.passkeys && this.passkeys.length > 0);
+};
+
+// Instance method to find a passkey by its credential ID
+userSchema.methods.findPasskey = function(credentialId) {
+  return this.passkeys.find(passkey => passkey.credentialId === credentialId);
+};
+
+// Instance method to store a newly registered passkey
+userSchema.methods.addPasskey = function(details) {
+  this.passkeys.push(details);
+  return this.passkeys[this.passkeys.length - 1];
+};
+
+// Instance method to record a successful passkey login
+userSchema.methods.recordPasskeyUse = function(credentialId, counter) {
+  const passkey = this.findPasskey(credentialId);
+  if (passkey) {
+    passkey.counter = counter;
+    passkey.lastUsedAt = new Date();
+  }
+  return passkey;
+};
+
+// Instance method to remove a passkey by its subdocument id
+userSchema.methods.removePasskey = function(passkeyId) {
+  const before = this.passkeys.length;
+  this.passkeys = this.passkeys.filter(passkey => passkey._id.toString() !== String(passkeyId));
+  return this.passkeys.length < before;
+};
+
+// Instance method to remove the passkeys registered at or after a point in time
+userSchema.methods.removePasskeysAddedSince = function(since) {
+  const before = this.passkeys.length;
+  this.passkeys = this.passkeys.filter(passkey => passkey.createdAt < since);
+  return before - this.passkeys.length;
+};
+
+// Static method to find user by a passkey credential ID
+userSchema.statics.findByPasskey = function(credentialId) {
+  return this.findOne({ 'passkeys.credentialId': credentialId });
+};
+
+// Instance method to schedule the account for deletion after the grace period
+userSchema.methods.scheduleDeletion = function(graceDays) {
+  this.deletionRequestedAt = new Date();
+  this.deletionScheduledFor = new Date(Date.now() + graceDays * 24 * 60 * 60 * 1000);
+};
+
+// Instance method to cancel a scheduled deletion
+userSchema.methods.cancelDeletion = function() {
+  this.deletionRequestedAt = null;
+  this.deletionScheduledFor = null;
+};
+
+// Instance method to strip personal data while keeping the document (and references to it)
+userSchema.methods.anonymize = function() {
+  this.firstName = 'Deleted';
+  this.lastName = 'User';
+  this.email = `deleted-${this._id}@deleted.invalid`;
+  this.phone = undefined;
+  this.legacyPhone = undefined;
+  this.avatar = null;
+  this.avatarVariants = [];
+  this.password = undefined;
+  this.passwordHistory = [];
+  this.isEmailVerified = false;
+  this.pendingEmail = null;
+  this.emailVerificationToken = undefined;
+  this.emailVerificationExpires = undefined;
+  this.emailChangeToken = undefined;
+  this.emailChangeExpires = undefined;
+  this.emailRevertAddress = undefined;
+  this.emailRevertToken = undefined;
+  this.emailRevertExpires = undefined;
+  this.passwordResetToken = undefined;
+  this.passwordResetExpires = undefined;
+  this.clearTwoFactor();
+  this.refreshTokens = [];
+  this.identities = [];
+  this.passkeys = [];
+  this.isActive = false;
+  this.invalidateAccessTokens();
+  this.deletionScheduledFor = null;
+  this.anonymizedAt = new Date();
+};
+
+// Static method to find accounts whose deletion grace period has ended
+userSchema.statics.findDueForDeletion = function(limit = 100) {
+  return this.find({ deletionScheduledFor: { $ne: null, $lte: new Date() } })
+    .select('deletionScheduledFor')
+    .limit(limit);
+};
+
+// Static method to atomically take an account whose deletion is due
+// Clearing deletionScheduledFor in the same update means only one sweeper gets the account;
+// returns null when another one got there first or the user logged in and cancelled
+userSchema.statics.claimForDeletion = function(userId) {
+  return this.findOneAndUpdate(
+    { _id: userId, deletionScheduledFor: { $ne: null, $lte: new Date() } },
+    { $set: { deletionScheduledFor: null } },
+    { new: true }
+  );
+};
+
 // Static method to find user by email with password
 userSchema.statics.findByEmailWithPassword = function(email) {
   return this.findOne({ email }).select('+password');
 };
 
+// Static method to find user by email or (E.164) phone number with password
+userSchema.statics.findByLoginIdentifierWithPassword = function(identifier) {
+  const filter = identifier.includes('@') ? { email: identifier.toLowerCase() } : { phone: identifier };
+  return this.findOne(filter).select('+password');
+};
+
+// Static method to check whether a phone number belongs to another account
+userSchema.statics.isPhoneInUse = async function(phone, exceptUserId = null) {
+  const filter = { phone };
+  if (exceptUserId) filter._id = { $ne: exceptUserId };
+  return !!(await this.exists(filter));
+};
+
 // Static method to find user by email with verification token
 userSchema.statics.findByEmailWithVerificationToken = function(email) {
-  return this.findOne({ email }).select('+emailVerificationToken');
+  return this.findOne({ email }).select('+emailVerificationToken +emailVerificationExpires');
 };
 
 // Static method to find user by email with reset token
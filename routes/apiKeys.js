@@ -0,0 +1,265 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const User = require('../models/User');
+const ApiKey = require('../models/ApiKey');
+const Permission = require('../models/Permission');
+const SecurityEvent = require('../models/SecurityEvent');
+const { protect } = require('../middleware/auth');
+const { getUserPermissions } = require('../middleware/permissions');
+const { isAllowed, parsePermission } = require('../utils/permissionMatch');
+const { checkReauthentication } = require('../utils/authSession');
+const router = express.Router();
+
+const getMaxExpireDays = () => parseInt(process.env.API_KEY_MAX_EXPIRE_DAYS) || 365;
+
+const getExpiryDate = (expiresInDays) => {
+  const days = expiresInDays || parseInt(process.env.API_KEY_DEFAULT_EXPIRE_DAYS) || 90;
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+};
+
+const formatApiKey = (apiKey) => ({
+  id: apiKey._id,
+  name: apiKey.name,
+  prefix: apiKey.prefix,
+  scopes: apiKey.scopes,
+  expiresAt: apiKey.expiresAt,
+  lastUsedAt: apiKey.lastUsedAt,
+  lastUsedIp: apiKey.lastUsedIp,
+  rotatedAt: apiKey.rotatedAt,
+  revokedAt: apiKey.revokedAt,
+  isActive: apiKey.isActive,
+  createdAt: apiKey.createdAt
+});
+
+const expiresInDaysValidator = () => body('expiresInDays')
+  .optional()
+  .custom(value => Number.isInteger(value) && value >= 1 && value <= getMaxExpireDays())
+  .withMessage(() => `Expiry must be between 1 and ${getMaxExpireDays()} days`);
+
+const passwordValidator = () => body('password')
+  .optional()
+  .isString()
+  .withMessage('Current password must be a string');
+
+// @desc    List the current user's API keys
+// @route   GET /api/auth/api-keys
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.findByUser(req.user._id);
+
+    res.json({
+      success: true,
+      data: {
+        apiKeys: apiKeys.map(formatApiKey)
+      }
+    });
+  } catch (error) {
+    console.error('Get API keys error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error getting API keys'
+    });
+  }
+});
+
+// @desc    Create an API key (the key is only returned in this response)
+// @route   POST /api/auth/api-keys
+// @access  Private
+router.post('/', protect, [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('API key name must be between 1 and 100 characters'),
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('At least one scope is required'),
+  body('scopes.*')
+    .isString()
+    .trim()
+    .toLowerCase()
+    .matches(/^[a-z0-9_-]+:[a-z]+$/)
+    .withMessage('Scopes must look like resource:action'),
+  expiresInDaysValidator(),
+  passwordValidator()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Keys outlive sessions, so a stolen access token alone mustn't be enough to get one
+    const user = await User.findById(req.user._id).select('+password');
+    const reauthError = await checkReauthentication(user, req.body.password, req.sessionId);
+    if (reauthError) {
+      return res.status(reauthError.status).json(reauthError.body);
+    }
+
+    const scopes = [...new Set(req.body.scopes)];
+
+    // Scopes must be existing permissions the user currently holds
+    const activePermissions = await Permission.find({ isActive: true });
+    const knownScopes = new Set(activePermissions.map(permission => `${permission.resource}:${permission.action}`));
+    const unknownScopes = scopes.filter(scope => !knownScopes.has(scope));
+    if (unknownScopes.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown scopes: ${unknownScopes.join(', ')}`
+      });
+    }
+
+    const userPermissions = new Set(await getUserPermissions(req.user._id));
+    const deniedScopes = scopes.filter(scope => {
+      const { resource, action } = parsePermission(scope);
+      return !isAllowed(userPermissions, resource, action);
+    });
+    if (deniedScopes.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: `You don't have these permissions: ${deniedScopes.join(', ')}`
+      });
+    }
+
+    const { apiKey, key } = await ApiKey.generate({
+      user: req.user._id,
+      name: req.body.name,
+      scopes,
+      expiresAt: getExpiryDate(req.body.expiresInDays)
+    });
+
+    await SecurityEvent.record('api_key_created', {
+      user: req.user._id,
+      req,
+      details: { apiKeyId: apiKey._id, scopes }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created successfully. Copy the key now, it will not be shown again.',
+      data: {
+        apiKey: formatApiKey(apiKey),
+        key
+      }
+    });
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating API key'
+    });
+  }
+});
+
+// @desc    Rotate an API key (replaces the secret, keeps name and scopes)
+// @route   POST /api/auth/api-keys/:id/rotate
+// @access  Private
+router.post('/:id/rotate', protect, [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid API key ID'),
+  expiresInDaysValidator(),
+  passwordValidator()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Keys outlive sessions, so a stolen access token alone mustn't be enough to get one
+    const user = await User.findById(req.user._id).select('+password');
+    const reauthError = await checkReauthentication(user, req.body.password, req.sessionId);
+    if (reauthError) {
+      return res.status(reauthError.status).json(reauthError.body);
+    }
+
+    const apiKey = await ApiKey.findOne({ _id: req.params.id, user: req.user._id });
+    if (!apiKey || apiKey.revokedAt) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    const key = await apiKey.rotate(req.body.expiresInDays ? getExpiryDate(req.body.expiresInDays) : null);
+
+    await SecurityEvent.record('api_key_rotated', {
+      user: req.user._id,
+      req,
+      details: { apiKeyId: apiKey._id }
+    });
+
+    res.json({
+      success: true,
+      message: 'API key rotated successfully. Copy the key now, it will not be shown again.',
+      data: {
+        apiKey: formatApiKey(apiKey),
+        key
+      }
+    });
+  } catch (error) {
+    console.error('Rotate API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error rotating API key'
+    });
+  }
+});
+
+// @desc    Revoke an API key
+// @route   DELETE /api/auth/api-keys/:id
+// @access  Private
+router.delete('/:id', protect, [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid API key ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const apiKey = await ApiKey.findOne({ _id: req.params.id, user: req.user._id });
+    if (!apiKey || apiKey.revokedAt) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    await apiKey.revoke();
+
+    await SecurityEvent.record('api_key_revoked', {
+      user: req.user._id,
+      req,
+      details: { apiKeyId: apiKey._id }
+    });
+
+    res.json({
+      success: true,
+      message: 'API key revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error revoking API key'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,11 +1,58 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const User = require('../models/User');
 const Role = require('../models/Role');
+const SecurityEvent = require('../models/SecurityEvent');
+const RevokedToken = require('../models/RevokedToken');
+const ApiKey = require('../models/ApiKey');
 const { generateToken, generateRefreshToken, verifyRefreshToken } = require('../config/jwt');
-const { protect } = require('../middleware/auth');
+const { protect, requireVerifiedEmail, rejectApiKey, rejectImpersonation, browserAuthMode } = require('../middleware/auth');
+const { emailVerificationLimiter, passwordResetLimiter } = require('../middleware/security');
+const { sendMail } = require('../utils/mailer');
+const { verificationEmail, passwordResetEmail, accountDeletionScheduledEmail } = require('../utils/emailTemplates');
+const { issueTokens, completeLogin, createMfaChallenge, checkReauthentication } = require('../utils/authSession');
+const { getRequestContext } = require('../utils/deviceInfo');
+const { validatePassword, passwordPolicyErrorResponse } = require('../utils/passwordPolicy');
+const { recordFailedLogin } = require('../utils/accountLockout');
+const { buildAccountExport, zipAccountExport } = require('../utils/accountExport');
+const { getDeletionGraceDays, getDeletionMode } = require('../utils/accountDeletion');
+const { validateAvatarFile, saveAvatar, clearAvatar, removeAvatarFiles, formatAvatar } = require('../utils/avatar');
+const { avatarUpload } = require('../middleware/upload');
+const { normalizePhone, isValidPhone } = require('../utils/phone');
+const { checkLoginDevice } = require('../utils/loginAlerts');
+const {
+  isCookieAuthEnabled,
+  isValidCsrfRequest,
+  getRefreshTokenFromCookies,
+  clearAuthCookies
+} = require('../utils/authCookies');
+const mfaRoutes = require('./mfa');
+const sessionRoutes = require('./sessions');
+const oidcRoutes = require('./oidc');
+const identityRoutes = require('./identities');
+const passwordlessRoutes = require('./passwordless');
+const passkeyRoutes = require('./passkeys');
+const apiKeyRoutes = require('./apiKeys');
+const emailChangeRoutes = require('./emailChange');
+const deviceRoutes = require('./devices');
 const router = express.Router();
 
+// Browser clients can have their tokens set as cookies instead (see utils/authCookies.js)
+router.use(browserAuthMode);
+
+// Issue a new email verification token and send it to the user
+const sendVerificationEmail = async (user) => {
+  const verificationToken = user.createEmailVerificationToken();
+  await user.save({ validateBeforeSave: false });
+
+  try {
+    await sendMail(verificationEmail(user, verificationToken));
+  } catch (error) {
+    // Don't fail the request if the mail transport is down; the user can resend
+    console.error('Send verification email error:', error);
+  }
+};
+
 // @desc    Register user
 // @route   POST /api/auth/register
 // @access  Public
@@ -23,14 +70,14 @@ router.post('/register', [
     .normalizeEmail()
     .withMessage('Please provide a valid email'),
   body('password')
-    .isLength({ min: 6 })
-    .withMessage('Password must be at least 6 characters long')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-    .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number'),
+    .isString()
+    .notEmpty()
+    .withMessage('Password is required'),
   body('phone')
     .optional()
-    .isMobilePhone()
+    .custom(isValidPhone)
     .withMessage('Please provide a valid phone number')
+    .customSanitizer(normalizePhone)
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -59,12 +106,17 @@ router.post('/register', [
       });
     }
 
-    // Check for duplicate phone number (if provided)
+    // New accounts get the default user role, so the user password policy applies
+    const passwordFailures = await validatePassword(password, {
+      user: { firstName, lastName, email: normalizedEmail }
+    });
+    if (passwordFailures.length > 0) {
+      return res.status(400).json(passwordPolicyErrorResponse(passwordFailures));
+    }
+
+    // Check for duplicate phone number (if provided, already normalized to E.164 by the validator)
     if (phone) {
-      const normalizedPhone = phone.trim();
-      const existingUserByPhone = await User.findOne({ phone: normalizedPhone });
-      
-      if (existingUserByPhone) {
+      if (await User.isPhoneInUse(phone)) {
         return res.status(400).json({
           success: false,
           message: 'User already exists with this phone number',
@@ -74,20 +126,7 @@ router.post('/register', [
     }
 
     // Find or create default user role
-    let defaultRole = await Role.findOne({ name: 'user' });
-    
-    // If user role doesn't exist, create it (fallback)
-    if (!defaultRole) {
-      console.warn('User role not found, creating default user role...');
-      defaultRole = await Role.create({
-        name: 'user',
-        displayName: 'User',
-        description: 'Standard user with basic permissions',
-        level: 1,
-        isSystemRole: true,
-        isActive: true
-      });
-    }
+    const defaultRole = await Role.getDefaultRole();
 
     // Create user with default role
     const user = await User.create({
@@ -95,23 +134,25 @@ router.post('/register', [
       lastName,
       email: normalizedEmail, // Use normalized email
       password,
-      phone: phone ? phone.trim() : phone, // Normalize phone if provided
+      phone,
       roles: [defaultRole._id] // Assign user role by default
     });
 
-    // Generate tokens
-    const token = generateToken({ id: user._id });
-    const refreshToken = generateRefreshToken({ id: user._id });
+    // Send email verification link
+    await sendVerificationEmail(user);
+
+    // Generate tokens and start a session for this device
+    const { token, refreshToken, sessionId } = await issueTokens(user, req);
 
-    // Add refresh token to user
-    await user.addRefreshToken(refreshToken);
+    // Remember the sign-up device so later logins from it don't raise an alert
+    await checkLoginDevice(user, req, sessionId);
 
     // Populate roles for response
     await user.populate('roles');
 
     res.status(201).json({
       success: true,
-      message: 'User registered successfully',
+      message: 'User registered successfully. Please check your email to verify your account.',
       data: {
         user: {
           id: user._id,
@@ -140,7 +181,23 @@ router.post('/register', [
 // @route   POST /api/auth/login
 // @access  Public
 router.post('/login', [
+  // identifier is an email address or a phone number; email is still accepted on its own
+  body('identifier')
+    .optional()
+    .isString()
+    .trim(),
+  body('identifier')
+    .if(body('identifier').contains('@'))
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  body('identifier')
+    .if(body('identifier').exists().not().contains('@'))
+    .custom(isValidPhone)
+    .withMessage('Please provide a valid email or phone number')
+    .customSanitizer(normalizePhone),
   body('email')
+    .optional()
     .isEmail()
     .normalizeEmail()
     .withMessage('Please provide a valid email'),
@@ -159,10 +216,19 @@ router.post('/login', [
       });
     }
 
-    const { email, password } = req.body;
+    const { password } = req.body;
+    const identifier = req.body.identifier || req.body.email;
+
+    if (!identifier) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email or phone number is required',
+        field: 'identifier'
+      });
+    }
 
     // Get user with password
-    const user = await User.findByEmailWithPassword(email);
+    const user = await User.findByLoginIdentifierWithPassword(identifier);
     if (!user) {
       return res.status(401).json({
         success: false,
@@ -190,49 +256,43 @@ router.post('/login', [
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
       // Increment login attempts
-      await user.incLoginAttempts();
+      await recordFailedLogin(user, req);
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
+    // The user reported a login they didn't make, so the password has to be replaced first
+    if (user.passwordResetRequired) {
+      return res.status(403).json({
+        success: false,
+        message: 'Your password must be reset before you can log in with it. Check your email for a reset link.',
+        code: 'PASSWORD_RESET_REQUIRED'
+      });
+    }
+
+    // Require the second factor before issuing tokens
+    // (login attempts are only reset once the second factor succeeds)
+    if (user.twoFactorEnabled) {
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication required',
+        data: createMfaChallenge(user)
+      });
+    }
+
     // Reset login attempts on successful login
     if (user.loginAttempts > 0) {
       await user.resetLoginAttempts();
     }
 
-    // Update last login
-    user.lastLogin = new Date();
-    await user.save();
-
-    // Generate tokens
-    const token = generateToken({ id: user._id });
-    const refreshToken = generateRefreshToken({ id: user._id });
-
-    // Add refresh token to user
-    await user.addRefreshToken(refreshToken);
-
-    // Populate roles for response
-    await user.populate('roles');
+    const data = await completeLogin(user, req);
 
     res.json({
       success: true,
       message: 'Login successful',
-      data: {
-        user: {
-          id: user._id,
-          firstName: user.firstName,
-          lastName: user.lastName,
-          email: user.email,
-          phone: user.phone,
-          roles: user.roles,
-          isEmailVerified: user.isEmailVerified,
-          lastLogin: user.lastLogin
-        },
-        token,
-        refreshToken
-      }
+      data
     });
   } catch (error) {
     console.error('Login error:', error);
@@ -252,11 +312,25 @@ router.post('/refresh', [
     .withMessage('Refresh token is required')
 ], async (req, res) => {
   try {
-    const { refreshToken } = req.body;
+    let { refreshToken } = req.body;
+
+    // Browser mode keeps the refresh token in a cookie
+    if (!refreshToken && isCookieAuthEnabled() && getRefreshTokenFromCookies(req)) {
+      refreshToken = getRefreshTokenFromCookies(req);
+      req.authSource = 'cookie';
+    }
 
     // Verify refresh token
     const decoded = verifyRefreshToken(refreshToken);
 
+    if (req.authSource === 'cookie' && !isValidCsrfRequest(req, decoded.sid)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Invalid or missing CSRF token',
+        code: 'CSRF_TOKEN_INVALID'
+      });
+    }
+
     // Find user
     const user = await User.findById(decoded.id);
     if (!user || !user.isActive) {
@@ -266,22 +340,52 @@ router.post('/refresh', [
       });
     }
 
-    // Check if refresh token exists in user's tokens
-    const tokenExists = user.refreshTokens.some(rt => rt.token === refreshToken);
-    if (!tokenExists) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid refresh token'
-      });
+    // Check if refresh token is the current token of one of the user's sessions
+    let session = user.refreshTokens.find(rt => rt.token === refreshToken);
+
+    if (!session) {
+      // A token that was already rotated is being presented again
+      const reused = user.findSessionByPreviousToken(refreshToken);
+      if (!reused) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid refresh token'
+        });
+      }
+
+      // Allow a short grace window for clients that retry after losing the previous response
+      const graceMs = (parseInt(process.env.REFRESH_TOKEN_REUSE_GRACE_SECONDS) || 0) * 1000;
+      const withinGrace = reused.isLatest && Date.now() - reused.rotatedAt.getTime() <= graceMs;
+
+      if (!withinGrace) {
+        // Possible token theft: revoke the whole token family (the session)
+        await user.revokeSession(reused.session._id);
+        await SecurityEvent.record('refresh_token_reuse', {
+          user: user._id,
+          req,
+          details: {
+            sessionId: reused.session._id,
+            deviceName: reused.session.deviceName,
+            rotatedAt: reused.rotatedAt
+          }
+        });
+
+        return res.status(401).json({
+          success: false,
+          message: 'Refresh token reuse detected. The session has been revoked, please log in again.',
+          code: 'REFRESH_TOKEN_REUSED'
+        });
+      }
+
+      session = reused.session;
     }
 
-    // Generate new tokens
-    const newToken = generateToken({ id: user._id });
-    const newRefreshToken = generateRefreshToken({ id: user._id });
+    // Generate new tokens for the same session
+    const newToken = generateToken({ id: user._id, sid: session._id });
+    const newRefreshToken = generateRefreshToken({ id: user._id, sid: session._id });
 
-    // Remove old refresh token and add new one
-    await user.removeRefreshToken(refreshToken);
-    await user.addRefreshToken(newRefreshToken);
+    // Replace the old refresh token and record the activity on the session
+    await user.rotateRefreshToken(session.token, newRefreshToken, getRequestContext(req));
 
     res.json({
       success: true,
@@ -303,19 +407,38 @@ router.post('/refresh', [
 // @desc    Logout user
 // @route   POST /api/auth/logout
 // @access  Private
-router.post('/logout', protect, async (req, res) => {
+router.post('/logout', rejectApiKey, protect, async (req, res) => {
   try {
-    const { refreshToken } = req.body;
-
-    if (refreshToken) {
-      // Remove specific refresh token
+    const refreshToken = req.body.refreshToken ||
+      (req.authSource === 'cookie' ? getRefreshTokenFromCookies(req) : null);
+
+    if (req.impersonator) {
+      // Ending an impersonation only revokes the impersonation token
+      await RevokedToken.revoke(req.tokenPayload, 'impersonation_ended');
+      await SecurityEvent.record('impersonation_ended', {
+        user: req.user._id,
+        actor: req.impersonator._id,
+        req
+      });
+    } else if (refreshToken) {
+      // Remove specific refresh token and revoke the access token used for this request
       await req.user.removeRefreshToken(refreshToken);
+      await RevokedToken.revoke(req.tokenPayload, 'logout');
+    } else if (req.authSource === 'cookie' && req.sessionId) {
+      // Browser logout ends the current session even when the refresh token cookie is gone
+      await req.user.revokeSession(req.sessionId);
+      await RevokedToken.revoke(req.tokenPayload, 'logout');
     } else {
-      // Remove all refresh tokens (logout from all devices)
+      // Remove all refresh tokens and invalidate every access token (logout from all devices)
       req.user.refreshTokens = [];
+      req.user.invalidateAccessTokens();
       await req.user.save();
     }
 
+    if (req.authSource === 'cookie') {
+      clearAuthCookies(res);
+    }
+
     res.json({
       success: true,
       message: 'Logout successful'
@@ -329,6 +452,210 @@ router.post('/logout', protect, async (req, res) => {
   }
 });
 
+// @desc    Verify email address
+// @route   POST /api/auth/verify-email
+// @access  Public
+router.post('/verify-email', [
+  body('token')
+    .trim()
+    .notEmpty()
+    .withMessage('Verification token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findByEmailVerificationToken(req.body.token);
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification token'
+      });
+    }
+
+    user.isEmailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully',
+      data: {
+        isEmailVerified: user.isEmailVerified
+      }
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error verifying email'
+    });
+  }
+});
+
+// @desc    Resend email verification link
+// @route   POST /api/auth/resend-verification
+// @access  Public
+router.post('/resend-verification', emailVerificationLimiter, [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findByEmailWithVerificationToken(req.body.email);
+
+    // Only send to existing, unverified accounts
+    if (user && user.isActive && !user.isEmailVerified) {
+      await sendVerificationEmail(user);
+    }
+
+    // Same response either way so the endpoint can't be used to discover accounts
+    res.json({
+      success: true,
+      message: 'If an unverified account exists for this email, a verification link has been sent'
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error resending verification email'
+    });
+  }
+});
+
+// @desc    Request a password reset link
+// @route   POST /api/auth/forgot-password
+// @access  Public
+router.post('/forgot-password', passwordResetLimiter, [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findByEmailWithResetToken(req.body.email);
+
+    if (user && user.isActive) {
+      const resetToken = user.createPasswordResetToken();
+      await user.save({ validateBeforeSave: false });
+
+      try {
+        await sendMail(passwordResetEmail(user, resetToken));
+      } catch (error) {
+        console.error('Send password reset email error:', error);
+      }
+    }
+
+    // Same response either way so the endpoint can't be used to discover accounts
+    res.json({
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent'
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error requesting password reset'
+    });
+  }
+});
+
+// @desc    Reset password with a reset token
+// @route   POST /api/auth/reset-password
+// @access  Public
+router.post('/reset-password', passwordResetLimiter, [
+  body('token')
+    .trim()
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  body('password')
+    .isString()
+    .notEmpty()
+    .withMessage('Password is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findByPasswordResetToken(req.body.token);
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset token'
+      });
+    }
+
+    await user.populate('roles');
+    const passwordFailures = await validatePassword(req.body.password, {
+      user,
+      roleNames: user.roles.map(role => role.name)
+    });
+    if (passwordFailures.length > 0) {
+      return res.status(400).json(passwordPolicyErrorResponse(passwordFailures));
+    }
+
+    // Set new password and consume the token so it can't be reused
+    user.password = req.body.password;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    user.passwordResetRequired = false;
+
+    // Revoke every session and access token, and clear any lockout
+    user.refreshTokens = [];
+    user.invalidateAccessTokens();
+    user.loginAttempts = 0;
+    user.lockUntil = undefined;
+
+    await user.save();
+
+    // Keys created with the old password (or by whoever knew it) stop working too
+    await ApiKey.revokeAllForUser(user._id);
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully. Please log in with your new password.'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error resetting password'
+    });
+  }
+});
+
 // @desc    Get current user
 // @route   GET /api/auth/me
 // @access  Private
@@ -345,13 +672,22 @@ router.get('/me', protect, async (req, res) => {
           lastName: req.user.lastName,
           email: req.user.email,
           phone: req.user.phone,
-          avatar: req.user.avatar,
+          ...formatAvatar(req.user),
           roles: req.user.roles,
           isEmailVerified: req.user.isEmailVerified,
+          pendingEmail: req.user.pendingEmail,
+          twoFactorEnabled: req.user.twoFactorEnabled,
           isActive: req.user.isActive,
           lastLogin: req.user.lastLogin,
           createdAt: req.user.createdAt
-        }
+        },
+        // Set while an admin is using the app as this user
+        impersonator: req.impersonator ? {
+          id: req.impersonator._id,
+          firstName: req.impersonator.firstName,
+          lastName: req.impersonator.lastName,
+          email: req.impersonator.email
+        } : null
       }
     });
   } catch (error) {
@@ -363,10 +699,195 @@ router.get('/me', protect, async (req, res) => {
   }
 });
 
+// @desc    Download a copy of the current user's data (?format=zip for a zip archive)
+// @route   GET /api/auth/me/export
+// @access  Private
+router.get('/me/export', rejectApiKey, rejectImpersonation, protect, [
+  query('format')
+    .optional()
+    .isIn(['json', 'zip'])
+    .withMessage('Format must be json or zip')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const data = await buildAccountExport(req.user._id, req.sessionId);
+    const fileName = `we-spend-wise-account-${req.user._id}`;
+
+    await SecurityEvent.record('account_exported', {
+      user: req.user._id,
+      req,
+      details: { format: req.query.format || 'json' }
+    });
+
+    if (req.query.format === 'zip') {
+      res.attachment(`${fileName}.zip`);
+      return res.send(zipAccountExport(data));
+    }
+
+    res.attachment(`${fileName}.json`);
+    res.json(data);
+  } catch (error) {
+    console.error('Export account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error exporting account data'
+    });
+  }
+});
+
+// @desc    Delete the current user's account after a grace period (log in again to cancel)
+// @route   DELETE /api/auth/me
+// @access  Private
+router.delete('/me', rejectApiKey, rejectImpersonation, protect, [
+  body('password')
+    .optional()
+    .isString()
+    .withMessage('Password must be a string')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+password');
+
+    // Accounts with a password confirm with it; the others must have signed in recently
+    const reauthError = await checkReauthentication(user, req.body.password, req.sessionId);
+    if (reauthError) {
+      return res.status(reauthError.status).json(reauthError.body);
+    }
+
+    user.scheduleDeletion(getDeletionGraceDays());
+
+    // Sign out everywhere; logging in again is how the user cancels
+    user.refreshTokens = [];
+    user.invalidateAccessTokens();
+    await user.save({ validateBeforeSave: false });
+
+    await SecurityEvent.record('account_deletion_requested', {
+      user: user._id,
+      req,
+      details: { scheduledFor: user.deletionScheduledFor, mode: getDeletionMode() }
+    });
+
+    try {
+      await sendMail(accountDeletionScheduledEmail(user));
+    } catch (error) {
+      console.error('Send account deletion email error:', error);
+    }
+
+    res.json({
+      success: true,
+      message: 'Your account will be deleted at the end of the grace period. Log in again before then to cancel.',
+      data: {
+        deletionScheduledFor: user.deletionScheduledFor
+      }
+    });
+  } catch (error) {
+    console.error('Delete account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error deleting account'
+    });
+  }
+});
+
+// @desc    Upload (or replace) the current user's avatar
+// @route   PUT /api/auth/me/avatar
+// @access  Private
+router.put('/me/avatar', rejectApiKey, protect, avatarUpload(), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload an image in the "avatar" field'
+      });
+    }
+
+    const fileError = validateAvatarFile(req.file);
+    if (fileError) {
+      return res.status(400).json({
+        success: false,
+        message: fileError,
+        field: 'avatar'
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+
+    let previousKeys;
+    try {
+      previousKeys = await saveAvatar(user, req.file.buffer);
+    } catch (error) {
+      // Header checks passed but the image itself couldn't be decoded
+      console.error('Process avatar error:', error);
+      return res.status(400).json({
+        success: false,
+        message: 'Avatar image could not be processed',
+        field: 'avatar'
+      });
+    }
+
+    await user.save({ validateBeforeSave: false });
+    // The old files are only deleted once the user points at the new ones
+    await removeAvatarFiles(previousKeys);
+
+    res.json({
+      success: true,
+      message: 'Avatar updated successfully',
+      data: formatAvatar(user)
+    });
+  } catch (error) {
+    console.error('Upload avatar error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error uploading avatar'
+    });
+  }
+});
+
+// @desc    Remove the current user's avatar
+// @route   DELETE /api/auth/me/avatar
+// @access  Private
+router.delete('/me/avatar', rejectApiKey, protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    const previousKeys = clearAvatar(user);
+    await user.save({ validateBeforeSave: false });
+    await removeAvatarFiles(previousKeys);
+
+    res.json({
+      success: true,
+      message: 'Avatar removed successfully',
+      data: formatAvatar(user)
+    });
+  } catch (error) {
+    console.error('Remove avatar error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error removing avatar'
+    });
+  }
+});
+
 // @desc    Update user profile
 // @route   PUT /api/auth/profile
 // @access  Private
-router.put('/profile', protect, [
+router.put('/profile', rejectApiKey, protect, requireVerifiedEmail, [
   body('firstName')
     .optional()
     .trim()
@@ -379,8 +900,9 @@ router.put('/profile', protect, [
     .withMessage('Last name must be between 2 and 50 characters'),
   body('phone')
     .optional()
-    .isMobilePhone()
+    .custom(isValidPhone)
     .withMessage('Please provide a valid phone number')
+    .customSanitizer(normalizePhone)
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -395,6 +917,14 @@ router.put('/profile', protect, [
     const { firstName, lastName, phone } = req.body;
     const updateData = {};
 
+    if (phone && await User.isPhoneInUse(phone, req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'User already exists with this phone number',
+        field: 'phone'
+      });
+    }
+
     if (firstName) updateData.firstName = firstName;
     if (lastName) updateData.lastName = lastName;
     if (phone) updateData.phone = phone;
@@ -415,7 +945,7 @@ router.put('/profile', protect, [
           lastName: user.lastName,
           email: user.email,
           phone: user.phone,
-          avatar: user.avatar,
+          ...formatAvatar(user),
           roles: user.roles,
           isEmailVerified: user.isEmailVerified,
           isActive: user.isActive,
@@ -433,4 +963,29 @@ router.put('/profile', protect, [
   }
 });
 
+// Two-factor authentication routes
+router.use('/mfa', rejectApiKey, rejectImpersonation, mfaRoutes);
+
+// Session (logged-in devices) routes
+router.use('/sessions', rejectApiKey, rejectImpersonation, sessionRoutes);
+
+// Social login (OpenID Connect) and linked identity routes
+router.use('/oidc', oidcRoutes);
+router.use('/identities', rejectApiKey, rejectImpersonation, identityRoutes);
+
+// Passwordless login (email magic links and SMS codes)
+router.use('/passwordless', passwordlessRoutes);
+
+// Known devices and "this wasn't me" reports from new-login alerts
+router.use('/devices', deviceRoutes);
+
+// WebAuthn passkey registration and login
+router.use('/passkeys', rejectApiKey, rejectImpersonation, passkeyRoutes);
+
+// Personal access tokens (API keys) for scripts and integrations
+router.use('/api-keys', rejectApiKey, rejectImpersonation, apiKeyRoutes);
+
+// Email address change (confirm from the new inbox, undo from the old one)
+router.use('/email', emailChangeRoutes);
+
 module.exports = router;
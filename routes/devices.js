@@ -0,0 +1,169 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const User = require('../models/User');
+const ApiKey = require('../models/ApiKey');
+const KnownDevice = require('../models/KnownDevice');
+const LoginAlert = require('../models/LoginAlert');
+const SecurityEvent = require('../models/SecurityEvent');
+const { protect, rejectApiKey, rejectImpersonation } = require('../middleware/auth');
+const { sendMail } = require('../utils/mailer');
+const { passwordResetEmail } = require('../utils/emailTemplates');
+const { getDeviceFingerprint } = require('../utils/loginAlerts');
+const router = express.Router();
+
+const formatKnownDevice = (device, currentFingerprint) => ({
+  id: device._id,
+  deviceName: device.deviceName,
+  userAgent: device.userAgent,
+  lastIp: device.lastIp,
+  regions: device.regions,
+  firstSeenAt: device.createdAt,
+  lastSeenAt: device.lastSeenAt,
+  current: device.fingerprint === currentFingerprint
+});
+
+// @desc    List the devices the current user has logged in from
+// @route   GET /api/auth/devices
+// @access  Private
+router.get('/', rejectApiKey, rejectImpersonation, protect, async (req, res) => {
+  try {
+    const devices = await KnownDevice.findByUser(req.user._id);
+    const currentFingerprint = getDeviceFingerprint(req);
+
+    res.json({
+      success: true,
+      data: {
+        devices: devices.map(device => formatKnownDevice(device, currentFingerprint))
+      }
+    });
+  } catch (error) {
+    console.error('Get known devices error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error getting devices'
+    });
+  }
+});
+
+// @desc    Report a login from an alert as not made by the user ("this wasn't me")
+// @route   POST /api/auth/devices/report
+// @access  Public
+router.post('/report', [
+  body('token')
+    .trim()
+    .notEmpty()
+    .withMessage('Report token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const alert = await LoginAlert.findByToken(req.body.token);
+    const user = alert && await User.findById(alert.user);
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired report link'
+      });
+    }
+
+    // Passkeys registered since the reported login could belong to whoever made it
+    const reportedSession = alert.sessionId && user.findSession(alert.sessionId);
+    const passkeysRemoved = user.removePasskeysAddedSince(reportedSession ? reportedSession.createdAt : alert.createdAt);
+
+    // Sign out everywhere and require a new password before password logins work again
+    user.refreshTokens = [];
+    user.invalidateAccessTokens();
+    user.passwordResetRequired = true;
+    const resetToken = user.createPasswordResetToken();
+    await user.save({ validateBeforeSave: false });
+
+    // API keys outlive sessions, so any of them could have been created by the intruder
+    const apiKeysRevoked = await ApiKey.revokeAllForUser(user._id);
+
+    alert.reportedAt = new Date();
+    await alert.save();
+
+    // Logging in from that device again should raise a new alert
+    if (alert.device) {
+      await KnownDevice.deleteOne({ _id: alert.device, user: user._id });
+    }
+
+    try {
+      await sendMail(passwordResetEmail(user, resetToken));
+    } catch (error) {
+      console.error('Send password reset email error:', error);
+    }
+
+    await SecurityEvent.record('login_reported', {
+      user: user._id,
+      req,
+      details: {
+        alertId: alert._id,
+        sessionId: alert.sessionId,
+        ip: alert.ip,
+        deviceName: alert.deviceName,
+        apiKeysRevoked,
+        passkeysRemoved
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Thanks for letting us know. All devices have been signed out, your API keys and any passkeys added since that login were removed, and we sent you an email to choose a new password.'
+    });
+  } catch (error) {
+    console.error('Report login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error reporting login'
+    });
+  }
+});
+
+// @desc    Forget a known device (the next login from it raises an alert again)
+// @route   DELETE /api/auth/devices/:id
+// @access  Private
+router.delete('/:id', rejectApiKey, rejectImpersonation, protect, [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid device ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await KnownDevice.deleteOne({ _id: req.params.id, user: req.user._id });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Device removed successfully'
+    });
+  } catch (error) {
+    console.error('Remove known device error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error removing device'
+    });
+  }
+});
+
+module.exports = router;
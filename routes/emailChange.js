@@ -0,0 +1,227 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const User = require('../models/User');
+const SecurityEvent = require('../models/SecurityEvent');
+const { protect, rejectApiKey, rejectImpersonation } = require('../middleware/auth');
+const { emailVerificationLimiter } = require('../middleware/security');
+const { sendMail } = require('../utils/mailer');
+const { emailChangeConfirmationEmail, emailChangeNoticeEmail } = require('../utils/emailTemplates');
+const { checkReauthentication } = require('../utils/authSession');
+const router = express.Router();
+
+// Email is unique, so saving can still fail if someone else took the address in the meantime
+const isDuplicateEmailError = (error) => error && error.code === 11000 && error.keyPattern && error.keyPattern.email;
+
+// @desc    Request an email address change (confirmed from the new inbox)
+// @route   POST /api/auth/email/change
+// @access  Private
+router.post('/change', rejectApiKey, rejectImpersonation, emailVerificationLimiter, protect, [
+  body('newEmail')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  body('password')
+    .optional()
+    .isString()
+    .withMessage('Current password must be a string')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id)
+      .select('+password +emailRevertAddress +emailRevertToken +emailRevertExpires');
+
+    // Accounts with a password confirm with it; the others must have signed in recently
+    const reauthError = await checkReauthentication(user, req.body.password, req.sessionId);
+    if (reauthError) {
+      return res.status(reauthError.status).json(reauthError.body);
+    }
+
+    const newEmail = req.body.newEmail.toLowerCase().trim();
+
+    if (newEmail === user.email) {
+      return res.status(400).json({
+        success: false,
+        message: 'New email must be different from the current one',
+        field: 'newEmail'
+      });
+    }
+
+    if (await User.findOne({ email: newEmail })) {
+      return res.status(400).json({
+        success: false,
+        message: 'User already exists with this email address',
+        field: 'newEmail'
+      });
+    }
+
+    const { confirmToken, revertToken } = user.createEmailChangeRequest(newEmail);
+    await user.save({ validateBeforeSave: false });
+
+    try {
+      await sendMail(emailChangeConfirmationEmail(user, newEmail, confirmToken));
+      await sendMail(emailChangeNoticeEmail(user, newEmail, revertToken));
+    } catch (error) {
+      console.error('Send email change messages error:', error);
+    }
+
+    await SecurityEvent.record('email_change_requested', {
+      user: user._id,
+      req,
+      details: { from: user.email, to: newEmail }
+    });
+
+    res.json({
+      success: true,
+      message: `A confirmation link has been sent to ${newEmail}. Your email will change once you open it.`,
+      data: {
+        pendingEmail: newEmail
+      }
+    });
+  } catch (error) {
+    console.error('Request email change error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error requesting email change'
+    });
+  }
+});
+
+// @desc    Confirm an email change with the link sent to the new address
+// @route   POST /api/auth/email/confirm
+// @access  Public
+router.post('/confirm', [
+  body('token')
+    .trim()
+    .notEmpty()
+    .withMessage('Confirmation token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findByEmailChangeToken(req.body.token);
+    if (!user || !user.pendingEmail) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired confirmation token'
+      });
+    }
+
+    const previousEmail = user.email;
+    user.applyEmailChange();
+
+    try {
+      await user.save({ validateBeforeSave: false });
+    } catch (error) {
+      if (isDuplicateEmailError(error)) {
+        return res.status(409).json({
+          success: false,
+          message: 'This email address is already in use by another account'
+        });
+      }
+      throw error;
+    }
+
+    await SecurityEvent.record('email_changed', {
+      user: user._id,
+      req,
+      details: { from: previousEmail, to: user.email }
+    });
+
+    res.json({
+      success: true,
+      message: 'Email address changed successfully',
+      data: {
+        email: user.email,
+        isEmailVerified: user.isEmailVerified
+      }
+    });
+  } catch (error) {
+    console.error('Confirm email change error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error confirming email change'
+    });
+  }
+});
+
+// @desc    Undo (or cancel) an email change with the link sent to the old address
+// @route   POST /api/auth/email/revert
+// @access  Public
+router.post('/revert', [
+  body('token')
+    .trim()
+    .notEmpty()
+    .withMessage('Revert token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findByEmailRevertToken(req.body.token);
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired revert token'
+      });
+    }
+
+    const changedEmail = user.email;
+    user.revertEmailChange();
+
+    // Someone else who requested the change may have had access, so sign out everywhere
+    user.refreshTokens = [];
+    user.invalidateAccessTokens();
+
+    try {
+      await user.save({ validateBeforeSave: false });
+    } catch (error) {
+      if (isDuplicateEmailError(error)) {
+        return res.status(409).json({
+          success: false,
+          message: 'The previous email address is now used by another account. Please contact support.'
+        });
+      }
+      throw error;
+    }
+
+    await SecurityEvent.record('email_change_reverted', {
+      user: user._id,
+      req,
+      details: { from: changedEmail, to: user.email }
+    });
+
+    res.json({
+      success: true,
+      message: 'Email change undone and all devices signed out. If you did not request the change, reset your password now.'
+    });
+  } catch (error) {
+    console.error('Revert email change error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error reverting email change'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,173 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const User = require('../models/User');
+const SecurityEvent = require('../models/SecurityEvent');
+const { protect } = require('../middleware/auth');
+const { getProvider, getProviderNames } = require('../config/oidc');
+const { authenticateWithProvider } = require('../utils/oidc');
+const router = express.Router();
+
+// Identities are unique, so saving can still fail if another account linked it in the meantime
+const isDuplicateIdentityError = (error) => error && error.code === 11000 &&
+  error.keyPattern && error.keyPattern['identities.subject'];
+
+// @desc    List the identities linked to the current user
+// @route   GET /api/auth/identities
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+password');
+
+    res.json({
+      success: true,
+      data: {
+        identities: user.identities.map(identity => ({
+          provider: identity.provider,
+          email: identity.email,
+          linkedAt: identity.linkedAt
+        })),
+        hasPassword: Boolean(user.password)
+      }
+    });
+  } catch (error) {
+    console.error('Get identities error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error getting linked identities'
+    });
+  }
+});
+
+// @desc    Link a Google or Apple identity to the current user
+// @route   POST /api/auth/identities/:provider
+// @access  Private
+router.post('/:provider', protect, [
+  param('provider')
+    .isIn(getProviderNames())
+    .withMessage(`Provider must be one of: ${getProviderNames().join(', ')}`),
+  body('idToken')
+    .optional()
+    .isString()
+    .withMessage('ID token must be a string'),
+  body('code')
+    .optional()
+    .isString()
+    .withMessage('Authorization code must be a string'),
+  body()
+    .custom(value => Boolean(value.idToken || value.code))
+    .withMessage('An ID token or authorization code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const provider = getProvider(req.params.provider);
+    if (!provider) {
+      return res.status(400).json({
+        success: false,
+        message: `${req.params.provider} sign-in is not configured`
+      });
+    }
+
+    let identity;
+    try {
+      identity = await authenticateWithProvider(provider, req.body);
+    } catch (error) {
+      console.error('OIDC verification error:', error.message);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid identity token'
+      });
+    }
+
+    // An identity can only belong to one account
+    const owner = await User.findByIdentity(provider.name, identity.subject);
+    if (owner && !owner._id.equals(req.user._id)) {
+      return res.status(409).json({
+        success: false,
+        message: 'This identity is already linked to another account'
+      });
+    }
+
+    req.user.linkIdentity({ provider: provider.name, subject: identity.subject, email: identity.email });
+    try {
+      await req.user.save();
+    } catch (error) {
+      if (!isDuplicateIdentityError(error)) throw error;
+      return res.status(409).json({
+        success: false,
+        message: 'This identity is already linked to another account'
+      });
+    }
+
+    await SecurityEvent.record('identity_linked', {
+      user: req.user._id,
+      req,
+      details: { provider: provider.name }
+    });
+
+    res.json({
+      success: true,
+      message: 'Identity linked successfully'
+    });
+  } catch (error) {
+    console.error('Link identity error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error linking identity'
+    });
+  }
+});
+
+// @desc    Unlink an identity from the current user
+// @route   DELETE /api/auth/identities/:provider
+// @access  Private
+router.delete('/:provider', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+password');
+
+    if (!user.findIdentity(req.params.provider)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Identity not found'
+      });
+    }
+
+    // Keep at least one way to log in
+    const otherIdentities = user.identities.filter(identity => identity.provider !== req.params.provider);
+    if (!user.password && otherIdentities.length === 0 && user.passkeys.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Set a password, add a passkey or link another identity before unlinking this one'
+      });
+    }
+
+    user.unlinkIdentity(req.params.provider);
+    await user.save();
+
+    await SecurityEvent.record('identity_unlinked', {
+      user: user._id,
+      req,
+      details: { provider: req.params.provider }
+    });
+
+    res.json({
+      success: true,
+      message: 'Identity unlinked successfully'
+    });
+  } catch (error) {
+    console.error('Unlink identity error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error unlinking identity'
+    });
+  }
+});
+
+module.exports = router;
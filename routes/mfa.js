@@ -0,0 +1,329 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const QRCode = require('qrcode');
+const User = require('../models/User');
+const { verifyMfaToken } = require('../config/jwt');
+const { protect } = require('../middleware/auth');
+const { generateSecret, buildOtpauthUri } = require('../utils/totp');
+const { completeLogin, checkReauthentication } = require('../utils/authSession');
+const { recordFailedLogin } = require('../utils/accountLockout');
+const router = express.Router();
+
+const issuer = () => process.env.MFA_ISSUER || 'We Spend Wise';
+
+// @desc    Start two-factor enrollment (generate secret, otpauth URI and QR code)
+// @route   POST /api/auth/mfa/setup
+// @access  Private
+router.post('/setup', protect, async (req, res) => {
+  try {
+    const user = await User.findByIdWithTwoFactor(req.user._id);
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    // Store the new secret; it only takes effect once confirmed with a code
+    const secret = generateSecret();
+    user.twoFactorSecret = secret;
+    user.twoFactorLastUsedStep = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    const otpauthUrl = buildOtpauthUri({
+      secret,
+      accountName: user.email,
+      issuer: issuer()
+    });
+    const qrCode = await QRCode.toDataURL(otpauthUrl);
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: {
+        secret,
+        otpauthUrl,
+        qrCode
+      }
+    });
+  } catch (error) {
+    console.error('MFA setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error setting up two-factor authentication'
+    });
+  }
+});
+
+// @desc    Confirm enrollment with a TOTP code and receive recovery codes
+// @route   POST /api/auth/mfa/enable
+// @access  Private
+router.post('/enable', protect, [
+  body('code')
+    .trim()
+    .notEmpty()
+    .withMessage('Authentication code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findByIdWithTwoFactor(req.user._id);
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.twoFactorSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor setup has not been started'
+      });
+    }
+
+    if (!user.verifyTwoFactorCode(req.body.code)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const recoveryCodes = user.generateRecoveryCodes();
+    user.twoFactorEnabled = true;
+    user.twoFactorEnabledAt = new Date();
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe; they will not be shown again.',
+      data: {
+        recoveryCodes
+      }
+    });
+  } catch (error) {
+    console.error('MFA enable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error enabling two-factor authentication'
+    });
+  }
+});
+
+// @desc    Disable two-factor authentication
+// @route   POST /api/auth/mfa/disable
+// @access  Private
+router.post('/disable', protect, [
+  body('password')
+    .optional()
+    .isString()
+    .withMessage('Password must be a string'),
+  body('code')
+    .trim()
+    .notEmpty()
+    .withMessage('Authentication code or recovery code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findByIdWithTwoFactor(req.user._id).select('+password');
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    // Accounts without a password (social or passwordless sign-in) confirm with a recent sign-in
+    const reauthError = await checkReauthentication(user, req.body.password, req.sessionId);
+    if (reauthError) {
+      return res.status(reauthError.status).json(reauthError.body);
+    }
+
+    if (!user.verifyTwoFactorCode(req.body.code) && !user.useRecoveryCode(req.body.code)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    user.clearTwoFactor();
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('MFA disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error disabling two-factor authentication'
+    });
+  }
+});
+
+// @desc    Regenerate recovery codes (invalidates the previous set)
+// @route   POST /api/auth/mfa/recovery-codes
+// @access  Private
+router.post('/recovery-codes', protect, [
+  body('code')
+    .trim()
+    .notEmpty()
+    .withMessage('Authentication code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findByIdWithTwoFactor(req.user._id);
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!user.verifyTwoFactorCode(req.body.code)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      success: true,
+      message: 'Recovery codes regenerated. Previous codes no longer work.',
+      data: {
+        recoveryCodes
+      }
+    });
+  } catch (error) {
+    console.error('MFA recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error regenerating recovery codes'
+    });
+  }
+});
+
+// @desc    Complete a login with a TOTP code or recovery code
+// @route   POST /api/auth/mfa/verify
+// @access  Public (requires the mfaToken returned by /login)
+router.post('/verify', [
+  body('mfaToken')
+    .notEmpty()
+    .withMessage('MFA token is required'),
+  body('code')
+    .optional()
+    .trim(),
+  body('recoveryCode')
+    .optional()
+    .trim(),
+  body()
+    .custom(value => Boolean(value.code || value.recoveryCode))
+    .withMessage('Authentication code or recovery code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = verifyMfaToken(req.body.mfaToken);
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired MFA token'
+      });
+    }
+
+    const user = await User.findByIdWithTwoFactor(decoded.id);
+    if (!user || !user.isActive || !user.twoFactorEnabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired MFA token'
+      });
+    }
+
+    // Check if account is locked
+    if (user.isLocked) {
+      return res.status(401).json({
+        success: false,
+        message: 'Account is temporarily locked due to multiple failed login attempts'
+      });
+    }
+
+    const { code, recoveryCode } = req.body;
+    const isValid = code
+      ? user.verifyTwoFactorCode(code)
+      : user.useRecoveryCode(recoveryCode);
+
+    if (!isValid) {
+      // Failed codes count towards the account lockout
+      await recordFailedLogin(user, req);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    // Reset login attempts on successful login
+    if (user.loginAttempts > 0) {
+      await user.resetLoginAttempts();
+    }
+
+    const data = await completeLogin(user, req);
+
+    if (recoveryCode) {
+      data.recoveryCodesRemaining = user.twoFactorRecoveryCodes.length;
+    }
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data
+    });
+  } catch (error) {
+    console.error('MFA verify error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error verifying authentication code'
+    });
+  }
+});
+
+module.exports = router;
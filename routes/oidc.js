@@ -0,0 +1,195 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const User = require('../models/User');
+const Role = require('../models/Role');
+const SecurityEvent = require('../models/SecurityEvent');
+const { getProvider, getProviderNames } = require('../config/oidc');
+const { authenticateWithProvider } = require('../utils/oidc');
+const { completeLogin, createMfaChallenge } = require('../utils/authSession');
+const router = express.Router();
+
+// Emails and identities are unique, so a concurrent sign-in can win the race to save them
+const isDuplicateKeyError = (error) => error && error.code === 11000;
+
+// @desc    Log in (or sign up) with a Google or Apple ID token / authorization code
+// @route   POST /api/auth/oidc/:provider
+// @access  Public
+router.post('/:provider', [
+  param('provider')
+    .isIn(getProviderNames())
+    .withMessage(`Provider must be one of: ${getProviderNames().join(', ')}`),
+  body('idToken')
+    .optional()
+    .isString()
+    .withMessage('ID token must be a string'),
+  body('code')
+    .optional()
+    .isString()
+    .withMessage('Authorization code must be a string'),
+  body()
+    .custom(value => Boolean(value.idToken || value.code))
+    .withMessage('An ID token or authorization code is required'),
+  body('firstName')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('First name must be between 2 and 50 characters'),
+  body('lastName')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Last name must be between 2 and 50 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const provider = getProvider(req.params.provider);
+    if (!provider) {
+      return res.status(400).json({
+        success: false,
+        message: `${req.params.provider} sign-in is not configured`
+      });
+    }
+
+    let identity;
+    try {
+      identity = await authenticateWithProvider(provider, req.body);
+    } catch (error) {
+      console.error('OIDC verification error:', error.message);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid identity token'
+      });
+    }
+
+    let user = await User.findByIdentity(provider.name, identity.subject);
+    const isLinking = !user;
+    let isNewUser = false;
+
+    if (!user) {
+      if (!identity.email || !identity.emailVerified) {
+        return res.status(400).json({
+          success: false,
+          message: 'The identity provider did not return a verified email address'
+        });
+      }
+
+      user = await User.findOne({ email: identity.email });
+    }
+
+    // Checked before linking, so a refused sign-in leaves the account untouched
+    if (user) {
+      // Check if user is active
+      if (!user.isActive) {
+        return res.status(401).json({
+          success: false,
+          message: 'Account is deactivated'
+        });
+      }
+
+      // Check if account is locked
+      if (user.isLocked) {
+        return res.status(401).json({
+          success: false,
+          message: 'Account is temporarily locked due to multiple failed login attempts'
+        });
+      }
+    }
+
+    if (user && isLinking) {
+      // Link the identity to the existing account with the same verified email
+      if (!user.isEmailVerified) {
+        // Nobody proved they own this account's email, so whoever registered it
+        // loses its password and sessions once the real owner signs in
+        user.password = undefined;
+        user.refreshTokens = [];
+        user.invalidateAccessTokens();
+        user.isEmailVerified = true;
+      }
+
+      user.linkIdentity({ provider: provider.name, subject: identity.subject, email: identity.email });
+      try {
+        await user.save();
+      } catch (error) {
+        if (!isDuplicateKeyError(error)) throw error;
+        return res.status(409).json({
+          success: false,
+          message: 'This identity was just linked by another sign-in, please try again'
+        });
+      }
+
+      await SecurityEvent.record('identity_linked', {
+        user: user._id,
+        req,
+        details: { provider: provider.name }
+      });
+    } else if (!user) {
+      const firstName = req.body.firstName || identity.firstName;
+      const lastName = req.body.lastName || identity.lastName;
+
+      // Apple only shares the name with the app on first sign-in, so the client has to send it
+      if (!firstName || !lastName) {
+        return res.status(400).json({
+          success: false,
+          message: 'First and last name are required to create an account',
+          code: 'NAME_REQUIRED'
+        });
+      }
+
+      // Find or create default user role
+      const defaultRole = await Role.getDefaultRole();
+
+      // Create user with default role (the provider already verified the email)
+      try {
+        user = await User.create({
+          firstName,
+          lastName,
+          email: identity.email,
+          isEmailVerified: true,
+          identities: [{ provider: provider.name, subject: identity.subject, email: identity.email }],
+          roles: [defaultRole._id]
+        });
+      } catch (error) {
+        if (!isDuplicateKeyError(error)) throw error;
+        return res.status(409).json({
+          success: false,
+          message: 'An account for this identity was just created by another sign-in, please try again'
+        });
+      }
+      isNewUser = true;
+    }
+
+    // Require the second factor before issuing tokens
+    if (user.twoFactorEnabled) {
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication required',
+        data: createMfaChallenge(user)
+      });
+    }
+
+    const data = await completeLogin(user, req);
+    data.isNewUser = isNewUser;
+
+    res.status(isNewUser ? 201 : 200).json({
+      success: true,
+      message: isNewUser ? 'User registered successfully' : 'Login successful',
+      data
+    });
+  } catch (error) {
+    console.error('OIDC login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during social login'
+    });
+  }
+});
+
+module.exports = router;
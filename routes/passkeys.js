@@ -0,0 +1,645 @@
+const crypto = require('crypto');
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, param, validationResult } = require('express-validator');
+const {
+  generateRegistrationOptions,
+  verifyRegistrationResponse,
+  generateAuthenticationOptions,
+  verifyAuthenticationResponse
+} = require('@simplewebauthn/server');
+const User = require('../models/User');
+const Role = require('../models/Role');
+const PasskeyChallenge = require('../models/PasskeyChallenge');
+const SecurityEvent = require('../models/SecurityEvent');
+const { protect } = require('../middleware/auth');
+const { getRelyingParty, getDecoySecret } = require('../config/webauthn');
+const { sendMail } = require('../utils/mailer');
+const { verificationEmail } = require('../utils/emailTemplates');
+const { completeLogin, checkReauthentication } = require('../utils/authSession');
+const router = express.Router();
+
+const formatPasskey = (passkey) => ({
+  id: passkey._id,
+  name: passkey.name,
+  deviceType: passkey.deviceType,
+  backedUp: passkey.backedUp,
+  transports: passkey.transports,
+  createdAt: passkey.createdAt,
+  lastUsedAt: passkey.lastUsedAt
+});
+
+const toCredentialDescriptor = (passkey) => ({
+  id: Buffer.from(passkey.credentialId, 'base64url'),
+  type: 'public-key',
+  transports: passkey.transports
+});
+
+// Made-up credential for an email with no passkeys (or no account), derived from the email
+// so repeated requests get the same answer and can't tell whether the account exists
+const toDecoyCredentialDescriptors = (email) => [{
+  id: crypto.createHmac('sha256', getDecoySecret()).update(`passkey-decoy:${email}`).digest(),
+  type: 'public-key',
+  transports: ['internal', 'hybrid']
+}];
+
+// Two accounts raced to save the same credential
+const isDuplicatePasskeyError = (error) => error && error.code === 11000 &&
+  error.keyPattern && error.keyPattern['passkeys.credentialId'];
+
+// Options for navigator.credentials.create(); passkeys must be discoverable and user-verified
+const createRegistrationOptions = (userId, email, displayName, existingPasskeys = []) => {
+  const rp = getRelyingParty();
+
+  return generateRegistrationOptions({
+    rpName: rp.name,
+    rpID: rp.id,
+    userID: userId.toString(),
+    userName: email,
+    userDisplayName: displayName,
+    attestationType: 'none',
+    excludeCredentials: existingPasskeys.map(toCredentialDescriptor),
+    authenticatorSelection: {
+      residentKey: 'required',
+      userVerification: 'required'
+    }
+  });
+};
+
+// Check the attestation against the stored challenge and return the credential to store
+const verifyRegistration = async (challenge, credential) => {
+  const rp = getRelyingParty();
+
+  const { verified, registrationInfo } = await verifyRegistrationResponse({
+    response: credential,
+    expectedChallenge: challenge.challenge,
+    expectedOrigin: rp.origins,
+    expectedRPID: rp.id,
+    requireUserVerification: true
+  });
+
+  if (!verified || !registrationInfo) {
+    throw new Error('Registration response could not be verified');
+  }
+
+  return {
+    credentialId: Buffer.from(registrationInfo.credentialID).toString('base64url'),
+    publicKey: Buffer.from(registrationInfo.credentialPublicKey),
+    counter: registrationInfo.counter,
+    transports: (credential.response && credential.response.transports) || [],
+    deviceType: registrationInfo.credentialDeviceType,
+    backedUp: registrationInfo.credentialBackedUp,
+    name: challenge.passkeyName
+  };
+};
+
+const credentialValidators = [
+  body('challengeId')
+    .isMongoId()
+    .withMessage('Challenge ID is required'),
+  body('credential')
+    .isObject()
+    .withMessage('Credential is required'),
+  body('credential.id')
+    .isString()
+    .notEmpty()
+    .withMessage('Credential ID is required')
+];
+
+// @desc    List the current user's passkeys
+// @route   GET /api/auth/passkeys
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        passkeys: req.user.passkeys.map(formatPasskey)
+      }
+    });
+  } catch (error) {
+    console.error('Get passkeys error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error getting passkeys'
+    });
+  }
+});
+
+// @desc    Start registering a passkey for the current user
+// @route   POST /api/auth/passkeys/register/options
+// @access  Private
+router.post('/register/options', protect, [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Passkey name must be between 1 and 100 characters'),
+  body('password')
+    .optional()
+    .isString()
+    .withMessage('Current password must be a string')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // A passkey is a new way to log in (without 2FA), so a hijacked session alone mustn't be
+    // enough to add one; the challenge issued here is what register/verify requires
+    const user = await User.findById(req.user._id).select('+password');
+    const reauthError = await checkReauthentication(user, req.body.password, req.sessionId);
+    if (reauthError) {
+      return res.status(reauthError.status).json(reauthError.body);
+    }
+
+    const options = await createRegistrationOptions(
+      req.user._id,
+      req.user.email,
+      req.user.fullName,
+      req.user.passkeys
+    );
+
+    const challenge = await PasskeyChallenge.issue('registration', options.challenge, {
+      user: req.user._id,
+      passkeyName: req.body.name
+    });
+
+    res.json({
+      success: true,
+      data: {
+        challengeId: challenge._id,
+        options
+      }
+    });
+  } catch (error) {
+    console.error('Passkey registration options error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error starting passkey registration'
+    });
+  }
+});
+
+// @desc    Finish registering a passkey for the current user
+// @route   POST /api/auth/passkeys/register/verify
+// @access  Private
+router.post('/register/verify', protect, credentialValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const challenge = await PasskeyChallenge.consume(req.body.challengeId, 'registration');
+    if (!challenge || !challenge.user || !challenge.user.equals(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired passkey challenge'
+      });
+    }
+
+    let details;
+    try {
+      details = await verifyRegistration(challenge, req.body.credential);
+    } catch (error) {
+      console.error('Passkey registration verification error:', error.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Passkey registration could not be verified'
+      });
+    }
+
+    if (await User.findByPasskey(details.credentialId)) {
+      return res.status(409).json({
+        success: false,
+        message: 'This passkey is already registered'
+      });
+    }
+
+    const passkey = req.user.addPasskey(details);
+    try {
+      await req.user.save();
+    } catch (error) {
+      if (!isDuplicatePasskeyError(error)) throw error;
+      return res.status(409).json({
+        success: false,
+        message: 'This passkey is already registered'
+      });
+    }
+
+    await SecurityEvent.record('passkey_added', {
+      user: req.user._id,
+      req,
+      details: { passkeyId: passkey._id }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Passkey registered successfully',
+      data: {
+        passkey: formatPasskey(passkey)
+      }
+    });
+  } catch (error) {
+    console.error('Passkey registration error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error registering passkey'
+    });
+  }
+});
+
+// @desc    Start signing up with a passkey instead of a password
+// @route   POST /api/auth/passkeys/signup/options
+// @access  Public
+router.post('/signup/options', [
+  body('firstName')
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('First name must be between 2 and 50 characters'),
+  body('lastName')
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Last name must be between 2 and 50 characters'),
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Passkey name must be between 1 and 100 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { firstName, lastName } = req.body;
+    const email = req.body.email.toLowerCase().trim();
+
+    if (await User.findOne({ email })) {
+      return res.status(400).json({
+        success: false,
+        message: 'User already exists with this email address',
+        field: 'email'
+      });
+    }
+
+    // The user handle stored on the authenticator is the id the account will get
+    const userId = new mongoose.Types.ObjectId();
+    const options = await createRegistrationOptions(userId, email, `${firstName} ${lastName}`);
+
+    const challenge = await PasskeyChallenge.issue('registration', options.challenge, {
+      pendingUser: { _id: userId, firstName, lastName, email },
+      passkeyName: req.body.name
+    });
+
+    res.json({
+      success: true,
+      data: {
+        challengeId: challenge._id,
+        options
+      }
+    });
+  } catch (error) {
+    console.error('Passkey signup options error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error starting passkey sign up'
+    });
+  }
+});
+
+// @desc    Finish signing up with a passkey
+// @route   POST /api/auth/passkeys/signup/verify
+// @access  Public
+router.post('/signup/verify', credentialValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const challenge = await PasskeyChallenge.consume(req.body.challengeId, 'registration');
+    if (!challenge || !challenge.pendingUser || !challenge.pendingUser.email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired passkey challenge'
+      });
+    }
+
+    let details;
+    try {
+      details = await verifyRegistration(challenge, req.body.credential);
+    } catch (error) {
+      console.error('Passkey signup verification error:', error.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Passkey registration could not be verified'
+      });
+    }
+
+    const { _id, firstName, lastName, email } = challenge.pendingUser;
+
+    // Someone may have registered the address while the ceremony was running
+    if (await User.findOne({ email })) {
+      return res.status(400).json({
+        success: false,
+        message: 'User already exists with this email address',
+        field: 'email'
+      });
+    }
+
+    if (await User.findByPasskey(details.credentialId)) {
+      return res.status(409).json({
+        success: false,
+        message: 'This passkey is already registered'
+      });
+    }
+
+    // Find or create default user role
+    const defaultRole = await Role.getDefaultRole();
+
+    let user;
+    try {
+      user = await User.create({
+        _id,
+        firstName,
+        lastName,
+        email,
+        passkeys: [details],
+        roles: [defaultRole._id]
+      });
+    } catch (error) {
+      if (!isDuplicatePasskeyError(error)) throw error;
+      return res.status(409).json({
+        success: false,
+        message: 'This passkey is already registered'
+      });
+    }
+
+    // Send email verification link
+    const verificationToken = user.createEmailVerificationToken();
+    await user.save({ validateBeforeSave: false });
+    try {
+      await sendMail(verificationEmail(user, verificationToken));
+    } catch (error) {
+      console.error('Send verification email error:', error);
+    }
+
+    await SecurityEvent.record('passkey_added', {
+      user: user._id,
+      req,
+      details: { passkeyId: user.passkeys[0]._id }
+    });
+
+    const data = await completeLogin(user, req);
+
+    res.status(201).json({
+      success: true,
+      message: 'User registered successfully. Please check your email to verify your account.',
+      data
+    });
+  } catch (error) {
+    console.error('Passkey signup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during passkey sign up'
+    });
+  }
+});
+
+// @desc    Start logging in with a passkey
+// @route   POST /api/auth/passkeys/login/options
+// @access  Public
+router.post('/login/options', [
+  body('email')
+    .optional()
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Without an email the authenticator offers every discoverable passkey for this site
+    const user = req.body.email ? await User.findOne({ email: req.body.email }) : null;
+    const rp = getRelyingParty();
+
+    let allowCredentials = [];
+    if (user && user.passkeys.length > 0) {
+      allowCredentials = user.passkeys.map(toCredentialDescriptor);
+    } else if (req.body.email) {
+      allowCredentials = toDecoyCredentialDescriptors(req.body.email);
+    }
+
+    const options = await generateAuthenticationOptions({
+      rpID: rp.id,
+      allowCredentials,
+      userVerification: 'required'
+    });
+
+    const challenge = await PasskeyChallenge.issue('authentication', options.challenge, {
+      user: user ? user._id : null
+    });
+
+    res.json({
+      success: true,
+      data: {
+        challengeId: challenge._id,
+        options
+      }
+    });
+  } catch (error) {
+    console.error('Passkey login options error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error starting passkey login'
+    });
+  }
+});
+
+// @desc    Log in with a passkey
+// @route   POST /api/auth/passkeys/login/verify
+// @access  Public
+router.post('/login/verify', credentialValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const challenge = await PasskeyChallenge.consume(req.body.challengeId, 'authentication');
+    const user = challenge && await User.findByPasskey(req.body.credential.id);
+    const passkey = user && user.findPasskey(req.body.credential.id);
+
+    // A challenge started for one account can't be finished with another account's passkey
+    if (!passkey || (challenge.user && !challenge.user.equals(user._id))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid passkey'
+      });
+    }
+
+    const rp = getRelyingParty();
+    let authenticationInfo;
+    try {
+      const result = await verifyAuthenticationResponse({
+        response: req.body.credential,
+        expectedChallenge: challenge.challenge,
+        expectedOrigin: rp.origins,
+        expectedRPID: rp.id,
+        authenticator: {
+          credentialID: Buffer.from(passkey.credentialId, 'base64url'),
+          credentialPublicKey: passkey.publicKey,
+          counter: passkey.counter,
+          transports: passkey.transports
+        },
+        requireUserVerification: true
+      });
+
+      if (!result.verified) {
+        throw new Error('Authentication response could not be verified');
+      }
+      authenticationInfo = result.authenticationInfo;
+    } catch (error) {
+      // Includes a sign counter that went backwards, which points at a cloned authenticator
+      console.error('Passkey login verification error:', error.message);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid passkey'
+      });
+    }
+
+    // Check if user is active
+    if (!user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Account is deactivated'
+      });
+    }
+
+    // Check if account is locked
+    if (user.isLocked) {
+      return res.status(401).json({
+        success: false,
+        message: 'Account is temporarily locked due to multiple failed login attempts'
+      });
+    }
+
+    user.recordPasskeyUse(passkey.credentialId, authenticationInfo.newCounter);
+
+    // Reset login attempts on successful login
+    if (user.loginAttempts > 0) {
+      user.loginAttempts = 0;
+      user.lockUntil = undefined;
+    }
+
+    // A user-verified passkey is already two factors (possession plus PIN/biometric),
+    // so no TOTP challenge is issued here
+    const data = await completeLogin(user, req);
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data
+    });
+  } catch (error) {
+    console.error('Passkey login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during passkey login'
+    });
+  }
+});
+
+// @desc    Remove one of the current user's passkeys
+// @route   DELETE /api/auth/passkeys/:id
+// @access  Private
+router.delete('/:id', protect, [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid passkey ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+password');
+
+    if (!user.passkeys.some(passkey => passkey._id.equals(req.params.id))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Passkey not found'
+      });
+    }
+
+    // Keep at least one way to log in
+    if (!user.password && user.identities.length === 0 && user.passkeys.length === 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Set a password or add another passkey before removing this one'
+      });
+    }
+
+    user.removePasskey(req.params.id);
+    await user.save();
+
+    await SecurityEvent.record('passkey_removed', {
+      user: user._id,
+      req,
+      details: { passkeyId: req.params.id }
+    });
+
+    res.json({
+      success: true,
+      message: 'Passkey removed successfully'
+    });
+  } catch (error) {
+    console.error('Remove passkey error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error removing passkey'
+    });
+  }
+});
+
+module.exports = router;
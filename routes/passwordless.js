@@ -0,0 +1,285 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const User = require('../models/User');
+const LoginCode = require('../models/LoginCode');
+const { passwordlessLimiter } = require('../middleware/security');
+const { sendMail } = require('../utils/mailer');
+const { sendSms } = require('../utils/sms');
+const { magicLinkEmail } = require('../utils/emailTemplates');
+const { completeLogin, createMfaChallenge } = require('../utils/authSession');
+const { recordFailedLogin } = require('../utils/accountLockout');
+const { normalizePhone, isValidPhone } = require('../utils/phone');
+const router = express.Router();
+
+// Don't send a new code while the previous one is this fresh
+const isResendTooSoon = async (userId, channel) => {
+  const resendSeconds = parseInt(process.env.PASSWORDLESS_RESEND_SECONDS) || 60;
+  const latest = await LoginCode.findLatest(userId, channel);
+  return Boolean(latest) && Date.now() - latest.createdAt.getTime() < resendSeconds * 1000;
+};
+
+// Finish a passwordless login the same way POST /api/auth/login does
+const respondWithLogin = async (user, req, res) => {
+  // Check if user is active
+  if (!user.isActive) {
+    return res.status(401).json({
+      success: false,
+      message: 'Account is deactivated'
+    });
+  }
+
+  // Check if account is locked
+  if (user.isLocked) {
+    return res.status(401).json({
+      success: false,
+      message: 'Account is temporarily locked due to multiple failed login attempts'
+    });
+  }
+
+  // Require the second factor before issuing tokens
+  if (user.twoFactorEnabled) {
+    return res.json({
+      success: true,
+      message: 'Two-factor authentication required',
+      data: createMfaChallenge(user)
+    });
+  }
+
+  // Reset login attempts on successful login
+  if (user.loginAttempts > 0) {
+    await user.resetLoginAttempts();
+  }
+
+  const data = await completeLogin(user, req);
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    data
+  });
+};
+
+// @desc    Email a one-time sign-in link
+// @route   POST /api/auth/passwordless/email/start
+// @access  Public
+router.post('/email/start', passwordlessLimiter, [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findOne({ email: req.body.email });
+
+    if (user && user.isActive && !(await isResendTooSoon(user._id, 'email'))) {
+      const token = await LoginCode.issue(user._id, 'email');
+
+      try {
+        await sendMail(magicLinkEmail(user, token));
+      } catch (error) {
+        console.error('Send magic link error:', error);
+      }
+    }
+
+    // Same response either way so the endpoint can't be used to discover accounts
+    res.json({
+      success: true,
+      message: 'If an account exists for this email, a sign-in link has been sent'
+    });
+  } catch (error) {
+    console.error('Passwordless email start error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error sending sign-in link'
+    });
+  }
+});
+
+// @desc    Log in with an emailed sign-in link
+// @route   POST /api/auth/passwordless/email/verify
+// @access  Public
+router.post('/email/verify', [
+  body('token')
+    .trim()
+    .notEmpty()
+    .withMessage('Sign-in token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Single use
+    const loginCode = await LoginCode.consumeMagicLinkToken(req.body.token);
+    if (!loginCode) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired sign-in link'
+      });
+    }
+
+    const user = await User.findById(loginCode.user);
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired sign-in link'
+      });
+    }
+
+    // Opening the link proves the user owns the address
+    if (!user.isEmailVerified) {
+      user.isEmailVerified = true;
+      await user.save({ validateBeforeSave: false });
+    }
+
+    await respondWithLogin(user, req, res);
+  } catch (error) {
+    console.error('Passwordless email verify error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during sign-in'
+    });
+  }
+});
+
+// @desc    Text a one-time 6-digit sign-in code
+// @route   POST /api/auth/passwordless/sms/start
+// @access  Public
+router.post('/sms/start', passwordlessLimiter, [
+  body('phone')
+    .custom(isValidPhone)
+    .withMessage('Please provide a valid phone number')
+    .customSanitizer(normalizePhone)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findOne({ phone: req.body.phone });
+
+    if (user && user.isActive && !(await isResendTooSoon(user._id, 'sms'))) {
+      const code = await LoginCode.issue(user._id, 'sms');
+      const expiresInMinutes = parseInt(process.env.PASSWORDLESS_SMS_EXPIRE_MINUTES) || 5;
+
+      try {
+        await sendSms({
+          to: user.phone,
+          body: `${code} is your We Spend Wise sign-in code. It expires in ${expiresInMinutes} minutes.`
+        });
+      } catch (error) {
+        console.error('Send SMS code error:', error);
+      }
+    }
+
+    // Same response either way so the endpoint can't be used to discover accounts
+    res.json({
+      success: true,
+      message: 'If an account exists for this phone number, a sign-in code has been sent'
+    });
+  } catch (error) {
+    console.error('Passwordless SMS start error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error sending sign-in code'
+    });
+  }
+});
+
+// @desc    Log in with a texted 6-digit code
+// @route   POST /api/auth/passwordless/sms/verify
+// @access  Public
+router.post('/sms/verify', [
+  body('phone')
+    .custom(isValidPhone)
+    .withMessage('Please provide a valid phone number')
+    .customSanitizer(normalizePhone),
+  body('code')
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findOne({ phone: req.body.phone });
+    const loginCode = user && await LoginCode.findLatest(user._id, 'sms');
+
+    if (!loginCode || !loginCode.isUsable) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired code'
+      });
+    }
+
+    // A locked account can't keep guessing
+    if (user.isLocked) {
+      return res.status(401).json({
+        success: false,
+        message: 'Account is temporarily locked due to multiple failed login attempts'
+      });
+    }
+
+    // Counted atomically, so parallel guesses can't go past the limit
+    const attempt = await LoginCode.recordAttempt(loginCode._id);
+    if (!attempt) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired code'
+      });
+    }
+
+    if (!attempt.matches(req.body.code)) {
+      // Failed codes count towards the account lockout
+      await recordFailedLogin(user, req);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired code'
+      });
+    }
+
+    // A parallel request may have used the code in the meantime
+    if (!(await LoginCode.consume(attempt._id))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired code'
+      });
+    }
+
+    await respondWithLogin(user, req, res);
+  } catch (error) {
+    console.error('Passwordless SMS verify error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during sign-in'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,17 +1,18 @@
 const express = require('express');
 const { body, validationResult, query } = require('express-validator');
 const Permission = require('../models/Permission');
-const { protect, authorize } = require('../middleware/auth');
-const { hasPermission, hasAnyPermission } = require('../middleware/permissions');
+const { protect } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const { invalidateAllPermissions } = require('../utils/permissionCache');
+const { isValidCondition } = require('../utils/policy');
 const router = express.Router();
 
 // @desc    Get all permissions
 // @route   GET /api/permissions
-// @access  Private (Admin only)
+// @access  Private (permissions:read)
 router.get('/', 
   protect, 
-  authorize('admin', 'super-admin'),
-  hasPermission('permissions', 'read'),
+  requirePermission('permissions:read', { legacyRoles: ['admin', 'super-admin'] }),
   [
     query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
     query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
@@ -86,11 +87,10 @@ router.get('/',
 
 // @desc    Get permission by ID
 // @route   GET /api/permissions/:id
-// @access  Private (Admin only)
+// @access  Private (permissions:read)
 router.get('/:id', 
   protect, 
-  authorize('admin', 'super-admin'),
-  hasPermission('permissions', 'read'),
+  requirePermission('permissions:read', { legacyRoles: ['admin', 'super-admin'] }),
   async (req, res) => {
     try {
       const permission = await Permission.findById(req.params.id);
@@ -118,12 +118,18 @@ router.get('/:id',
 
 // @desc    Create new permission
 // @route   POST /api/permissions
-// @access  Private (Super Admin only)
+// @access  Private (permissions:create)
 router.post('/', 
   protect, 
-  authorize('super-admin'),
-  hasPermission('permissions', 'create'),
+  requirePermission('permissions:create', { legacyRoles: ['super-admin'] }),
   [
+    body('name')
+      .optional()
+      .trim()
+      .isLength({ min: 3, max: 100 })
+      .withMessage('Name must be between 3 and 100 characters')
+      .matches(/^[a-z0-9*:_-]+$/)
+      .withMessage('Name can only contain lowercase letters, numbers, *, :, _ and hyphens'),
     body('displayName')
       .trim()
       .isLength({ min: 2, max: 150 })
@@ -135,19 +141,36 @@ router.post('/',
       .withMessage('Description cannot be more than 500 characters'),
     body('resource')
       .trim()
-      .isLength({ min: 2, max: 50 })
-      .withMessage('Resource must be between 2 and 50 characters')
-      .matches(/^[a-z0-9-]+$/)
-      .withMessage('Resource can only contain lowercase letters, numbers, and hyphens'),
+      .isLength({ max: 50 })
+      .withMessage('Resource cannot be more than 50 characters')
+      .matches(/^(\*|[a-z0-9-]{2,})$/)
+      .withMessage('Resource must be * or at least 2 lowercase letters, numbers, and hyphens'),
     body('action')
       .trim()
-      .isIn(['create', 'read', 'update', 'delete', 'manage', 'export', 'import'])
-      .withMessage('Action must be one of: create, read, update, delete, manage, export, import'),
+      .isIn(['create', 'read', 'update', 'delete', 'manage', 'export', 'import', 'impersonate', '*'])
+      .withMessage('Action must be one of: create, read, update, delete, manage, export, import, impersonate, *'),
     body('category')
       .optional()
       .trim()
       .isLength({ max: 50 })
-      .withMessage('Category cannot be more than 50 characters')
+      .withMessage('Category cannot be more than 50 characters'),
+    body('conditions')
+      .optional()
+      .isArray()
+      .withMessage('Conditions must be an array'),
+    body('conditions.*')
+      .isString()
+      .custom(isValidCondition)
+      .withMessage('Each condition must look like "target.id == actor.id"'),
+    body('fields')
+      .optional()
+      .isArray()
+      .withMessage('Fields must be an array'),
+    body('fields.*')
+      .isString()
+      .trim()
+      .matches(/^[A-Za-z]\w{0,49}$/)
+      .withMessage('Each field must be a field name')
   ],
   async (req, res) => {
     try {
@@ -160,28 +183,40 @@ router.post('/',
         });
       }
 
-      const { displayName, description, resource, action, category } = req.body;
+      const { displayName, description, resource, action, category, conditions = [], fields = [] } = req.body;
+      const name = (req.body.name || `${resource}:${action}`).toLowerCase();
 
       // Check if permission already exists
-      const existingPermission = await Permission.findOne({ 
-        resource: resource.toLowerCase(), 
-        action: action.toLowerCase() 
+      // Conditional permissions are told apart by name; there's one unconditional permission per resource and action
+      const existingPermission = await Permission.findOne({
+        $or: [
+          { name },
+          ...(conditions.length === 0 && fields.length === 0 ? [{
+            resource: resource.toLowerCase(),
+            action: action.toLowerCase(),
+            'conditions.0': { $exists: false },
+            'fields.0': { $exists: false }
+          }] : [])
+        ]
       });
       
       if (existingPermission) {
         return res.status(400).json({
           success: false,
-          message: 'Permission with this resource and action already exists'
+          message: 'Permission with this name or resource and action already exists'
         });
       }
 
       // Create permission
       const permission = await Permission.create({
+        name,
         displayName,
         description,
         resource: resource.toLowerCase(),
         action: action.toLowerCase(),
-        category: category ? category.toLowerCase() : undefined
+        category: category ? category.toLowerCase() : undefined,
+        conditions,
+        fields
       });
 
       res.status(201).json({
@@ -201,11 +236,10 @@ router.post('/',
 
 // @desc    Update permission
 // @route   PUT /api/permissions/:id
-// @access  Private (Super Admin only)
+// @access  Private (permissions:update)
 router.put('/:id', 
   protect, 
-  authorize('super-admin'),
-  hasPermission('permissions', 'update'),
+  requirePermission('permissions:update', { legacyRoles: ['super-admin'] }),
   [
     body('displayName')
       .optional()
@@ -225,7 +259,24 @@ router.put('/:id',
     body('isActive')
       .optional()
       .isBoolean()
-      .withMessage('isActive must be a boolean')
+      .withMessage('isActive must be a boolean'),
+    body('conditions')
+      .optional()
+      .isArray()
+      .withMessage('Conditions must be an array'),
+    body('conditions.*')
+      .isString()
+      .custom(isValidCondition)
+      .withMessage('Each condition must look like "target.id == actor.id"'),
+    body('fields')
+      .optional()
+      .isArray()
+      .withMessage('Fields must be an array'),
+    body('fields.*')
+      .isString()
+      .trim()
+      .matches(/^[A-Za-z]\w{0,49}$/)
+      .withMessage('Each field must be a field name')
   ],
   async (req, res) => {
     try {
@@ -259,6 +310,8 @@ router.put('/:id',
       if (req.body.description !== undefined) updateData.description = req.body.description;
       if (req.body.category !== undefined) updateData.category = req.body.category;
       if (req.body.isActive !== undefined) updateData.isActive = req.body.isActive;
+      if (req.body.conditions !== undefined) updateData.conditions = req.body.conditions;
+      if (req.body.fields !== undefined) updateData.fields = req.body.fields;
 
       const updatedPermission = await Permission.findByIdAndUpdate(
         req.params.id,
@@ -266,6 +319,11 @@ router.put('/:id',
         { new: true, runValidators: true }
       );
 
+      // Enabling or disabling a permission (or changing its conditions) changes every role that has it
+      if (updateData.isActive !== undefined || updateData.conditions !== undefined || updateData.fields !== undefined) {
+        await invalidateAllPermissions();
+      }
+
       res.json({
         success: true,
         message: 'Permission updated successfully',
@@ -283,11 +341,10 @@ router.put('/:id',
 
 // @desc    Delete permission
 // @route   DELETE /api/permissions/:id
-// @access  Private (Super Admin only)
+// @access  Private (permissions:delete)
 router.delete('/:id', 
   protect, 
-  authorize('super-admin'),
-  hasPermission('permissions', 'delete'),
+  requirePermission('permissions:delete', { legacyRoles: ['super-admin'] }),
   async (req, res) => {
     try {
       const permission = await Permission.findById(req.params.id);
@@ -335,11 +392,10 @@ router.delete('/:id',
 
 // @desc    Get permissions by resource
 // @route   GET /api/permissions/resource/:resource
-// @access  Private (Admin only)
+// @access  Private (permissions:read)
 router.get('/resource/:resource', 
   protect, 
-  authorize('admin', 'super-admin'),
-  hasPermission('permissions', 'read'),
+  requirePermission('permissions:read', { legacyRoles: ['admin', 'super-admin'] }),
   async (req, res) => {
     try {
       const permissions = await Permission.findByResource(req.params.resource);
@@ -360,11 +416,10 @@ router.get('/resource/:resource',
 
 // @desc    Get permissions by category
 // @route   GET /api/permissions/category/:category
-// @access  Private (Admin only)
+// @access  Private (permissions:read)
 router.get('/category/:category', 
   protect, 
-  authorize('admin', 'super-admin'),
-  hasPermission('permissions', 'read'),
+  requirePermission('permissions:read', { legacyRoles: ['admin', 'super-admin'] }),
   async (req, res) => {
     try {
       const permissions = await Permission.findByCategory(req.params.category);
@@ -2,17 +2,58 @@ const express = require('express');
 const { body, validationResult, query } = require('express-validator');
 const Role = require('../models/Role');
 const Permission = require('../models/Permission');
-const { protect, authorize } = require('../middleware/auth');
-const { hasPermission, hasAnyPermission } = require('../middleware/permissions');
+const { protect } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const { invalidateAllPermissions, getCompiledPermissions } = require('../utils/permissionCache');
+const {
+  loadRoleGraph,
+  createsCycle,
+  resolvePermissionIds,
+  findUngrantablePermissions,
+  buildRoleTree
+} = require('../utils/roleHierarchy');
 const router = express.Router();
 
+// Actors can only create, edit or delete roles below their own highest level
+const getActorLevel = (req) => Role.getHighestLevel(req.user.roles);
+
+// Check a role's parents: they must exist, can't outrank the role and can't lead back to it
+// Returns an error message, or null when the parents are fine
+const checkParents = (roleId, parentIds, level, graph) => {
+  const parents = parentIds.map(id => graph.get(String(id)));
+
+  if (parents.some(parent => !parent)) {
+    return 'One or more parent roles are invalid';
+  }
+  if (parents.some(parent => parent.level > level)) {
+    return 'A role cannot inherit from a role with a higher level';
+  }
+  if (roleId && createsCycle(roleId, parentIds, graph)) {
+    return 'Parent roles cannot create an inheritance cycle';
+  }
+  return null;
+};
+
+// Ids of every permission a role with these permissions and parents grants
+const getGrantedPermissionIds = (permissionIds, parentIds, graph) => new Set([
+  ...permissionIds.map(String),
+  ...resolvePermissionIds(parentIds, graph)
+]);
+
+// Actors can't hand out permissions they don't hold, directly or through a role's parents
+// Returns an error message, or null when the actor holds every one of the permissions
+const checkGrantable = async (req, permissionIds, graph) => {
+  const { permissions } = await getCompiledPermissions(req.user);
+  const ungrantable = await findUngrantablePermissions(permissionIds, { roleIds: req.user.roles, permissions }, graph);
+  return ungrantable.length > 0 ? `You can't grant permissions you don't have: ${ungrantable.join(', ')}` : null;
+};
+
 // @desc    Get all roles
 // @route   GET /api/roles
-// @access  Private (Admin only)
+// @access  Private (roles:read)
 router.get('/', 
   protect, 
-  authorize('admin', 'super-admin'),
-  hasPermission('roles', 'read'),
+  requirePermission('roles:read', { legacyRoles: ['admin', 'super-admin'] }),
   [
     query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
     query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
@@ -42,6 +83,7 @@ router.get('/',
       // Get roles with pagination
       const roles = await Role.find(filter)
         .populate('permissions')
+        .populate('parents', 'name displayName level')
         .sort({ level: 1, name: 1 })
         .skip(skip)
         .limit(limit);
@@ -72,14 +114,15 @@ router.get('/',
 
 // @desc    Get role by ID
 // @route   GET /api/roles/:id
-// @access  Private (Admin only)
+// @access  Private (roles:read)
 router.get('/:id', 
   protect, 
-  authorize('admin', 'super-admin'),
-  hasPermission('roles', 'read'),
+  requirePermission('roles:read', { legacyRoles: ['admin', 'super-admin'] }),
   async (req, res) => {
     try {
-      const role = await Role.findById(req.params.id).populate('permissions');
+      const role = await Role.findById(req.params.id)
+        .populate('permissions')
+        .populate('parents', 'name displayName level');
 
       if (!role) {
         return res.status(404).json({
@@ -102,13 +145,48 @@ router.get('/:id',
   }
 );
 
+// @desc    Get a role's resolved inheritance tree and flattened permissions
+// @route   GET /api/roles/:id/tree
+// @access  Private (roles:read)
+router.get('/:id/tree', 
+  protect, 
+  requirePermission('roles:read', { legacyRoles: ['admin', 'super-admin'] }),
+  async (req, res) => {
+    try {
+      const graph = await loadRoleGraph();
+      if (!graph.has(req.params.id)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Role not found'
+        });
+      }
+
+      const { tree, effectivePermissions } = await buildRoleTree(req.params.id, graph);
+
+      res.json({
+        success: true,
+        data: {
+          role: tree,
+          effectivePermissions,
+          permissionCount: effectivePermissions.length
+        }
+      });
+    } catch (error) {
+      console.error('Get role tree error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error getting role tree'
+      });
+    }
+  }
+);
+
 // @desc    Create new role
 // @route   POST /api/roles
-// @access  Private (Super Admin only)
+// @access  Private (roles:create)
 router.post('/', 
   protect, 
-  authorize('super-admin'),
-  hasPermission('roles', 'create'),
+  requirePermission('roles:create', { legacyRoles: ['super-admin'] }),
   [
     body('name')
       .trim()
@@ -132,6 +210,13 @@ router.post('/',
     body('permissions.*')
       .isMongoId()
       .withMessage('Each permission must be a valid MongoDB ObjectId'),
+    body('parents')
+      .optional()
+      .isArray()
+      .withMessage('Parents must be an array'),
+    body('parents.*')
+      .isMongoId()
+      .withMessage('Each parent must be a valid MongoDB ObjectId'),
     body('level')
       .optional()
       .isInt({ min: 1, max: 10 })
@@ -148,7 +233,14 @@ router.post('/',
         });
       }
 
-      const { name, displayName, description, permissions = [], level = 1 } = req.body;
+      const { name, displayName, description, permissions = [], parents = [], level = 1 } = req.body;
+
+      if (level >= getActorLevel(req)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only create roles with a lower level than your own'
+        });
+      }
 
       // Check if role already exists
       const existingRole = await Role.findOne({ name });
@@ -174,16 +266,40 @@ router.post('/',
         }
       }
 
+      if (permissions.length > 0 || parents.length > 0) {
+        const graph = await loadRoleGraph();
+
+        if (parents.length > 0) {
+          const parentError = checkParents(null, parents, level, graph);
+          if (parentError) {
+            return res.status(400).json({
+              success: false,
+              message: parentError
+            });
+          }
+        }
+
+        const grantError = await checkGrantable(req, getGrantedPermissionIds(permissions, parents, graph), graph);
+        if (grantError) {
+          return res.status(403).json({
+            success: false,
+            message: grantError
+          });
+        }
+      }
+
       // Create role
       const role = await Role.create({
         name,
         displayName,
         description,
         permissions,
+        parents,
         level
       });
 
       await role.populate('permissions');
+      await role.populate('parents', 'name displayName level');
 
       res.status(201).json({
         success: true,
@@ -202,11 +318,10 @@ router.post('/',
 
 // @desc    Update role
 // @route   PUT /api/roles/:id
-// @access  Private (Super Admin only)
+// @access  Private (roles:update)
 router.put('/:id', 
   protect, 
-  authorize('super-admin'),
-  hasPermission('roles', 'update'),
+  requirePermission('roles:update', { legacyRoles: ['super-admin'] }),
   [
     body('displayName')
       .optional()
@@ -225,6 +340,13 @@ router.put('/:id',
     body('permissions.*')
       .isMongoId()
       .withMessage('Each permission must be a valid MongoDB ObjectId'),
+    body('parents')
+      .optional()
+      .isArray()
+      .withMessage('Parents must be an array'),
+    body('parents.*')
+      .isMongoId()
+      .withMessage('Each parent must be a valid MongoDB ObjectId'),
     body('isActive')
       .optional()
       .isBoolean()
@@ -261,6 +383,14 @@ router.put('/:id',
         });
       }
 
+      const actorLevel = getActorLevel(req);
+      if (role.level >= actorLevel || (req.body.level !== undefined && req.body.level >= actorLevel)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only edit roles with a lower level than your own'
+        });
+      }
+
       const updateData = {};
       if (req.body.displayName) updateData.displayName = req.body.displayName;
       if (req.body.description !== undefined) updateData.description = req.body.description;
@@ -286,11 +416,63 @@ router.put('/:id',
         updateData.permissions = req.body.permissions;
       }
 
+      // Handle parents and level changes
+      if (req.body.parents !== undefined || req.body.level !== undefined) {
+        const graph = await loadRoleGraph();
+        const level = req.body.level !== undefined ? req.body.level : role.level;
+        const parents = req.body.parents !== undefined ? req.body.parents : role.parents;
+
+        const parentError = checkParents(role._id, parents, level, graph);
+        if (parentError) {
+          return res.status(400).json({
+            success: false,
+            message: parentError
+          });
+        }
+
+        // Lowering a role's level can't leave roles that inherit from it below it
+        const children = [...graph.values()].filter(other => other.parents.some(parent => parent.equals(role._id)));
+        if (children.some(child => child.level < level)) {
+          return res.status(400).json({
+            success: false,
+            message: 'A role cannot have a higher level than the roles that inherit from it'
+          });
+        }
+
+        if (req.body.parents !== undefined) updateData.parents = req.body.parents;
+      }
+
+      // Only what the change adds is checked: the role may already grant permissions the actor
+      // lacks (reactivating a role adds everything it grants)
+      const isReactivated = req.body.isActive === true && !role.isActive;
+      if (updateData.permissions !== undefined || updateData.parents !== undefined || isReactivated) {
+        const graph = await loadRoleGraph();
+        const before = role.isActive ? getGrantedPermissionIds(role.permissions, role.parents, graph) : new Set();
+        const after = getGrantedPermissionIds(
+          updateData.permissions || role.permissions,
+          updateData.parents || role.parents,
+          graph
+        );
+
+        const grantError = await checkGrantable(req, [...after].filter(id => !before.has(id)), graph);
+        if (grantError) {
+          return res.status(403).json({
+            success: false,
+            message: grantError
+          });
+        }
+      }
+
       const updatedRole = await Role.findByIdAndUpdate(
         req.params.id,
         updateData,
         { new: true, runValidators: true }
-      ).populate('permissions');
+      ).populate('permissions').populate('parents', 'name displayName level');
+
+      // Permissions or status changed for everyone with this role (or a role inheriting from it)
+      if (updateData.permissions !== undefined || updateData.parents !== undefined || updateData.isActive !== undefined) {
+        await invalidateAllPermissions();
+      }
 
       res.json({
         success: true,
@@ -309,11 +491,10 @@ router.put('/:id',
 
 // @desc    Delete role
 // @route   DELETE /api/roles/:id
-// @access  Private (Super Admin only)
+// @access  Private (roles:delete)
 router.delete('/:id', 
   protect, 
-  authorize('super-admin'),
-  hasPermission('roles', 'delete'),
+  requirePermission('roles:delete', { legacyRoles: ['super-admin'] }),
   async (req, res) => {
     try {
       const role = await Role.findById(req.params.id);
@@ -332,6 +513,13 @@ router.delete('/:id',
         });
       }
 
+      if (role.level >= getActorLevel(req)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only delete roles with a lower level than your own'
+        });
+      }
+
       // Check if role is assigned to any users
       const User = require('../models/User');
       const usersWithRole = await User.countDocuments({ roles: role._id });
@@ -345,6 +533,12 @@ router.delete('/:id',
 
       await Role.findByIdAndDelete(req.params.id);
 
+      // Roles that inherited from it lose those permissions
+      const { modifiedCount } = await Role.updateMany({ parents: role._id }, { $pull: { parents: role._id } });
+      if (modifiedCount > 0) {
+        await invalidateAllPermissions();
+      }
+
       res.json({
         success: true,
         message: 'Role deleted successfully'
@@ -361,11 +555,10 @@ router.delete('/:id',
 
 // @desc    Add permission to role
 // @route   PUT /api/roles/:id/permissions
-// @access  Private (Super Admin only)
+// @access  Private (roles:update)
 router.put('/:id/permissions', 
   protect, 
-  authorize('super-admin'),
-  hasPermission('roles', 'update'),
+  requirePermission('roles:update', { legacyRoles: ['super-admin'] }),
   [
     body('permissionId')
       .isMongoId()
@@ -398,6 +591,13 @@ router.put('/:id/permissions',
         });
       }
 
+      if (role.level >= getActorLevel(req)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only edit roles with a lower level than your own'
+        });
+      }
+
       const permission = await Permission.findById(req.body.permissionId);
       if (!permission || !permission.isActive) {
         return res.status(404).json({
@@ -414,7 +614,16 @@ router.put('/:id/permissions',
         });
       }
 
+      const grantError = await checkGrantable(req, [permission._id], await loadRoleGraph());
+      if (grantError) {
+        return res.status(403).json({
+          success: false,
+          message: grantError
+        });
+      }
+
       await role.addPermission(permission._id);
+      await invalidateAllPermissions();
       await role.populate('permissions');
 
       res.json({
@@ -434,11 +643,10 @@ router.put('/:id/permissions',
 
 // @desc    Remove permission from role
 // @route   DELETE /api/roles/:id/permissions/:permissionId
-// @access  Private (Super Admin only)
+// @access  Private (roles:update)
 router.delete('/:id/permissions/:permissionId', 
   protect, 
-  authorize('super-admin'),
-  hasPermission('roles', 'update'),
+  requirePermission('roles:update', { legacyRoles: ['super-admin'] }),
   async (req, res) => {
     try {
       const role = await Role.findById(req.params.id);
@@ -457,7 +665,15 @@ router.delete('/:id/permissions/:permissionId',
         });
       }
 
+      if (role.level >= getActorLevel(req)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only edit roles with a lower level than your own'
+        });
+      }
+
       await role.removePermission(req.params.permissionId);
+      await invalidateAllPermissions();
       await role.populate('permissions');
 
       res.json({
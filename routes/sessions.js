@@ -0,0 +1,120 @@
+const express = require('express');
+const { param, query, validationResult } = require('express-validator');
+const { protect } = require('../middleware/auth');
+const { formatSession } = require('../utils/authSession');
+const router = express.Router();
+
+// @desc    List the current user's sessions (logged-in devices)
+// @route   GET /api/auth/sessions
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const sessions = req.user.refreshTokens
+      .map(session => formatSession(session, req.sessionId))
+      .sort((a, b) => b.lastUsedAt - a.lastUsedAt);
+
+    res.json({
+      success: true,
+      data: { sessions }
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error getting sessions'
+    });
+  }
+});
+
+// @desc    Revoke all sessions (optionally keeping the current one with ?except=current)
+// @route   DELETE /api/auth/sessions
+// @access  Private
+router.delete('/', protect, [
+  query('except')
+    .optional()
+    .isIn(['current'])
+    .withMessage('except must be "current"')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const keepCurrent = req.query.except === 'current';
+    if (keepCurrent && !req.sessionId) {
+      return res.status(400).json({
+        success: false,
+        message: 'The current token is not tied to a session'
+      });
+    }
+
+    const before = req.user.refreshTokens.length;
+    if (!keepCurrent) {
+      // Other sessions' access tokens are rejected through their session id;
+      // revoking everything also cuts off tokens that aren't tied to a session
+      req.user.invalidateAccessTokens();
+    }
+    await req.user.revokeAllSessions(keepCurrent ? req.sessionId : null);
+
+    res.json({
+      success: true,
+      message: keepCurrent ? 'All other sessions revoked' : 'All sessions revoked',
+      data: {
+        revoked: before - req.user.refreshTokens.length
+      }
+    });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error revoking sessions'
+    });
+  }
+});
+
+// @desc    Revoke a single session
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+router.delete('/:id', protect, [
+  param('id')
+    .isMongoId()
+    .withMessage('Session ID must be a valid MongoDB ObjectId')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!req.user.findSession(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await req.user.revokeSession(req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error revoking session'
+    });
+  }
+});
+
+module.exports = router;
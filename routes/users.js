@@ -1,24 +1,41 @@
 const express = require('express');
+const jwt = require('jsonwebtoken');
 const { body, validationResult, query } = require('express-validator');
 const User = require('../models/User');
 const Role = require('../models/Role');
-const { protect, authorize } = require('../middleware/auth');
-const { hasPermission, hasAnyPermission } = require('../middleware/permissions');
+const SecurityEvent = require('../models/SecurityEvent');
+const { protect, rejectApiKey, rejectImpersonation } = require('../middleware/auth');
+const { requirePermission, canChangeField } = require('../middleware/permissions');
+const { generateImpersonationToken } = require('../config/jwt');
+const { formatSession } = require('../utils/authSession');
+const { validatePassword, passwordPolicyErrorResponse } = require('../utils/passwordPolicy');
+const { normalizePhone, isValidPhone } = require('../utils/phone');
+const { invalidateUserPermissions, getCompiledPermissions } = require('../utils/permissionCache');
+const { loadRoleGraph, resolvePermissionIds, findUngrantablePermissions } = require('../utils/roleHierarchy');
 const router = express.Router();
 
+// Load the :id user for requirePermission(); roles are populated so conditions can check their level
+const loadUser = (select) => (req) => {
+  const query = User.findById(req.params.id).populate('roles');
+  return select ? query.select(select) : query;
+};
+
+// Admins only act on users whose highest role is below their own highest role
+const isBelowActorLevel = (req, user) => Role.getHighestLevel(user.roles) < Role.getHighestLevel(req.user.roles);
+
 // @desc    Get all users
 // @route   GET /api/users
-// @access  Private (Admin only)
+// @access  Private (users:read)
 router.get('/', 
   protect, 
-  authorize('admin', 'super-admin'),
-  hasPermission('users', 'read'),
+  requirePermission('users:read', { legacyRoles: ['admin', 'super-admin'] }),
   [
     query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
     query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
     query('search').optional().trim().isLength({ max: 100 }).withMessage('Search term too long'),
     query('role').optional().trim().isLength({ max: 50 }).withMessage('Role name too long'),
-    query('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+    query('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+    query('locked').optional().isBoolean().withMessage('locked must be a boolean')
   ],
   async (req, res) => {
     try {
@@ -57,6 +74,12 @@ router.get('/',
         filter.isActive = req.query.isActive === 'true';
       }
 
+      if (req.query.locked !== undefined) {
+        filter.lockUntil = req.query.locked === 'true'
+          ? { $gt: new Date() }
+          : { $not: { $gt: new Date() } };
+      }
+
       // Get users with pagination
       const users = await User.find(filter)
         .populate('roles')
@@ -94,34 +117,12 @@ router.get('/',
 // @access  Private
 router.get('/:id', 
   protect,
+  requirePermission('users:read', { target: loadUser('-password -refreshTokens -emailVerificationToken -passwordResetToken -passwordResetExpires') }),
   async (req, res) => {
     try {
-      const user = await User.findById(req.params.id)
-        .populate('roles')
-        .select('-password -refreshTokens -emailVerificationToken -passwordResetToken -passwordResetExpires');
-
-      if (!user) {
-        return res.status(404).json({
-          success: false,
-          message: 'User not found'
-        });
-      }
-
-      // Check if user can view this profile
-      const userRoles = req.user.roles.map(role => role.name);
-      const isAdmin = userRoles.includes('admin') || userRoles.includes('super-admin');
-      const isOwnProfile = req.user._id.toString() === req.params.id;
-
-      if (!isAdmin && !isOwnProfile) {
-        return res.status(403).json({
-          success: false,
-          message: 'Not authorized to view this user profile'
-        });
-      }
-
       res.json({
         success: true,
-        data: { user }
+        data: { user: req.target }
       });
     } catch (error) {
       console.error('Get user error:', error);
@@ -138,6 +139,7 @@ router.get('/:id',
 // @access  Private
 router.put('/:id', 
   protect,
+  requirePermission('users:update', { target: loadUser() }),
   [
     body('firstName')
       .optional()
@@ -151,8 +153,9 @@ router.put('/:id',
       .withMessage('Last name must be between 2 and 50 characters'),
     body('phone')
       .optional()
-      .isMobilePhone()
-      .withMessage('Please provide a valid phone number'),
+      .custom(isValidPhone)
+      .withMessage('Please provide a valid phone number')
+      .customSanitizer(normalizePhone),
     body('isActive')
       .optional()
       .isBoolean()
@@ -169,37 +172,42 @@ router.put('/:id',
         });
       }
 
-      const user = await User.findById(req.params.id);
-      if (!user) {
-        return res.status(404).json({
+      const user = req.target;
+      const isOwnProfile = req.user._id.equals(user._id);
+
+      if (!isOwnProfile && !isBelowActorLevel(req, user)) {
+        return res.status(403).json({
           success: false,
-          message: 'User not found'
+          message: 'You can only update users with a lower role level than your own'
         });
       }
 
-      // Check permissions
-      const userRoles = req.user.roles.map(role => role.name);
-      const isAdmin = userRoles.includes('admin') || userRoles.includes('super-admin');
-      const isOwnProfile = req.user._id.toString() === req.params.id;
-
-      if (!isAdmin && !isOwnProfile) {
-        return res.status(403).json({
+      if (req.body.phone && canChangeField(req, 'phone') && await User.isPhoneInUse(req.body.phone, user._id)) {
+        return res.status(400).json({
           success: false,
-          message: 'Not authorized to update this user'
+          message: 'User already exists with this phone number',
+          field: 'phone'
         });
       }
 
-      // Non-admin users can't update certain fields
+      // Fields the actor's permissions don't cover are ignored
       const updateData = {};
-      if (req.body.firstName) updateData.firstName = req.body.firstName;
-      if (req.body.lastName) updateData.lastName = req.body.lastName;
-      if (req.body.phone) updateData.phone = req.body.phone;
+      if (req.body.firstName && canChangeField(req, 'firstName')) updateData.firstName = req.body.firstName;
+      if (req.body.lastName && canChangeField(req, 'lastName')) updateData.lastName = req.body.lastName;
+      if (req.body.phone && canChangeField(req, 'phone')) updateData.phone = req.body.phone;
       
-      // Only admins can update isActive
-      if (isAdmin && req.body.isActive !== undefined) {
+      // Self-service permissions don't cover isActive
+      if (req.body.isActive !== undefined && canChangeField(req, 'isActive')) {
         updateData.isActive = req.body.isActive;
       }
 
+      // Deactivation ends every session and access token immediately
+      if (updateData.isActive === false && user.isActive) {
+        user.invalidateAccessTokens();
+        updateData.refreshTokens = [];
+        updateData.tokensValidAfter = user.tokensValidAfter;
+      }
+
       const updatedUser = await User.findByIdAndUpdate(
         req.params.id,
         updateData,
@@ -223,11 +231,11 @@ router.put('/:id',
 
 // @desc    Assign roles to user
 // @route   PUT /api/users/:id/roles
-// @access  Private (Admin only)
+// @access  Private (users:update)
 router.put('/:id/roles', 
+  rejectImpersonation,
   protect, 
-  authorize('admin', 'super-admin'),
-  hasPermission('users', 'update'),
+  requirePermission('users:update', { legacyRoles: ['admin', 'super-admin'] }),
   [
     body('roles')
       .isArray({ min: 1 })
@@ -247,7 +255,7 @@ router.put('/:id/roles',
         });
       }
 
-      const user = await User.findById(req.params.id);
+      const user = await User.findById(req.params.id).populate('roles');
       if (!user) {
         return res.status(404).json({
           success: false,
@@ -268,9 +276,40 @@ router.put('/:id/roles',
         });
       }
 
+      // Roles at or above the admin's own level can't be assigned or taken away
+      const actorLevel = Role.getHighestLevel(req.user.roles);
+      if (user.roles.some(role => role && role.level >= actorLevel)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only change the roles of users with a lower role level than your own'
+        });
+      }
+      if (roles.some(role => role.level >= actorLevel)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only assign roles with a lower level than your own'
+        });
+      }
+
+      // Nor can they hand out permissions they don't hold through the roles (the user's
+      // current permissions may already include some, and stay as they are)
+      const graph = await loadRoleGraph();
+      const currentPermissionIds = resolvePermissionIds(user.roles.filter(Boolean), graph);
+      const addedPermissionIds = [...resolvePermissionIds(req.body.roles, graph)]
+        .filter(id => !currentPermissionIds.has(id));
+      const { permissions } = await getCompiledPermissions(req.user);
+      const ungrantable = await findUngrantablePermissions(addedPermissionIds, { roleIds: req.user.roles, permissions }, graph);
+      if (ungrantable.length > 0) {
+        return res.status(403).json({
+          success: false,
+          message: `You can't assign roles with permissions you don't have: ${ungrantable.join(', ')}`
+        });
+      }
+
       // Update user roles
       user.roles = req.body.roles;
       await user.save();
+      await invalidateUserPermissions(user._id);
 
       await user.populate('roles');
 
@@ -289,13 +328,205 @@ router.put('/:id/roles',
   }
 );
 
-// @desc    Delete user
-// @route   DELETE /api/users/:id
-// @access  Private (Admin only)
-router.delete('/:id', 
+// @desc    Reset user's two-factor authentication
+// @route   DELETE /api/users/:id/mfa
+// @access  Private (users:update)
+router.delete('/:id/mfa', 
+  rejectImpersonation,
+  protect, 
+  requirePermission('users:update', { legacyRoles: ['admin', 'super-admin'] }),
+  async (req, res) => {
+    try {
+      const user = await User.findByIdWithTwoFactor(req.params.id).populate('roles');
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      if (!isBelowActorLevel(req, user)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only reset two-factor authentication of users with a lower role level than your own'
+        });
+      }
+
+      if (!user.twoFactorEnabled && !user.twoFactorSecret) {
+        return res.status(400).json({
+          success: false,
+          message: 'Two-factor authentication is not enabled for this user'
+        });
+      }
+
+      user.clearTwoFactor();
+      await user.save({ validateBeforeSave: false });
+
+      await SecurityEvent.record('mfa_reset', {
+        user: user._id,
+        actor: req.user._id,
+        req
+      });
+
+      res.json({
+        success: true,
+        message: 'Two-factor authentication reset successfully'
+      });
+    } catch (error) {
+      console.error('Reset user MFA error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error resetting two-factor authentication'
+      });
+    }
+  }
+);
+
+// @desc    Get a short-lived token to use the app as another user
+// @route   POST /api/users/:id/impersonate
+// @access  Private (users:impersonate)
+router.post('/:id/impersonate', 
+  rejectApiKey,
+  rejectImpersonation,
+  protect, 
+  requirePermission('users:impersonate'),
+  async (req, res) => {
+    try {
+      const user = await User.findById(req.params.id).populate('roles');
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      if (user._id.equals(req.user._id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'You cannot impersonate yourself'
+        });
+      }
+
+      if (!user.isActive) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot impersonate a deactivated user'
+        });
+      }
+
+      if (!isBelowActorLevel(req, user)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only impersonate users with a lower role level than your own'
+        });
+      }
+
+      const token = generateImpersonationToken({
+        id: user._id,
+        act: { id: req.user._id, sid: req.sessionId || undefined }
+      });
+      const expiresAt = new Date(jwt.decode(token).exp * 1000);
+
+      await SecurityEvent.record('impersonation_started', {
+        user: user._id,
+        actor: req.user._id,
+        req,
+        details: { expiresAt }
+      });
+
+      res.json({
+        success: true,
+        message: 'Impersonation started',
+        data: {
+          token,
+          expiresAt,
+          user: {
+            id: user._id,
+            firstName: user.firstName,
+            lastName: user.lastName,
+            email: user.email,
+            roles: user.roles
+          },
+          impersonator: {
+            id: req.user._id,
+            email: req.user.email
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Impersonate user error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error starting impersonation'
+      });
+    }
+  }
+);
+
+// @desc    Unlock a user account locked by failed login attempts
+// @route   POST /api/users/:id/unlock
+// @access  Private (users:update)
+router.post('/:id/unlock', 
   protect, 
-  authorize('admin', 'super-admin'),
-  hasPermission('users', 'delete'),
+  requirePermission('users:update', { legacyRoles: ['admin', 'super-admin'] }),
+  async (req, res) => {
+    try {
+      const user = await User.findById(req.params.id).populate('roles');
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      if (!isBelowActorLevel(req, user)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only unlock users with a lower role level than your own'
+        });
+      }
+
+      if (!user.isLocked && !user.loginAttempts) {
+        return res.status(400).json({
+          success: false,
+          message: 'User account is not locked'
+        });
+      }
+
+      const wasLocked = user.isLocked;
+      await user.unlock();
+
+      await SecurityEvent.record('account_unlocked', {
+        user: user._id,
+        actor: req.user._id,
+        req,
+        details: {
+          wasLocked,
+          lockUntil: user.lockUntil,
+          loginAttempts: user.loginAttempts
+        }
+      });
+
+      res.json({
+        success: true,
+        message: 'User account unlocked successfully'
+      });
+    } catch (error) {
+      console.error('Unlock user error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error unlocking user'
+      });
+    }
+  }
+);
+
+// @desc    List user's sessions (logged-in devices)
+// @route   GET /api/users/:id/sessions
+// @access  Private (users:read)
+router.get('/:id/sessions', 
+  protect, 
+  requirePermission('users:read', { legacyRoles: ['admin', 'super-admin'] }),
   async (req, res) => {
     try {
       const user = await User.findById(req.params.id);
@@ -306,16 +537,131 @@ router.delete('/:id',
         });
       }
 
-      // Prevent deleting super-admin users
-      const userRoles = user.roles.map(role => role.name);
-      if (userRoles.includes('super-admin')) {
+      const sessions = user.refreshTokens
+        .map(session => formatSession(session))
+        .sort((a, b) => b.lastUsedAt - a.lastUsedAt);
+
+      res.json({
+        success: true,
+        data: { sessions }
+      });
+    } catch (error) {
+      console.error('Get user sessions error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error getting user sessions'
+      });
+    }
+  }
+);
+
+// @desc    Revoke all of a user's sessions
+// @route   DELETE /api/users/:id/sessions
+// @access  Private (users:update)
+router.delete('/:id/sessions', 
+  protect, 
+  requirePermission('users:update', { legacyRoles: ['admin', 'super-admin'] }),
+  async (req, res) => {
+    try {
+      const user = await User.findById(req.params.id).populate('roles');
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      if (!isBelowActorLevel(req, user)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only revoke sessions of users with a lower role level than your own'
+        });
+      }
+
+      const revoked = user.refreshTokens.length;
+      user.invalidateAccessTokens();
+      await user.revokeAllSessions();
+
+      res.json({
+        success: true,
+        message: 'All user sessions revoked',
+        data: { revoked }
+      });
+    } catch (error) {
+      console.error('Revoke user sessions error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error revoking user sessions'
+      });
+    }
+  }
+);
+
+// @desc    Revoke a single user session
+// @route   DELETE /api/users/:id/sessions/:sessionId
+// @access  Private (users:update)
+router.delete('/:id/sessions/:sessionId', 
+  protect, 
+  requirePermission('users:update', { legacyRoles: ['admin', 'super-admin'] }),
+  async (req, res) => {
+    try {
+      const user = await User.findById(req.params.id).populate('roles');
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      if (!isBelowActorLevel(req, user)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only revoke sessions of users with a lower role level than your own'
+        });
+      }
+
+      if (!user.findSession(req.params.sessionId)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Session not found'
+        });
+      }
+
+      await user.revokeSession(req.params.sessionId);
+
+      res.json({
+        success: true,
+        message: 'Session revoked successfully'
+      });
+    } catch (error) {
+      console.error('Revoke user session error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error revoking user session'
+      });
+    }
+  }
+);
+
+// @desc    Delete user
+// @route   DELETE /api/users/:id
+// @access  Private (users:delete)
+router.delete('/:id', 
+  protect, 
+  requirePermission('users:delete', { target: loadUser(), legacyRoles: ['admin', 'super-admin'] }),
+  async (req, res) => {
+    try {
+      const user = req.target;
+
+      if (!isBelowActorLevel(req, user)) {
         return res.status(403).json({
           success: false,
-          message: 'Cannot delete super-admin users'
+          message: 'You can only delete users with a lower role level than your own'
         });
       }
 
       await User.findByIdAndDelete(req.params.id);
+      await invalidateUserPermissions(req.params.id);
 
       res.json({
         success: true,
@@ -335,16 +681,18 @@ router.delete('/:id',
 // @route   PUT /api/users/:id/password
 // @access  Private
 router.put('/:id/password', 
+  rejectApiKey,
+  rejectImpersonation,
   protect,
+  requirePermission('users:update', { target: loadUser('+password +passwordHistory') }),
   [
     body('currentPassword')
       .notEmpty()
       .withMessage('Current password is required'),
     body('newPassword')
-      .isLength({ min: 6 })
-      .withMessage('New password must be at least 6 characters long')
-      .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-      .withMessage('New password must contain at least one uppercase letter, one lowercase letter, and one number')
+      .isString()
+      .notEmpty()
+      .withMessage('New password is required')
   ],
   async (req, res) => {
     try {
@@ -357,23 +705,20 @@ router.put('/:id/password',
         });
       }
 
-      const user = await User.findById(req.params.id).select('+password');
-      if (!user) {
-        return res.status(404).json({
+      const user = req.target;
+      const isOwnProfile = req.user._id.toString() === req.params.id;
+
+      if (!canChangeField(req, 'password')) {
+        return res.status(403).json({
           success: false,
-          message: 'User not found'
+          message: 'Not authorized to change this user password'
         });
       }
 
-      // Check permissions
-      const userRoles = req.user.roles.map(role => role.name);
-      const isAdmin = userRoles.includes('admin') || userRoles.includes('super-admin');
-      const isOwnProfile = req.user._id.toString() === req.params.id;
-
-      if (!isAdmin && !isOwnProfile) {
+      if (!isOwnProfile && !isBelowActorLevel(req, user)) {
         return res.status(403).json({
           success: false,
-          message: 'Not authorized to change this user password'
+          message: 'You can only change the password of users with a lower role level than your own'
         });
       }
 
@@ -388,8 +733,27 @@ router.put('/:id/password',
         }
       }
 
+      // The target user's roles decide which policy applies
+      const passwordFailures = await validatePassword(req.body.newPassword, {
+        user,
+        roleNames: user.roles.map(role => role.name)
+      });
+      if (passwordFailures.length > 0) {
+        return res.status(400).json(passwordPolicyErrorResponse(passwordFailures, 'newPassword'));
+      }
+
       // Update password
       user.password = req.body.newPassword;
+      user.passwordResetRequired = false;
+
+      // Invalidate outstanding access tokens; a user changing their own password
+      // keeps the current session and can refresh, every other session is revoked
+      user.invalidateAccessTokens();
+      const keepSessionId = isOwnProfile ? req.sessionId : null;
+      user.refreshTokens = keepSessionId
+        ? user.refreshTokens.filter(rt => rt._id.toString() === String(keepSessionId))
+        : [];
+
       await user.save();
 
       res.json({
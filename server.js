@@ -3,9 +3,14 @@ const express = require('express');
 const mongoose = require('mongoose');
 const morgan = require('morgan');
 const compression = require('compression');
+const cookieParser = require('cookie-parser');
 
 // Import configurations
 const connectDB = require('./config/database');
+const { initKeyStore, getPublicJwks, JWKS_MAX_AGE_SECONDS } = require('./config/keys');
+const { startDeletionSweeper } = require('./utils/accountDeletion');
+const { normalizeStoredPhones } = require('./utils/phoneMigration');
+const { getStorage, getStorageDriverName, getLocalStorageDir } = require('./utils/storage');
 
 // Import middleware
 const { 
@@ -17,6 +22,7 @@ const {
   securityHeaders 
 } = require('./middleware/security');
 const { errorHandler, notFound } = require('./middleware/errorHandler');
+const { rejectImpersonation } = require('./middleware/auth');
 
 // Import routes
 const authRoutes = require('./routes/auth');
@@ -41,9 +47,13 @@ app.use(corsConfig);
 app.use(securityHeaders);
 
 // Body parsing middleware
+// (file uploads are multipart and have their own per-route limits, see middleware/upload.js)
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+// Cookie parsing (browser mode auth cookies)
+app.use(cookieParser());
+
 // Request sanitization
 app.use(sanitizeRequest);
 
@@ -71,11 +81,35 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Fail at startup on an unknown STORAGE_DRIVER rather than on the first upload
+getStorage();
+
+// Uploaded files stored on local disk; every upload has a unique path, so it can be cached forever
+if (getStorageDriverName() === 'local') {
+  app.use('/uploads', express.static(getLocalStorageDir(), {
+    immutable: true,
+    maxAge: '365d',
+    index: false,
+    dotfiles: 'deny',
+    setHeaders: (res) => {
+      // Avatars are loaded as <img> by the frontend, which may live on another origin
+      res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin');
+    }
+  }));
+}
+
+// Public signing keys for services that verify our access tokens
+app.get('/.well-known/jwks.json', (req, res) => {
+  res.set('Cache-Control', `public, max-age=${JWKS_MAX_AGE_SECONDS}`);
+  res.json(getPublicJwks());
+});
+
 // API routes
 app.use('/api/auth', authLimiter, authRoutes);
 app.use('/api/users', userRoutes);
-app.use('/api/roles', roleRoutes);
-app.use('/api/permissions', permissionRoutes);
+// Roles and permissions can't be changed while impersonating a user
+app.use('/api/roles', rejectImpersonation, roleRoutes);
+app.use('/api/permissions', rejectImpersonation, permissionRoutes);
 
 // API documentation endpoint
 app.get('/api', (req, res) => {
@@ -89,7 +123,49 @@ app.get('/api', (req, res) => {
         login: 'POST /api/auth/login',
         refresh: 'POST /api/auth/refresh',
         logout: 'POST /api/auth/logout',
+        verifyEmail: 'POST /api/auth/verify-email',
+        resendVerification: 'POST /api/auth/resend-verification',
+        forgotPassword: 'POST /api/auth/forgot-password',
+        resetPassword: 'POST /api/auth/reset-password',
+        mfaSetup: 'POST /api/auth/mfa/setup',
+        mfaEnable: 'POST /api/auth/mfa/enable',
+        mfaDisable: 'POST /api/auth/mfa/disable',
+        mfaRecoveryCodes: 'POST /api/auth/mfa/recovery-codes',
+        mfaVerify: 'POST /api/auth/mfa/verify',
+        sessions: 'GET /api/auth/sessions',
+        revokeSession: 'DELETE /api/auth/sessions/:id',
+        revokeSessions: 'DELETE /api/auth/sessions?except=current',
+        devices: 'GET /api/auth/devices',
+        removeDevice: 'DELETE /api/auth/devices/:id',
+        reportLogin: 'POST /api/auth/devices/report',
+        oidcLogin: 'POST /api/auth/oidc/:provider',
+        identities: 'GET /api/auth/identities',
+        linkIdentity: 'POST /api/auth/identities/:provider',
+        unlinkIdentity: 'DELETE /api/auth/identities/:provider',
+        magicLinkStart: 'POST /api/auth/passwordless/email/start',
+        magicLinkVerify: 'POST /api/auth/passwordless/email/verify',
+        smsCodeStart: 'POST /api/auth/passwordless/sms/start',
+        smsCodeVerify: 'POST /api/auth/passwordless/sms/verify',
+        passkeys: 'GET /api/auth/passkeys',
+        passkeyRegisterOptions: 'POST /api/auth/passkeys/register/options',
+        passkeyRegisterVerify: 'POST /api/auth/passkeys/register/verify',
+        passkeySignupOptions: 'POST /api/auth/passkeys/signup/options',
+        passkeySignupVerify: 'POST /api/auth/passkeys/signup/verify',
+        passkeyLoginOptions: 'POST /api/auth/passkeys/login/options',
+        passkeyLoginVerify: 'POST /api/auth/passkeys/login/verify',
+        removePasskey: 'DELETE /api/auth/passkeys/:id',
+        apiKeys: 'GET /api/auth/api-keys',
+        createApiKey: 'POST /api/auth/api-keys',
+        rotateApiKey: 'POST /api/auth/api-keys/:id/rotate',
+        revokeApiKey: 'DELETE /api/auth/api-keys/:id',
+        changeEmail: 'POST /api/auth/email/change',
+        confirmEmailChange: 'POST /api/auth/email/confirm',
+        revertEmailChange: 'POST /api/auth/email/revert',
         me: 'GET /api/auth/me',
+        exportAccount: 'GET /api/auth/me/export?format=json|zip',
+        deleteAccount: 'DELETE /api/auth/me',
+        uploadAvatar: 'PUT /api/auth/me/avatar',
+        removeAvatar: 'DELETE /api/auth/me/avatar',
         profile: 'PUT /api/auth/profile'
       },
       users: {
@@ -98,7 +174,14 @@ app.get('/api', (req, res) => {
         update: 'PUT /api/users/:id',
         delete: 'DELETE /api/users/:id',
         roles: 'PUT /api/users/:id/roles',
-        password: 'PUT /api/users/:id/password'
+        password: 'PUT /api/users/:id/password',
+        resetMfa: 'DELETE /api/users/:id/mfa',
+        unlock: 'POST /api/users/:id/unlock',
+        impersonate: 'POST /api/users/:id/impersonate',
+        locked: 'GET /api/users?locked=true',
+        sessions: 'GET /api/users/:id/sessions',
+        revokeSession: 'DELETE /api/users/:id/sessions/:sessionId',
+        revokeSessions: 'DELETE /api/users/:id/sessions'
       },
       roles: {
         list: 'GET /api/roles',
@@ -106,7 +189,8 @@ app.get('/api', (req, res) => {
         create: 'POST /api/roles',
         update: 'PUT /api/roles/:id',
         delete: 'DELETE /api/roles/:id',
-        permissions: 'PUT /api/roles/:id/permissions'
+        permissions: 'PUT /api/roles/:id/permissions',
+        tree: 'GET /api/roles/:id/tree'
       },
       permissions: {
         list: 'GET /api/permissions',
@@ -120,7 +204,8 @@ app.get('/api', (req, res) => {
     },
     authentication: {
       type: 'Bearer Token',
-      header: 'Authorization: Bearer <token>'
+      header: 'Authorization: Bearer <token>',
+      jwks: 'GET /.well-known/jwks.json'
     }
   });
 });
@@ -131,6 +216,29 @@ app.use(notFound);
 // Error handling middleware
 app.use(errorHandler);
 
+// Load (and rotate if due) the access token signing keys once connected
+mongoose.connection.once('open', async () => {
+  try {
+    await initKeyStore();
+  } catch (error) {
+    console.error('Failed to initialize signing keys:', error);
+  }
+});
+
+// Rewrite phone numbers saved before E.164 normalization
+mongoose.connection.once('open', async () => {
+  try {
+    await normalizeStoredPhones();
+  } catch (error) {
+    console.error('Failed to normalize stored phone numbers:', error);
+  }
+});
+
+// Anonymize or purge accounts whose deletion grace period has ended
+mongoose.connection.once('open', () => {
+  startDeletionSweeper();
+});
+
 // Seed database on startup (only in development)
 if (process.env.NODE_ENV === 'development') {
   mongoose.connection.once('open', async () => {
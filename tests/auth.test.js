@@ -0,0 +1,123 @@
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const RevokedToken = require('../models/RevokedToken');
+const { generateToken } = require('../config/jwt');
+const { protect } = require('../middleware/auth');
+
+// Collects the status and body sent by the middleware
+const createResponse = () => {
+  const res = { statusCode: 200, body: null };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  return res;
+};
+
+const runProtect = async (token) => {
+  const req = { headers: { authorization: `Bearer ${token}` }, cookies: {} };
+  const res = createResponse();
+  const next = jest.fn();
+  await protect(req, res, next);
+  return { req, res, next };
+};
+
+describe('auth middleware', () => {
+  const originalEnv = { ...process.env };
+  let user;
+  let session;
+
+  // Date.now() and new Date() follow the clock set here
+  const advanceClock = (ms) => jest.setSystemTime(Date.now() + ms);
+
+  beforeEach(() => {
+    Object.assign(process.env, { JWT_SECRET: 'test-secret', JWT_EXPIRE: '15m' });
+
+    jest.useFakeTimers({ now: 1700000000000, doNotFake: ['nextTick', 'setImmediate'] });
+
+    user = new User({ firstName: 'Test', lastName: 'User', email: 'test@example.com', isActive: true });
+    user.refreshTokens.push({ token: 'refresh-token', createdAt: new Date(Date.now() - 60 * 1000) });
+    session = user.refreshTokens[0];
+
+    jest.spyOn(User, 'findById').mockReturnValue({ populate: async () => user });
+    jest.spyOn(RevokedToken, 'isRevoked').mockResolvedValue(false);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+    process.env = { ...originalEnv };
+  });
+
+  const issueToken = () => generateToken({ id: user._id, sid: session._id });
+
+  it('accepts a valid token', async () => {
+    const { req, next } = await runProtect(issueToken());
+
+    expect(next).toHaveBeenCalled();
+    expect(req.user).toBe(user);
+    expect(req.sessionId).toBe(String(session._id));
+  });
+
+  describe('denylist', () => {
+    it('rejects a revoked token', async () => {
+      RevokedToken.isRevoked.mockResolvedValue(true);
+      const token = issueToken();
+
+      const { res, next } = await runProtect(token);
+
+      expect(RevokedToken.isRevoked).toHaveBeenCalledWith(jwt.decode(token).jti);
+      expect(res.statusCode).toBe(401);
+      expect(res.body.message).toBe('Token has been revoked');
+      expect(next).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('tokensValidAfter', () => {
+    it('rejects tokens issued before the cutoff', async () => {
+      const token = issueToken();
+      advanceClock(2000);
+      user.invalidateAccessTokens();
+
+      const { res, next } = await runProtect(token);
+
+      expect(res.statusCode).toBe(401);
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('rejects tokens from the cutoff\'s own second that were issued before it', async () => {
+      advanceClock(100);
+      const token = issueToken();
+      advanceClock(100);
+      user.invalidateAccessTokens();
+
+      const { res } = await runProtect(token);
+      expect(res.statusCode).toBe(401);
+    });
+
+    it('accepts a token refreshed in the same second as the cutoff for a session kept across it', async () => {
+      advanceClock(100);
+      user.invalidateAccessTokens();
+      advanceClock(100);
+
+      const { next } = await runProtect(issueToken());
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('only trusts tokens without a millisecond issue time from that second when their session is newer', async () => {
+      advanceClock(100);
+      user.invalidateAccessTokens();
+      advanceClock(100);
+      const legacyToken = jwt.sign({ id: user._id, sid: session._id }, 'test-secret', { expiresIn: '15m' });
+
+      expect((await runProtect(legacyToken)).res.statusCode).toBe(401);
+
+      session.createdAt = new Date();
+      expect((await runProtect(legacyToken)).next).toHaveBeenCalled();
+    });
+  });
+});
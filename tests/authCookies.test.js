@@ -0,0 +1,81 @@
+const jwt = require('jsonwebtoken');
+const { CSRF_HEADER, isValidCsrfRequest, setAuthCookies } = require('../utils/authCookies');
+
+// Collects the cookies set on a fake response
+const createResponse = () => {
+  const cookies = {};
+  return {
+    cookies,
+    cookie: (name, value, options) => {
+      cookies[name] = { value, options };
+    }
+  };
+};
+
+const createRequest = ({ method = 'POST', header, cookie } = {}) => ({
+  method,
+  cookies: cookie ? { wsw_csrf: cookie } : {},
+  get: (name) => (name.toLowerCase() === CSRF_HEADER ? header : undefined)
+});
+
+// Issue cookies for a session and return the CSRF token the client would echo back
+const issueCsrfToken = (sessionId) => {
+  const token = jwt.sign({ id: 'user-id', sid: sessionId }, 'test-secret', { expiresIn: '15m' });
+  const refreshToken = jwt.sign({ id: 'user-id', sid: sessionId }, 'test-secret', { expiresIn: '7d' });
+  return setAuthCookies(createResponse(), { token, refreshToken });
+};
+
+describe('authCookies', () => {
+  describe('setAuthCookies', () => {
+    it('sets HttpOnly token cookies and a readable CSRF cookie', () => {
+      const res = createResponse();
+      const token = jwt.sign({ id: 'user-id', sid: 'session-1' }, 'test-secret', { expiresIn: '15m' });
+      const refreshToken = jwt.sign({ id: 'user-id', sid: 'session-1' }, 'test-secret', { expiresIn: '7d' });
+
+      const csrfToken = setAuthCookies(res, { token, refreshToken });
+
+      expect(res.cookies.wsw_access.options.httpOnly).toBe(true);
+      expect(res.cookies.wsw_access.options.path).toBe('/api');
+      expect(res.cookies.wsw_refresh.options.httpOnly).toBe(true);
+      expect(res.cookies.wsw_refresh.options.path).toBe('/api/auth');
+      expect(res.cookies.wsw_csrf.options.httpOnly).toBe(false);
+      expect(res.cookies.wsw_csrf.value).toBe(csrfToken);
+    });
+  });
+
+  describe('isValidCsrfRequest', () => {
+    it('lets safe methods through without a token', () => {
+      expect(isValidCsrfRequest(createRequest({ method: 'GET' }), 'session-1')).toBe(true);
+    });
+
+    it('accepts a token echoed in the header for its own session', () => {
+      const csrfToken = issueCsrfToken('session-1');
+      const req = createRequest({ header: csrfToken, cookie: csrfToken });
+      expect(isValidCsrfRequest(req, 'session-1')).toBe(true);
+    });
+
+    it('rejects a missing or mismatched header', () => {
+      const csrfToken = issueCsrfToken('session-1');
+      expect(isValidCsrfRequest(createRequest({ cookie: csrfToken }), 'session-1')).toBe(false);
+      expect(isValidCsrfRequest(createRequest({ header: `${csrfToken}x`, cookie: csrfToken }), 'session-1')).toBe(false);
+    });
+
+    it('rejects a token signed for another session', () => {
+      const csrfToken = issueCsrfToken('session-2');
+      const req = createRequest({ header: csrfToken, cookie: csrfToken });
+      expect(isValidCsrfRequest(req, 'session-1')).toBe(false);
+    });
+
+    it('rejects tokens that were not signed by the server', () => {
+      const forged = `${'a'.repeat(32)}.${'b'.repeat(64)}`;
+      const req = createRequest({ header: forged, cookie: forged });
+      expect(isValidCsrfRequest(req, 'session-1')).toBe(false);
+      expect(isValidCsrfRequest(createRequest({ header: 'plain', cookie: 'plain' }), 'session-1')).toBe(false);
+    });
+
+    it('rejects requests without a session', () => {
+      const csrfToken = issueCsrfToken('session-1');
+      expect(isValidCsrfRequest(createRequest({ header: csrfToken, cookie: csrfToken }), null)).toBe(false);
+    });
+  });
+});
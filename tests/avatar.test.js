@@ -0,0 +1,114 @@
+const Jimp = require('jimp');
+const {
+  detectImageType,
+  readImageDimensions,
+  validateAvatarFile,
+  saveAvatar,
+  clearAvatar,
+  removeAvatarFiles,
+  formatAvatar
+} = require('../utils/avatar');
+const { memoryObjects } = require('../utils/storage');
+
+const createImage = (width, height, mime) => new Jimp(width, height, 0x3366ccff).getBufferAsync(mime);
+
+describe('avatar', () => {
+  let png;
+  let jpeg;
+
+  beforeAll(async () => {
+    png = await createImage(40, 30, Jimp.MIME_PNG);
+    jpeg = await createImage(50, 20, Jimp.MIME_JPEG);
+  });
+
+  afterEach(() => {
+    memoryObjects.clear();
+  });
+
+  describe('detectImageType', () => {
+    it('recognizes JPEG and PNG from their contents', () => {
+      expect(detectImageType(png)).toBe('image/png');
+      expect(detectImageType(jpeg)).toBe('image/jpeg');
+      expect(detectImageType(Buffer.from('GIF89a'))).toBeNull();
+    });
+  });
+
+  describe('readImageDimensions', () => {
+    it('reads PNG and JPEG dimensions without decoding', () => {
+      expect(readImageDimensions(png, 'image/png')).toEqual({ width: 40, height: 30 });
+      expect(readImageDimensions(jpeg, 'image/jpeg')).toEqual({ width: 50, height: 20 });
+    });
+
+    it('returns null for truncated or malformed images', () => {
+      expect(readImageDimensions(png.subarray(0, 20), 'image/png')).toBeNull();
+      expect(readImageDimensions(Buffer.from([0xff, 0xd8, 0x00, 0x01, 0, 0, 0, 0, 0, 0, 0, 0]), 'image/jpeg')).toBeNull();
+    });
+  });
+
+  describe('validateAvatarFile', () => {
+    it('accepts supported images', () => {
+      expect(validateAvatarFile({ mimetype: 'image/png', buffer: png })).toBeNull();
+    });
+
+    it('refuses unsupported or mislabeled files', () => {
+      expect(validateAvatarFile({ mimetype: 'image/gif', buffer: png })).toMatch('Avatar must be one of');
+      expect(validateAvatarFile({ mimetype: 'image/png', buffer: Buffer.from('not an image') }))
+        .toBe('Avatar file is not a valid JPEG or PNG image');
+    });
+
+    it('refuses images that are too large', () => {
+      const previous = process.env.AVATAR_MAX_DIMENSION;
+      process.env.AVATAR_MAX_DIMENSION = '32';
+      try {
+        expect(validateAvatarFile({ mimetype: 'image/png', buffer: png })).toMatch('at most 32x32');
+      } finally {
+        if (previous === undefined) delete process.env.AVATAR_MAX_DIMENSION;
+        else process.env.AVATAR_MAX_DIMENSION = previous;
+      }
+    });
+  });
+
+  describe('saveAvatar', () => {
+    it('stores every size and keeps keys, not URLs, on the user', async () => {
+      const user = { _id: 'user-id', avatar: null, avatarVariants: [] };
+
+      const previousKeys = await saveAvatar(user, png);
+
+      expect(previousKeys).toEqual([]);
+      expect(user.avatarVariants.map(variant => variant.size)).toEqual([512, 256, 64]);
+      expect(user.avatar).toBe(user.avatarVariants[0].key);
+      expect(user.avatar).toMatch(/^avatars\/user-id\/\w+\/512\.jpg$/);
+      user.avatarVariants.forEach(variant => expect(memoryObjects.has(variant.key)).toBe(true));
+
+      const avatar = formatAvatar(user);
+      expect(avatar.avatar).toBe(`http://localhost:5000/uploads/${user.avatar}`);
+      expect(Object.keys(avatar.avatarVariants)).toEqual(['64', '256', '512']);
+    });
+
+    it('leaves the replaced files for the caller to delete', async () => {
+      const user = { _id: 'user-id', avatar: null, avatarVariants: [] };
+      await saveAvatar(user, png);
+      const firstKeys = user.avatarVariants.map(variant => variant.key);
+
+      const previousKeys = await saveAvatar(user, jpeg);
+
+      expect(previousKeys).toEqual(firstKeys);
+      firstKeys.forEach(key => expect(memoryObjects.has(key)).toBe(true));
+
+      await removeAvatarFiles(previousKeys);
+      firstKeys.forEach(key => expect(memoryObjects.has(key)).toBe(false));
+      expect(memoryObjects.size).toBe(3);
+    });
+  });
+
+  describe('clearAvatar', () => {
+    it('clears the fields and returns the keys to delete', async () => {
+      const user = { _id: 'user-id', avatar: null, avatarVariants: [] };
+      await saveAvatar(user, png);
+      const keys = user.avatarVariants.map(variant => variant.key);
+
+      expect(clearAvatar(user)).toEqual(keys);
+      expect(formatAvatar(user)).toEqual({ avatar: null, avatarVariants: {} });
+    });
+  });
+});
@@ -0,0 +1,52 @@
+// Load a fresh copy of the key store with the given environment, with SigningKey.find()
+// returning no keys (the environment is restored after each test)
+const loadKeyStore = (env) => {
+  Object.assign(process.env, env);
+
+  let keyStore;
+  jest.isolateModules(() => {
+    const SigningKey = require('../models/SigningKey');
+    jest.spyOn(SigningKey, 'find').mockReturnValue({ select: () => ({ sort: async () => [] }) });
+    keyStore = { ...require('../config/keys'), SigningKey };
+  });
+  return keyStore;
+};
+
+describe('keys', () => {
+  const originalEnv = { ...process.env };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    process.env = { ...originalEnv };
+  });
+
+  describe('getVerificationKey', () => {
+    let now;
+
+    beforeEach(() => {
+      now = 1700000000000;
+      jest.spyOn(Date, 'now').mockImplementation(() => now);
+    });
+
+    it('throttles the reloads triggered by unknown kids', async () => {
+      const { getVerificationKey, SigningKey } = loadKeyStore({ JWT_ALGORITHM: 'RS256' });
+
+      expect(getVerificationKey('unknown-1')).toBeNull();
+      expect(getVerificationKey('unknown-2')).toBeNull();
+      await new Promise(resolve => setImmediate(resolve));
+      expect(getVerificationKey('unknown-3')).toBeNull();
+      expect(SigningKey.find).toHaveBeenCalledTimes(1);
+
+      now += 30 * 1000;
+      expect(getVerificationKey('unknown-4')).toBeNull();
+      expect(SigningKey.find).toHaveBeenCalledTimes(2);
+    });
+
+    it('never reloads for HS256', () => {
+      const { getVerificationKey, SigningKey } = loadKeyStore({ JWT_ALGORITHM: 'HS256' });
+
+      expect(getVerificationKey('unknown')).toBeNull();
+      expect(SigningKey.find).not.toHaveBeenCalled();
+    });
+  });
+});
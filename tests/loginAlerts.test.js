@@ -0,0 +1,136 @@
+const KnownDevice = require('../models/KnownDevice');
+const LoginAlert = require('../models/LoginAlert');
+const SecurityEvent = require('../models/SecurityEvent');
+const {
+  registerChannel,
+  getDeviceFingerprint,
+  getRequestRegion,
+  checkLoginDevice,
+  sentAlerts
+} = require('../utils/loginAlerts');
+
+const createRequest = ({ userAgent = 'Mozilla/5.0 (Windows NT 10.0) Chrome/120.0.1.2', headers = {}, body = {}, ip = '203.0.113.7' } = {}) => {
+  const allHeaders = { 'user-agent': userAgent, ...headers };
+  return {
+    ip,
+    body,
+    get: (name) => allHeaders[name.toLowerCase()]
+  };
+};
+
+const user = { _id: 'user-id', firstName: 'Test' };
+
+describe('loginAlerts', () => {
+  const originalEnv = { ...process.env };
+
+  beforeEach(() => {
+    jest.spyOn(LoginAlert, 'issue').mockImplementation(async (details) => ({
+      alert: { _id: 'alert-id', ...details },
+      token: 'alert-token'
+    }));
+    jest.spyOn(SecurityEvent, 'record').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    sentAlerts.length = 0;
+    process.env = { ...originalEnv };
+  });
+
+  describe('getDeviceFingerprint', () => {
+    it('ignores version numbers in the user agent', () => {
+      const before = getDeviceFingerprint(createRequest({ userAgent: 'Mozilla/5.0 Chrome/120.0.1.2' }));
+      const after = getDeviceFingerprint(createRequest({ userAgent: 'Mozilla/5.0 Chrome/121.0.3.4' }));
+      expect(after).toBe(before);
+    });
+
+    it('prefers a device id sent by the client', () => {
+      const fromHeader = getDeviceFingerprint(createRequest({ headers: { 'x-device-id': 'device-1' } }));
+      const fromBody = getDeviceFingerprint(createRequest({ userAgent: 'Other', body: { deviceId: 'device-1' } }));
+      expect(fromBody).toBe(fromHeader);
+      expect(fromHeader).not.toBe(getDeviceFingerprint(createRequest()));
+    });
+  });
+
+  describe('getRequestRegion', () => {
+    it('uses the network of the IP address', () => {
+      expect(getRequestRegion(createRequest({ ip: '::ffff:203.0.113.7' }))).toBe('net:203.0.0.0/16');
+      expect(getRequestRegion(createRequest({ ip: '2001:db8:1234:5678::1' }))).toBe('net:2001:db8:1234::/48');
+      expect(getRequestRegion(createRequest({ ip: '' }))).toBe('unknown');
+    });
+
+    it('gives the same IPv6 network however the address is written', () => {
+      const region = getRequestRegion(createRequest({ ip: '2001:db8:0:1::5' }));
+
+      expect(region).toBe('net:2001:db8:0::/48');
+      expect(getRequestRegion(createRequest({ ip: '2001:db8::1:0:0:5' }))).toBe(region);
+      expect(getRequestRegion(createRequest({ ip: '2001:0db8:0000:0001:0000:0000:0000:0005' }))).toBe(region);
+      expect(getRequestRegion(createRequest({ ip: '::1' }))).toBe('net:0:0:0::/48');
+      expect(getRequestRegion(createRequest({ ip: '64:ff9b::192.0.2.1' }))).toBe('net:64:ff9b:0::/48');
+    });
+
+    it('uses a trusted country header when configured', () => {
+      process.env.LOGIN_ALERT_REGION_HEADER = 'cf-ipcountry';
+      expect(getRequestRegion(createRequest({ headers: { 'cf-ipcountry': 'pk' } }))).toBe('country:PK');
+    });
+  });
+
+  describe('checkLoginDevice', () => {
+    const mockRecordLogin = (result) => jest.spyOn(KnownDevice, 'recordLogin')
+      .mockResolvedValue({ device: { _id: 'device-id' }, isFirstLogin: false, isNewDevice: false, isNewRegion: false, ...result });
+
+    it('only records the first login of an account', async () => {
+      mockRecordLogin({ isFirstLogin: true, isNewDevice: true, isNewRegion: true });
+
+      expect(await checkLoginDevice(user, createRequest(), 'session-id')).toBeNull();
+      expect(LoginAlert.issue).not.toHaveBeenCalled();
+      expect(sentAlerts).toHaveLength(0);
+    });
+
+    it('does not alert for a known device in a known region', async () => {
+      mockRecordLogin({});
+
+      expect(await checkLoginDevice(user, createRequest(), 'session-id')).toBeNull();
+      expect(sentAlerts).toHaveLength(0);
+    });
+
+    it('alerts through the configured channels for a new device', async () => {
+      mockRecordLogin({ isNewDevice: true });
+
+      const alert = await checkLoginDevice(user, createRequest(), 'session-id');
+
+      expect(alert.reasons).toEqual(['new_device']);
+      expect(alert.deviceName).toBe('Chrome on Windows');
+      expect(SecurityEvent.record).toHaveBeenCalledWith('new_login_alert', expect.objectContaining({ user: 'user-id' }));
+      expect(sentAlerts).toHaveLength(1);
+      expect(sentAlerts[0]).toMatchObject({ user: 'user-id', token: 'alert-token' });
+    });
+
+    it('does not alert when alerts are disabled', async () => {
+      process.env.LOGIN_ALERTS_ENABLED = 'false';
+      mockRecordLogin({ isNewRegion: true });
+
+      expect(await checkLoginDevice(user, createRequest(), 'session-id')).toBeNull();
+      expect(sentAlerts).toHaveLength(0);
+    });
+
+    it('keeps going when a channel fails', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      registerChannel('failing', { notify: async () => { throw new Error('down'); } });
+      process.env.LOGIN_ALERT_CHANNELS = 'failing,memory';
+      mockRecordLogin({ isNewDevice: true, isNewRegion: true });
+
+      const alert = await checkLoginDevice(user, createRequest(), 'session-id');
+
+      expect(alert.reasons).toEqual(['new_device', 'new_region']);
+      expect(sentAlerts).toHaveLength(1);
+    });
+
+    it('never fails the login', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      jest.spyOn(KnownDevice, 'recordLogin').mockRejectedValue(new Error('database down'));
+
+      await expect(checkLoginDevice(user, createRequest(), 'session-id')).resolves.toBeNull();
+    });
+  });
+});
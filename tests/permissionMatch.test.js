@@ -0,0 +1,57 @@
+const { parsePermission, grantAllows, isAllowed, allowsAnyOn } = require('../utils/permissionMatch');
+
+describe('permissionMatch', () => {
+  describe('parsePermission', () => {
+    it('splits and lowercases resource and action', () => {
+      expect(parsePermission('Users:Read')).toEqual({ resource: 'users', action: 'read' });
+    });
+
+    it('returns empty parts for malformed permissions', () => {
+      expect(parsePermission('users')).toEqual({ resource: 'users', action: '' });
+    });
+  });
+
+  describe('grantAllows', () => {
+    it('matches the exact permission', () => {
+      expect(grantAllows('users:read', 'users', 'read')).toBe(true);
+      expect(grantAllows('users:read', 'users', 'update')).toBe(false);
+      expect(grantAllows('users:read', 'roles', 'read')).toBe(false);
+    });
+
+    it('treats "*" as any resource or action', () => {
+      expect(grantAllows('*:read', 'roles', 'read')).toBe(true);
+      expect(grantAllows('*:read', 'roles', 'delete')).toBe(false);
+      expect(grantAllows('users:*', 'users', 'delete')).toBe(true);
+      expect(grantAllows('*:*', 'anything', 'goes')).toBe(true);
+    });
+
+    it('treats "manage" as every action on its resource', () => {
+      expect(grantAllows('users:manage', 'users', 'delete')).toBe(true);
+      expect(grantAllows('users:manage', 'roles', 'delete')).toBe(false);
+    });
+  });
+
+  describe('isAllowed', () => {
+    it('accepts a Set or an array of grants', () => {
+      expect(isAllowed(new Set(['users:read']), 'users', 'read')).toBe(true);
+      expect(isAllowed(['roles:manage'], 'roles', 'update')).toBe(true);
+    });
+
+    it('is case-insensitive for the required permission', () => {
+      expect(isAllowed(['users:read'], 'Users', 'READ')).toBe(true);
+    });
+
+    it('denies when no grant matches', () => {
+      expect(isAllowed(['users:read', 'roles:*'], 'permissions', 'read')).toBe(false);
+      expect(isAllowed([], 'users', 'read')).toBe(false);
+    });
+  });
+
+  describe('allowsAnyOn', () => {
+    it('is true when any action on the resource is granted', () => {
+      expect(allowsAnyOn(['users:read'], 'users')).toBe(true);
+      expect(allowsAnyOn(['*:read'], 'roles')).toBe(true);
+      expect(allowsAnyOn(['users:read'], 'roles')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,137 @@
+jest.mock('../utils/permissionCache', () => ({
+  getCompiledPermissions: jest.fn(),
+  getEffectivePermissions: jest.fn()
+}));
+
+const ApiKey = require('../models/ApiKey');
+const { getCompiledPermissions } = require('../utils/permissionCache');
+const { requirePermission, hasAllPermissions, hasResourcePermission } = require('../middleware/permissions');
+
+// Collects the status and body sent by the middleware
+const createResponse = () => {
+  const res = { statusCode: 200, body: null };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  return res;
+};
+
+// Run a middleware for a user holding `permissions`, optionally through an API key with `scopes`
+const runGuard = async (guard, { permissions = [], scopes = null, roles = [] } = {}) => {
+  getCompiledPermissions.mockResolvedValue({ permissions, conditionalGrants: [] });
+
+  const req = {
+    method: 'GET',
+    baseUrl: '/api/users',
+    path: '/',
+    user: { _id: 'user-id', roles: roles.map(name => ({ name, isActive: true })) },
+    apiKey: scopes ? new ApiKey({ user: 'user-id', name: 'Script', scopes }) : undefined
+  };
+  const res = createResponse();
+  const next = jest.fn();
+  await guard(req, res, next);
+  return { res, allowed: next.mock.calls.length > 0 };
+};
+
+describe('permissions middleware', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('API key scopes', () => {
+    it('allows permissions the user holds and the key is scoped to', async () => {
+      const { allowed } = await runGuard(requirePermission('users:read'), {
+        permissions: ['users:read'],
+        scopes: ['users:read']
+      });
+      expect(allowed).toBe(true);
+    });
+
+    it('limits a key to its scopes even when the user holds more', async () => {
+      const { allowed, res } = await runGuard(requirePermission('users:delete'), {
+        permissions: ['users:manage'],
+        scopes: ['users:read']
+      });
+      expect(allowed).toBe(false);
+      expect(res.statusCode).toBe(403);
+    });
+
+    it('never grants more than the user currently holds', async () => {
+      const { allowed } = await runGuard(requirePermission('users:delete'), {
+        permissions: ['users:read'],
+        scopes: ['users:delete']
+      });
+      expect(allowed).toBe(false);
+    });
+
+    it('matches wildcard scopes like permissions', async () => {
+      const { allowed } = await runGuard(requirePermission('users:update'), {
+        permissions: ['*:*'],
+        scopes: ['users:manage']
+      });
+      expect(allowed).toBe(true);
+    });
+
+    it('applies to every guard', async () => {
+      const options = { permissions: ['users:manage', 'roles:manage'], scopes: ['users:read'] };
+
+      expect((await runGuard(hasAllPermissions(['users:read', 'roles:read']), options)).allowed).toBe(false);
+      expect((await runGuard(hasResourcePermission('users'), options)).allowed).toBe(true);
+      expect((await runGuard(hasResourcePermission('roles'), options)).allowed).toBe(false);
+    });
+  });
+
+  describe('AUTHORIZATION_MODE=compat', () => {
+    const originalMode = process.env.AUTHORIZATION_MODE;
+    const guard = requirePermission('users:read', { legacyRoles: ['admin'] });
+
+    beforeEach(() => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      if (originalMode === undefined) delete process.env.AUTHORIZATION_MODE;
+      else process.env.AUTHORIZATION_MODE = originalMode;
+    });
+
+    it('ignores legacy roles by default', async () => {
+      delete process.env.AUTHORIZATION_MODE;
+
+      expect((await runGuard(guard, { permissions: ['users:read'], roles: ['user'] })).allowed).toBe(true);
+      expect(console.warn).not.toHaveBeenCalled();
+    });
+
+    it('requires both the legacy role and the permission', async () => {
+      process.env.AUTHORIZATION_MODE = 'compat';
+
+      expect((await runGuard(guard, { permissions: ['users:read'], roles: ['admin'] })).allowed).toBe(true);
+      expect((await runGuard(guard, { permissions: [], roles: ['admin'] })).allowed).toBe(false);
+
+      const { allowed, res } = await runGuard(guard, { permissions: ['users:read'], roles: ['user'] });
+      expect(allowed).toBe(false);
+      expect(res.body.message).toBe('User role user is not authorized to access this route');
+    });
+
+    it('logs when the role and permission checks disagree', async () => {
+      process.env.AUTHORIZATION_MODE = 'compat';
+
+      await runGuard(guard, { permissions: ['users:read'], roles: ['admin'] });
+      expect(console.warn).not.toHaveBeenCalled();
+
+      await runGuard(guard, { permissions: [], roles: ['admin'] });
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('role check (admin) allows, permission check (users:read) denies'));
+    });
+
+    it('skips routes without legacy roles', async () => {
+      process.env.AUTHORIZATION_MODE = 'compat';
+
+      const { allowed } = await runGuard(requirePermission('users:read'), { permissions: ['users:read'], roles: ['user'] });
+      expect(allowed).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,163 @@
+const {
+  parseCondition,
+  isValidCondition,
+  evaluateCondition,
+  describeSubject,
+  buildPolicyContext,
+  evaluatePolicy
+} = require('../utils/policy');
+
+const admin = {
+  _id: 'admin-id',
+  isActive: true,
+  roles: [{ name: 'admin', level: 80, isActive: true }]
+};
+
+const member = {
+  _id: 'member-id',
+  isActive: true,
+  roles: [{ name: 'user', level: 10, isActive: true }, { name: 'old', level: 90, isActive: false }]
+};
+
+describe('policy', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('parseCondition', () => {
+    it('parses path and value operands', () => {
+      expect(parseCondition('target.id == actor.id')).toEqual({
+        left: 'target.id',
+        operator: '==',
+        right: { path: 'actor.id' }
+      });
+      expect(parseCondition('request.method in ["GET", "HEAD"]')).toEqual({
+        left: 'request.method',
+        operator: 'in',
+        right: { value: ['GET', 'HEAD'] }
+      });
+    });
+
+    it('rejects unknown roots, operators and values', () => {
+      expect(isValidCondition('user.id == actor.id')).toBe(false);
+      expect(isValidCondition('target.id === actor.id')).toBe(false);
+      expect(isValidCondition('target.id == not-json')).toBe(false);
+      expect(isValidCondition('target.role.level < actor.role.level')).toBe(true);
+    });
+  });
+
+  describe('evaluateCondition', () => {
+    const context = {
+      actor: { id: '1', roles: ['admin'], role: { level: 80 } },
+      target: { id: '2', owner: '1', role: { level: 10 } },
+      request: { method: 'PUT' }
+    };
+
+    it('compares ids by value', () => {
+      expect(evaluateCondition('target.owner == actor.id', context)).toBe(true);
+      expect(evaluateCondition('target.id != actor.id', context)).toBe(true);
+    });
+
+    it('only orders numbers', () => {
+      expect(evaluateCondition('target.role.level < actor.role.level', context)).toBe(true);
+      expect(evaluateCondition('target.id < 3', context)).toBe(false);
+    });
+
+    it('supports in and contains', () => {
+      expect(evaluateCondition('request.method in ["PUT", "PATCH"]', context)).toBe(true);
+      expect(evaluateCondition('actor.roles contains "admin"', context)).toBe(true);
+      expect(evaluateCondition('actor.roles contains "user"', context)).toBe(false);
+    });
+
+    it('fails on missing attributes', () => {
+      expect(evaluateCondition('target.missing == actor.missing', context)).toBe(false);
+      expect(evaluateCondition('target.missing != "x"', context)).toBe(false);
+    });
+
+    it('does not resolve inherited properties', () => {
+      expect(evaluateCondition('target.constructor.name == "Object"', context)).toBe(false);
+      expect(evaluateCondition('target.toString == actor.toString', context)).toBe(false);
+    });
+
+    it('never passes an invalid condition', () => {
+      expect(evaluateCondition('nonsense', context)).toBe(false);
+    });
+  });
+
+  describe('describeSubject', () => {
+    it('uses active roles only', () => {
+      expect(describeSubject(member)).toEqual({
+        id: 'member-id',
+        roles: ['user'],
+        role: { level: 10 },
+        isActive: true
+      });
+    });
+
+    it('leaves out roles that are not populated', () => {
+      expect(describeSubject({ _id: 'x', roles: ['role-id'], user: 'owner-id' })).toEqual({
+        id: 'x',
+        owner: 'owner-id'
+      });
+    });
+  });
+
+  describe('evaluatePolicy', () => {
+    const selfUpdate = {
+      resource: 'users',
+      action: 'update',
+      conditions: ['target.id == actor.id'],
+      fields: ['firstName', 'lastName']
+    };
+
+    it('allows every field for unconditional grants', () => {
+      const result = evaluatePolicy({
+        permissions: new Set(['users:manage']),
+        resource: 'users',
+        action: 'update',
+        context: buildPolicyContext({ user: admin }, member)
+      });
+      expect(result).toEqual({ allowed: true, fields: null });
+    });
+
+    it('limits conditional grants to their fields', () => {
+      const result = evaluatePolicy({
+        permissions: new Set(),
+        conditionalGrants: [selfUpdate],
+        resource: 'users',
+        action: 'update',
+        context: buildPolicyContext({ user: member }, member)
+      });
+      expect(result).toEqual({ allowed: true, fields: ['firstName', 'lastName'] });
+    });
+
+    it('denies when the conditions do not hold', () => {
+      const result = evaluatePolicy({
+        permissions: new Set(),
+        conditionalGrants: [selfUpdate],
+        resource: 'users',
+        action: 'update',
+        context: buildPolicyContext({ user: member }, admin)
+      });
+      expect(result).toEqual({ allowed: false, fields: [] });
+    });
+
+    it('checks role levels between actor and target', () => {
+      const grant = { resource: 'users', action: 'delete', conditions: ['target.role.level < actor.role.level'] };
+      const evaluate = (actor, target) => evaluatePolicy({
+        permissions: new Set(),
+        conditionalGrants: [grant],
+        resource: 'users',
+        action: 'delete',
+        context: buildPolicyContext({ user: actor }, target)
+      }).allowed;
+
+      expect(evaluate(admin, member)).toBe(true);
+      expect(evaluate(member, admin)).toBe(false);
+    });
+  });
+});
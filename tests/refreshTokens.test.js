@@ -0,0 +1,98 @@
+const express = require('express');
+const request = require('supertest');
+const User = require('../models/User');
+const SecurityEvent = require('../models/SecurityEvent');
+const { generateRefreshToken } = require('../config/jwt');
+const authRouter = require('../routes/auth');
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRouter);
+
+describe('POST /api/auth/refresh', () => {
+  const originalEnv = { ...process.env };
+  let user;
+  let session;
+
+  const refresh = (refreshToken) => request(app).post('/api/auth/refresh').send({ refreshToken });
+
+  beforeEach(() => {
+    Object.assign(process.env, {
+      JWT_SECRET: 'test-secret',
+      JWT_REFRESH_SECRET: 'test-refresh-secret',
+      JWT_EXPIRE: '15m',
+      JWT_REFRESH_EXPIRE: '7d'
+    });
+
+    user = new User({ firstName: 'Test', lastName: 'User', email: 'test@example.com', isActive: true });
+    user.refreshTokens.push({ token: 'placeholder', deviceName: 'Laptop' });
+    session = user.refreshTokens[0];
+    session.token = generateRefreshToken({ id: user._id, sid: session._id });
+
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+    jest.spyOn(User.prototype, 'save').mockImplementation(async function() {
+      return this;
+    });
+    jest.spyOn(SecurityEvent, 'record').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    process.env = { ...originalEnv };
+  });
+
+  it('rotates the refresh token within the same session', async () => {
+    const oldToken = session.token;
+
+    const res = await refresh(oldToken);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.refreshToken).not.toBe(oldToken);
+    expect(user.refreshTokens).toHaveLength(1);
+    expect(user.findSession(session._id).token).toBe(res.body.data.refreshToken);
+  });
+
+  it('revokes the session when a rotated token is used again', async () => {
+    const oldToken = session.token;
+    await refresh(oldToken);
+
+    const res = await refresh(oldToken);
+
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe('REFRESH_TOKEN_REUSED');
+    expect(user.refreshTokens).toHaveLength(0);
+    expect(SecurityEvent.record).toHaveBeenCalledWith('refresh_token_reuse', expect.objectContaining({ user: user._id }));
+  });
+
+  it('lets the latest rotated token be retried within the grace window', async () => {
+    process.env.REFRESH_TOKEN_REUSE_GRACE_SECONDS = '30';
+    const oldToken = session.token;
+    await refresh(oldToken);
+
+    const res = await refresh(oldToken);
+
+    expect(res.status).toBe(200);
+    expect(user.refreshTokens).toHaveLength(1);
+    expect(SecurityEvent.record).not.toHaveBeenCalled();
+  });
+
+  it('treats older rotated tokens as reuse even within the grace window', async () => {
+    process.env.REFRESH_TOKEN_REUSE_GRACE_SECONDS = '30';
+    const firstToken = session.token;
+    await refresh(firstToken);
+    await refresh(user.findSession(session._id).token);
+
+    const res = await refresh(firstToken);
+
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe('REFRESH_TOKEN_REUSED');
+  });
+
+  it('rejects unknown tokens without revoking anything', async () => {
+    const res = await refresh(generateRefreshToken({ id: user._id, sid: session._id }));
+
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBeUndefined();
+    expect(user.refreshTokens).toHaveLength(1);
+  });
+});
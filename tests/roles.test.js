@@ -0,0 +1,167 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+
+const mockActor = {};
+
+jest.mock('../middleware/auth', () => ({
+  protect: (req, res, next) => {
+    req.user = mockActor;
+    next();
+  }
+}));
+jest.mock('../middleware/permissions', () => ({
+  requirePermission: () => (req, res, next) => next()
+}));
+jest.mock('../utils/permissionCache', () => ({
+  invalidateAllPermissions: jest.fn(),
+  getCompiledPermissions: jest.fn()
+}));
+
+const Role = require('../models/Role');
+const Permission = require('../models/Permission');
+const { getCompiledPermissions } = require('../utils/permissionCache');
+const { findUngrantablePermissions } = require('../utils/roleHierarchy');
+const rolesRouter = require('../routes/roles');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const createPermission = (name, isActive = true) => {
+  const [resource, action] = name.split(':');
+  return { _id: id(), name, resource, action, isActive };
+};
+
+const createRole = (name, level, { permissions = [], parents = [], isActive = true } = {}) => ({
+  _id: id(),
+  name,
+  level,
+  isActive,
+  isSystemRole: false,
+  permissions: permissions.map(permission => permission._id),
+  parents: parents.map(parent => parent._id),
+  populate: jest.fn(),
+  addPermission: jest.fn()
+});
+
+const usersRead = createPermission('users:read');
+const usersDelete = createPermission('users:delete');
+const rolesDelete = createPermission('roles:delete');
+const allPermissions = [usersRead, usersDelete, rolesDelete];
+
+const manager = createRole('manager', 5, { permissions: [usersRead] });
+const deleter = createRole('deleter', 2, { permissions: [rolesDelete] });
+const editor = createRole('editor', 2, { permissions: [usersRead] });
+const allRoles = [manager, deleter, editor];
+
+const app = express();
+app.use(express.json());
+app.use('/api/roles', rolesRouter);
+
+describe('roles', () => {
+  beforeEach(() => {
+    Object.assign(mockActor, { _id: id(), roles: [manager] });
+    getCompiledPermissions.mockResolvedValue({ permissions: ['users:manage'], conditionalGrants: [] });
+
+    jest.spyOn(Role, 'find').mockReturnValue({ select: async () => allRoles });
+    jest.spyOn(Role, 'findOne').mockResolvedValue(null);
+    jest.spyOn(Role, 'findById').mockImplementation(async (roleId) => allRoles.find(role => role._id.equals(roleId)) || null);
+    jest.spyOn(Role, 'create').mockImplementation(async (data) => ({ ...createRole(data.name, data.level), ...data }));
+    jest.spyOn(Permission, 'find').mockImplementation(async (filter) => {
+      const ids = filter._id.$in.map(String);
+      return allPermissions.filter(permission => ids.includes(String(permission._id)));
+    });
+    jest.spyOn(Permission, 'findById').mockImplementation(async (permissionId) =>
+      allPermissions.find(permission => permission._id.equals(permissionId)) || null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const createRoleRequest = (body) => request(app)
+    .post('/api/roles')
+    .send({ name: 'new-role', displayName: 'New role', level: 1, ...body });
+
+  describe('POST /api/roles', () => {
+    it('refuses levels at or above the actor\'s own', async () => {
+      const res = await createRoleRequest({ level: 5 });
+
+      expect(res.status).toBe(403);
+      expect(Role.create).not.toHaveBeenCalled();
+    });
+
+    it('allows permissions the actor holds, including through a broader grant', async () => {
+      const res = await createRoleRequest({ permissions: [String(usersRead._id), String(usersDelete._id)] });
+
+      expect(res.status).toBe(201);
+      expect(Role.create).toHaveBeenCalled();
+    });
+
+    it('refuses permissions the actor does not hold', async () => {
+      const res = await createRoleRequest({ permissions: [String(rolesDelete._id)] });
+
+      expect(res.status).toBe(403);
+      expect(res.body.message).toBe("You can't grant permissions you don't have: roles:delete");
+      expect(Role.create).not.toHaveBeenCalled();
+    });
+
+    it('refuses permissions inherited from a parent role', async () => {
+      const res = await createRoleRequest({ level: 3, parents: [String(deleter._id)] });
+
+      expect(res.status).toBe(403);
+      expect(res.body.message).toBe("You can't grant permissions you don't have: roles:delete");
+    });
+  });
+
+  describe('PUT /api/roles/:id', () => {
+    it('refuses roles at or above the actor\'s own level', async () => {
+      const res = await request(app).put(`/api/roles/${manager._id}`).send({ displayName: 'Managers' });
+      expect(res.status).toBe(403);
+    });
+
+    it('refuses new parents that grant permissions the actor does not hold', async () => {
+      const res = await request(app).put(`/api/roles/${editor._id}`).send({ parents: [String(deleter._id)] });
+
+      expect(res.status).toBe(403);
+      expect(res.body.message).toBe("You can't grant permissions you don't have: roles:delete");
+    });
+  });
+
+  describe('PUT /api/roles/:id/permissions', () => {
+    it('refuses a permission the actor does not hold', async () => {
+      const res = await request(app)
+        .put(`/api/roles/${editor._id}/permissions`)
+        .send({ permissionId: String(rolesDelete._id) });
+
+      expect(res.status).toBe(403);
+      expect(editor.addPermission).not.toHaveBeenCalled();
+    });
+
+    it('adds a permission the actor holds', async () => {
+      const res = await request(app)
+        .put(`/api/roles/${editor._id}/permissions`)
+        .send({ permissionId: String(usersDelete._id) });
+
+      expect(res.status).toBe(200);
+      expect(editor.addPermission).toHaveBeenCalledWith(usersDelete._id);
+    });
+  });
+
+  describe('findUngrantablePermissions', () => {
+    const graph = new Map(allRoles.map(role => [String(role._id), role]));
+
+    it('allows permissions held through the actor\'s own roles, even conditional ones', async () => {
+      const ungrantable = await findUngrantablePermissions([usersRead._id], { roleIds: [manager._id], permissions: [] }, graph);
+      expect(ungrantable).toEqual([]);
+    });
+
+    it('lists what the actor can\'t grant', async () => {
+      const ungrantable = await findUngrantablePermissions(
+        [usersDelete._id, rolesDelete._id],
+        { roleIds: [manager._id], permissions: ['users:read'] },
+        graph
+      );
+      expect(ungrantable).toEqual(['roles:delete', 'users:delete']);
+    });
+  });
+});
@@ -0,0 +1,81 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Load a fresh copy of the storage module with the given environment
+// (the environment is restored after each test)
+const loadStorage = (env) => {
+  Object.assign(process.env, env);
+
+  let storageModule;
+  jest.isolateModules(() => {
+    storageModule = require('../utils/storage');
+  });
+  return storageModule;
+};
+
+describe('storage', () => {
+  const originalEnv = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  it('uses the memory adapter under NODE_ENV=test', async () => {
+    const { getStorage, memoryObjects } = loadStorage({ STORAGE_PUBLIC_URL: 'https://cdn.example.com/files/' });
+    const storage = getStorage();
+
+    expect(storage.name).toBe('memory');
+
+    await storage.put('avatars/a/1/64.jpg', Buffer.from('image'), 'image/jpeg');
+    expect(memoryObjects.get('avatars/a/1/64.jpg')).toEqual({ buffer: Buffer.from('image'), contentType: 'image/jpeg' });
+    expect(storage.getUrl('avatars/a/1/64.jpg')).toBe('https://cdn.example.com/files/avatars/a/1/64.jpg');
+
+    await storage.remove('avatars/a/1/64.jpg');
+    expect(memoryObjects.has('avatars/a/1/64.jpg')).toBe(false);
+  });
+
+  it('refuses unknown drivers', () => {
+    const { getStorage } = loadStorage({ STORAGE_DRIVER: 's3' });
+    expect(() => getStorage()).toThrow('Unknown storage driver: s3');
+  });
+
+  it('uses an adapter passed to setStorage()', () => {
+    const { getStorage, setStorage } = loadStorage({ STORAGE_DRIVER: 'custom' });
+    const custom = { name: 'custom', put: jest.fn(), remove: jest.fn(), getUrl: key => `custom://${key}` };
+
+    setStorage(custom);
+    expect(getStorage()).toBe(custom);
+  });
+
+  describe('local adapter', () => {
+    let rootDir;
+
+    beforeEach(async () => {
+      rootDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'storage-test-'));
+    });
+
+    afterEach(async () => {
+      await fs.promises.rm(rootDir, { recursive: true, force: true });
+    });
+
+    it('writes and removes files under the storage directory', async () => {
+      const { getStorage } = loadStorage({ STORAGE_DRIVER: 'local', STORAGE_LOCAL_DIR: rootDir });
+      const storage = getStorage();
+
+      await storage.put('avatars/a/1/64.jpg', Buffer.from('image'));
+      expect(await fs.promises.readFile(path.join(rootDir, 'avatars/a/1/64.jpg'), 'utf8')).toBe('image');
+
+      await storage.remove('avatars/a/1/64.jpg');
+      expect(fs.existsSync(path.join(rootDir, 'avatars/a/1/64.jpg'))).toBe(false);
+
+      // Removing a missing file is not an error
+      await expect(storage.remove('avatars/a/1/64.jpg')).resolves.toBeUndefined();
+    });
+
+    it('refuses keys outside the storage directory', async () => {
+      const { getStorage } = loadStorage({ STORAGE_DRIVER: 'local', STORAGE_LOCAL_DIR: rootDir });
+      await expect(getStorage().put('../outside.jpg', Buffer.from('image'))).rejects.toThrow('Invalid storage key');
+    });
+  });
+});
@@ -0,0 +1,108 @@
+const User = require('../models/User');
+const ApiKey = require('../models/ApiKey');
+const KnownDevice = require('../models/KnownDevice');
+const LoginAlert = require('../models/LoginAlert');
+const LoginCode = require('../models/LoginCode');
+const PasskeyChallenge = require('../models/PasskeyChallenge');
+const RevokedToken = require('../models/RevokedToken');
+const SecurityEvent = require('../models/SecurityEvent');
+const { clearAvatar, removeAvatarFiles } = require('./avatar');
+
+// Self-service account deletion
+// ACCOUNT_DELETION_MODE=anonymize keeps the user document (so anything referencing it stays
+// valid) but strips the personal data; ACCOUNT_DELETION_MODE=purge removes it entirely
+
+const getDeletionGraceDays = () => {
+  const days = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS);
+  return Number.isNaN(days) ? 30 : days;
+};
+
+const getDeletionMode = () => (process.env.ACCOUNT_DELETION_MODE === 'purge' ? 'purge' : 'anonymize');
+
+// Credentials and login artifacts are removed in both modes
+const removeUserCredentials = async (userId) => {
+  await Promise.all([
+    ApiKey.deleteMany({ user: userId }),
+    KnownDevice.deleteMany({ user: userId }),
+    LoginAlert.deleteMany({ user: userId }),
+    LoginCode.deleteMany({ user: userId }),
+    PasskeyChallenge.deleteMany({ user: userId }),
+    RevokedToken.deleteMany({ user: userId })
+  ]);
+};
+
+// Anonymize or purge one account whose grace period is over
+const deleteAccount = async (user) => {
+  const mode = getDeletionMode();
+
+  await removeUserCredentials(user._id);
+  // Uploaded files live outside the database, so they're removed in both modes too
+  const avatarKeys = clearAvatar(user);
+
+  if (mode === 'purge') {
+    await SecurityEvent.deleteMany({ user: user._id });
+    await User.deleteOne({ _id: user._id });
+  } else {
+    user.anonymize();
+    await user.save({ validateBeforeSave: false });
+
+    // Keep the audit trail but drop where the requests came from
+    await SecurityEvent.updateMany({ user: user._id }, { $unset: { ip: 1, userAgent: 1 } });
+    await SecurityEvent.record('account_anonymized', { user: user._id });
+  }
+
+  await removeAvatarFiles(avatarKeys);
+
+  return mode;
+};
+
+// Process every account whose deletion is due
+// Each account is claimed first, so several server instances can sweep at the same time
+const processScheduledDeletions = async () => {
+  const dueUsers = await User.findDueForDeletion();
+  let processed = 0;
+
+  for (const dueUser of dueUsers) {
+    const user = await User.claimForDeletion(dueUser._id);
+    if (!user) continue;
+
+    try {
+      const mode = await deleteAccount(user);
+      processed++;
+      console.log(`Account ${user._id} deleted (${mode}) after the grace period`);
+    } catch (error) {
+      console.error(`Scheduled deletion error for user ${user._id}:`, error);
+
+      // Put the schedule back so the next sweep retries the account
+      await User.updateOne(
+        { _id: user._id, deletionScheduledFor: null },
+        { $set: { deletionScheduledFor: dueUser.deletionScheduledFor } }
+      ).catch(restoreError => console.error(`Restore deletion schedule error for user ${user._id}:`, restoreError));
+    }
+  }
+
+  return processed;
+};
+
+let sweepTimer = null;
+
+// Run the deletion sweep now and then every ACCOUNT_DELETION_SWEEP_MINUTES
+const startDeletionSweeper = () => {
+  const run = () => processScheduledDeletions()
+    .catch(error => console.error('Scheduled deletion sweep error:', error));
+
+  run();
+
+  if (!sweepTimer) {
+    const sweepMs = (parseInt(process.env.ACCOUNT_DELETION_SWEEP_MINUTES) || 60) * 60 * 1000;
+    sweepTimer = setInterval(run, sweepMs);
+    sweepTimer.unref();
+  }
+};
+
+module.exports = {
+  getDeletionGraceDays,
+  getDeletionMode,
+  processScheduledDeletions,
+  startDeletionSweeper
+};
@@ -0,0 +1,101 @@
+const AdmZip = require('adm-zip');
+const User = require('../models/User');
+const ApiKey = require('../models/ApiKey');
+const KnownDevice = require('../models/KnownDevice');
+const SecurityEvent = require('../models/SecurityEvent');
+const { formatSession } = require('./authSession');
+const { formatAvatar } = require('./avatar');
+
+// Everything stored about a user, without secrets (password and token hashes, 2FA secrets, key material)
+const buildAccountExport = async (userId, currentSessionId = null) => {
+  const user = await User.findById(userId).populate({
+    path: 'roles',
+    populate: { path: 'permissions' }
+  });
+
+  const [apiKeys, knownDevices, securityEvents] = await Promise.all([
+    ApiKey.findByUser(userId),
+    KnownDevice.findByUser(userId),
+    SecurityEvent.find({ user: userId }).sort({ createdAt: -1 })
+  ]);
+
+  return {
+    exportedAt: new Date(),
+    profile: {
+      id: user._id,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      email: user.email,
+      pendingEmail: user.pendingEmail,
+      phone: user.phone,
+      ...formatAvatar(user),
+      isEmailVerified: user.isEmailVerified,
+      isActive: user.isActive,
+      twoFactorEnabled: user.twoFactorEnabled,
+      twoFactorEnabledAt: user.twoFactorEnabledAt,
+      lastLogin: user.lastLogin,
+      deletionScheduledFor: user.deletionScheduledFor,
+      createdAt: user.createdAt,
+      updatedAt: user.updatedAt
+    },
+    roles: user.roles.map(role => ({
+      name: role.name,
+      displayName: role.displayName,
+      description: role.description,
+      level: role.level,
+      permissions: role.permissions.map(permission => `${permission.resource}:${permission.action}`)
+    })),
+    sessions: user.refreshTokens.map(session => formatSession(session, currentSessionId)),
+    identities: user.identities.map(identity => ({
+      provider: identity.provider,
+      email: identity.email,
+      linkedAt: identity.linkedAt
+    })),
+    passkeys: user.passkeys.map(passkey => ({
+      id: passkey._id,
+      name: passkey.name,
+      deviceType: passkey.deviceType,
+      backedUp: passkey.backedUp,
+      createdAt: passkey.createdAt,
+      lastUsedAt: passkey.lastUsedAt
+    })),
+    knownDevices: knownDevices.map(device => ({
+      deviceName: device.deviceName,
+      userAgent: device.userAgent,
+      lastIp: device.lastIp,
+      regions: device.regions,
+      firstSeenAt: device.createdAt,
+      lastSeenAt: device.lastSeenAt
+    })),
+    apiKeys: apiKeys.map(apiKey => ({
+      id: apiKey._id,
+      name: apiKey.name,
+      prefix: apiKey.prefix,
+      scopes: apiKey.scopes,
+      expiresAt: apiKey.expiresAt,
+      lastUsedAt: apiKey.lastUsedAt,
+      lastUsedIp: apiKey.lastUsedIp,
+      revokedAt: apiKey.revokedAt,
+      createdAt: apiKey.createdAt
+    })),
+    securityEvents: securityEvents.map(event => ({
+      type: event.type,
+      ip: event.ip,
+      userAgent: event.userAgent,
+      details: event.details,
+      createdAt: event.createdAt
+    }))
+  };
+};
+
+// Zip archive containing the export as account-data.json
+const zipAccountExport = (data) => {
+  const zip = new AdmZip();
+  zip.addFile('account-data.json', Buffer.from(JSON.stringify(data, null, 2)));
+  return zip.toBuffer();
+};
+
+module.exports = {
+  buildAccountExport,
+  zipAccountExport
+};
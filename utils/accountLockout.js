@@ -0,0 +1,35 @@
+const SecurityEvent = require('../models/SecurityEvent');
+const { getLockoutPolicy } = require('../config/lockout');
+const { sendMail } = require('./mailer');
+const { accountLockedEmail } = require('./emailTemplates');
+
+// Count a failed login; when it locks the account, record the lock and optionally tell the user
+const recordFailedLogin = async (user, req) => {
+  const result = await user.incLoginAttempts();
+
+  if (result.locked) {
+    await SecurityEvent.record('account_locked', {
+      user: user._id,
+      req,
+      details: {
+        reason: 'failed_login_attempts',
+        lockUntil: result.lockUntil,
+        lockCount: result.lockCount
+      }
+    });
+
+    if (getLockoutPolicy().notifyUser) {
+      try {
+        await sendMail(accountLockedEmail(user, result.lockUntil));
+      } catch (error) {
+        console.error('Send account locked email error:', error);
+      }
+    }
+  }
+
+  return result;
+};
+
+module.exports = {
+  recordFailedLogin
+};
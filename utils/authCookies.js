@@ -0,0 +1,135 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Browser (cookie) mode
+// Browser clients opt in with an "X-Auth-Mode: cookie" header (or authMode: "cookie" in the body).
+// Their tokens are then set as HttpOnly cookies instead of being returned in the JSON body, and
+// every state-changing request authenticated by cookie needs a double-submit CSRF token: the
+// value of the (readable) CSRF cookie echoed in the X-CSRF-Token header. CSRF tokens are signed
+// with the session id, so a token planted from another subdomain isn't accepted.
+
+const ACCESS_TOKEN_COOKIE = 'wsw_access';
+const REFRESH_TOKEN_COOKIE = 'wsw_refresh';
+const CSRF_COOKIE = 'wsw_csrf';
+const CSRF_HEADER = 'x-csrf-token';
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+const isCookieAuthEnabled = () => process.env.AUTH_COOKIES_ENABLED !== 'false';
+
+// Only used when CSRF_SECRET and JWT_SECRET are both unset (tokens then don't survive restarts)
+const fallbackCsrfSecret = crypto.randomBytes(32).toString('hex');
+
+const getCsrfSecret = () => process.env.CSRF_SECRET || process.env.JWT_SECRET || fallbackCsrfSecret;
+
+const getSameSite = () => {
+  const sameSite = (process.env.AUTH_COOKIE_SAMESITE || 'lax').toLowerCase();
+  return ['strict', 'lax', 'none'].includes(sameSite) ? sameSite : 'lax';
+};
+
+const getCookieOptions = (overrides = {}) => {
+  const sameSite = getSameSite();
+  return {
+    httpOnly: true,
+    // SameSite=None cookies are dropped by browsers unless they're also Secure
+    secure: sameSite === 'none' || process.env.AUTH_COOKIE_SECURE !== 'false',
+    sameSite,
+    domain: process.env.AUTH_COOKIE_DOMAIN || undefined,
+    path: '/',
+    ...overrides
+  };
+};
+
+// Refresh tokens are only sent to the auth routes that use them
+const cookiePaths = {
+  [ACCESS_TOKEN_COOKIE]: '/api',
+  [REFRESH_TOKEN_COOKIE]: '/api/auth',
+  [CSRF_COOKIE]: '/'
+};
+
+// Did the client ask for cookie mode on this request?
+const wantsCookieAuth = (req) => {
+  if (!isCookieAuthEnabled()) return false;
+  return String(req.get('x-auth-mode') || '').toLowerCase() === 'cookie' ||
+    Boolean(req.body && req.body.authMode === 'cookie');
+};
+
+const signCsrfNonce = (nonce, sessionId) => crypto
+  .createHmac('sha256', getCsrfSecret())
+  .update(`${nonce}.${sessionId}`)
+  .digest('hex');
+
+// Create a CSRF token bound to a session
+const createCsrfToken = (sessionId) => {
+  const nonce = crypto.randomBytes(16).toString('hex');
+  return `${nonce}.${signCsrfNonce(nonce, sessionId)}`;
+};
+
+// Check the double-submitted CSRF token of a request authenticated by cookie
+const isValidCsrfRequest = (req, sessionId) => {
+  if (SAFE_METHODS.includes(req.method)) return true;
+
+  const headerToken = req.get(CSRF_HEADER);
+  const cookieToken = req.cookies && req.cookies[CSRF_COOKIE];
+  if (!headerToken || !cookieToken || headerToken !== cookieToken || !sessionId) {
+    return false;
+  }
+
+  const [nonce, signature] = headerToken.split('.');
+  if (!nonce || !signature) return false;
+
+  const expected = Buffer.from(signCsrfNonce(nonce, sessionId));
+  const actual = Buffer.from(signature);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+const getAccessTokenFromCookies = (req) => (req.cookies && req.cookies[ACCESS_TOKEN_COOKIE]) || null;
+
+const getRefreshTokenFromCookies = (req) => (req.cookies && req.cookies[REFRESH_TOKEN_COOKIE]) || null;
+
+// Cookie expiry follows the token's own exp claim
+const getTokenExpiry = (token) => {
+  const decoded = jwt.decode(token);
+  return decoded && decoded.exp ? new Date(decoded.exp * 1000) : undefined;
+};
+
+// Put a token pair into cookies; returns the CSRF token the client has to echo back
+const setAuthCookies = (res, { token, refreshToken }) => {
+  const decoded = jwt.decode(token) || {};
+  const refreshExpires = getTokenExpiry(refreshToken);
+  const csrfToken = createCsrfToken(decoded.sid);
+
+  res.cookie(ACCESS_TOKEN_COOKIE, token, getCookieOptions({
+    path: cookiePaths[ACCESS_TOKEN_COOKIE],
+    expires: getTokenExpiry(token)
+  }));
+  res.cookie(REFRESH_TOKEN_COOKIE, refreshToken, getCookieOptions({
+    path: cookiePaths[REFRESH_TOKEN_COOKIE],
+    expires: refreshExpires
+  }));
+  // Readable by the page's JavaScript so it can be sent back in the header
+  res.cookie(CSRF_COOKIE, csrfToken, getCookieOptions({
+    path: cookiePaths[CSRF_COOKIE],
+    httpOnly: false,
+    expires: refreshExpires
+  }));
+
+  return csrfToken;
+};
+
+const clearAuthCookies = (res) => {
+  for (const name of [ACCESS_TOKEN_COOKIE, REFRESH_TOKEN_COOKIE, CSRF_COOKIE]) {
+    res.clearCookie(name, getCookieOptions({ path: cookiePaths[name], httpOnly: name !== CSRF_COOKIE }));
+  }
+};
+
+module.exports = {
+  CSRF_HEADER,
+  isCookieAuthEnabled,
+  wantsCookieAuth,
+  isValidCsrfRequest,
+  getAccessTokenFromCookies,
+  getRefreshTokenFromCookies,
+  setAuthCookies,
+  clearAuthCookies
+};
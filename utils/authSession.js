@@ -0,0 +1,141 @@
+const mongoose = require('mongoose');
+const { generateToken, generateRefreshToken, generateMfaToken } = require('../config/jwt');
+const { getRequestContext } = require('./deviceInfo');
+const SecurityEvent = require('../models/SecurityEvent');
+const { checkLoginDevice } = require('./loginAlerts');
+
+// Create a new session for the user and issue its token pair
+// The session id (`sid`) is embedded in both tokens so requests can be tied to their session
+const issueTokens = async (user, req) => {
+  const sessionId = new mongoose.Types.ObjectId().toString();
+
+  // Generate tokens
+  const token = generateToken({ id: user._id, sid: sessionId });
+  const refreshToken = generateRefreshToken({ id: user._id, sid: sessionId });
+
+  // Add refresh token to user, recording the device it was issued to
+  await user.addRefreshToken(refreshToken, {
+    _id: sessionId,
+    ...getRequestContext(req)
+  });
+
+  return { token, refreshToken, sessionId };
+};
+
+// Finish a successful login: record it, issue the token pair and build the response data
+// Shared by every login path so they all return the same shape as POST /api/auth/login
+const completeLogin = async (user, req) => {
+  // Logging in during the deletion grace period cancels the deletion
+  const deletionCancelled = Boolean(user.deletionScheduledFor);
+  if (deletionCancelled) {
+    user.cancelDeletion();
+  }
+
+  // Update last login
+  user.lastLogin = new Date();
+  await user.save();
+
+  if (deletionCancelled) {
+    await SecurityEvent.record('account_deletion_cancelled', { user: user._id, req });
+  }
+
+  const { token, refreshToken, sessionId } = await issueTokens(user, req);
+
+  // Alert the user when this device or region hasn't been seen before
+  await checkLoginDevice(user, req, sessionId);
+
+  // Populate roles for response
+  await user.populate('roles');
+
+  return {
+    user: {
+      id: user._id,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      email: user.email,
+      phone: user.phone,
+      roles: user.roles,
+      isEmailVerified: user.isEmailVerified,
+      lastLogin: user.lastLogin
+    },
+    token,
+    refreshToken,
+    ...(deletionCancelled && { accountDeletionCancelled: true })
+  };
+};
+
+// Response data for a login that still needs the second factor (see POST /api/auth/mfa/verify)
+const createMfaChallenge = (user) => {
+  return {
+    mfaRequired: true,
+    mfaToken: generateMfaToken({ id: user._id })
+  };
+};
+
+// Accounts without a password (passkeys or social login only) confirm sensitive changes by
+// having signed in recently instead: the current session must have been created by a login
+// (passkey, social login, email link or SMS code) within REAUTH_MAX_AGE_MINUTES
+const getReauthMaxAgeMinutes = () => {
+  const minutes = parseInt(process.env.REAUTH_MAX_AGE_MINUTES);
+  return Number.isNaN(minutes) ? 10 : minutes;
+};
+
+const isRecentlyAuthenticated = (user, sessionId) => {
+  const session = sessionId && user.findSession(sessionId);
+  if (!session) return false;
+  return Date.now() - session.createdAt.getTime() <= getReauthMaxAgeMinutes() * 60 * 1000;
+};
+
+// Confirm a sensitive action: accounts with a password send it, the others must have signed
+// in recently. `user` needs its password selected. Returns null when confirmed, otherwise the
+// status and body of the response to send
+const checkReauthentication = async (user, password, sessionId) => {
+  if (user.password) {
+    if (!password) {
+      return {
+        status: 400,
+        body: { success: false, message: 'Current password is required', field: 'password' }
+      };
+    }
+
+    if (!(await user.comparePassword(password))) {
+      return {
+        status: 400,
+        body: { success: false, message: 'Current password is incorrect' }
+      };
+    }
+
+    return null;
+  }
+
+  if (!isRecentlyAuthenticated(user, sessionId)) {
+    return {
+      status: 403,
+      body: { success: false, message: 'Please sign in again to confirm this change', reauthRequired: true }
+    };
+  }
+
+  return null;
+};
+
+// Public view of a session (never exposes the refresh token itself)
+const formatSession = (session, currentSessionId = null) => {
+  return {
+    id: session._id,
+    deviceName: session.deviceName,
+    userAgent: session.userAgent,
+    ip: session.ip,
+    createdAt: session.createdAt,
+    lastUsedAt: session.lastUsedAt,
+    current: Boolean(currentSessionId) && session._id.toString() === String(currentSessionId)
+  };
+};
+
+module.exports = {
+  issueTokens,
+  completeLogin,
+  createMfaChallenge,
+  isRecentlyAuthenticated,
+  checkReauthentication,
+  formatSession
+};
@@ -0,0 +1,157 @@
+const Jimp = require('jimp');
+const { generateRandomToken } = require('./tokens');
+const { getStorage } = require('./storage');
+
+// Avatar processing: every upload is decoded, cropped to a square and re-encoded as JPEG
+// in each configured size, which also strips any metadata (EXIF location etc.)
+
+const SUPPORTED_TYPES = ['image/jpeg', 'image/png'];
+
+const getMaxAvatarBytes = () => parseInt(process.env.AVATAR_MAX_BYTES) || 5 * 1024 * 1024;
+
+// Refuse huge images before decoding them (decompression bombs)
+const getMaxAvatarDimension = () => parseInt(process.env.AVATAR_MAX_DIMENSION) || 6000;
+
+const getAvatarSizes = () => (process.env.AVATAR_SIZES || '512,256,64')
+  .split(',')
+  .map(size => parseInt(size))
+  .filter(size => size > 0)
+  .sort((a, b) => b - a);
+
+// Detect the real image type from its first bytes (the client's content type isn't trusted)
+const detectImageType = (buffer) => {
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'image/jpeg';
+  }
+  if (buffer.length >= 8 && buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return 'image/png';
+  }
+  return null;
+};
+
+// Read width and height from the PNG header or the JPEG frame header without decoding
+const readImageDimensions = (buffer, type) => {
+  if (type === 'image/png') {
+    return buffer.length >= 24
+      ? { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) }
+      : null;
+  }
+
+  let offset = 2;
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xff) return null;
+    const marker = buffer[offset + 1];
+    const length = buffer.readUInt16BE(offset + 2);
+    // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      return { height: buffer.readUInt16BE(offset + 5), width: buffer.readUInt16BE(offset + 7) };
+    }
+    offset += 2 + length;
+  }
+  return null;
+};
+
+// Check an uploaded file; returns an error message or null when it can be processed
+const validateAvatarFile = (file) => {
+  if (!SUPPORTED_TYPES.includes(file.mimetype)) {
+    return `Avatar must be one of: ${SUPPORTED_TYPES.join(', ')}`;
+  }
+
+  const detectedType = detectImageType(file.buffer);
+  if (!detectedType) {
+    return 'Avatar file is not a valid JPEG or PNG image';
+  }
+
+  const dimensions = readImageDimensions(file.buffer, detectedType);
+  const maxDimension = getMaxAvatarDimension();
+  if (!dimensions || dimensions.width > maxDimension || dimensions.height > maxDimension) {
+    return `Avatar images can be at most ${maxDimension}x${maxDimension} pixels`;
+  }
+
+  return null;
+};
+
+// Resize into every configured size (square, center-cropped) as JPEG buffers
+const renderAvatarVariants = async (buffer) => {
+  const image = await Jimp.read(buffer);
+  // Transparent PNG areas become white in the JPEG output
+  image.background(0xffffffff);
+
+  const variants = [];
+  for (const size of getAvatarSizes()) {
+    const resized = image.clone().cover(size, size).quality(85);
+    variants.push({ size, buffer: await resized.getBufferAsync(Jimp.MIME_JPEG) });
+  }
+  return variants;
+};
+
+// Storage keys of every file of the user's current avatar
+const getAvatarKeys = (user) => (user.avatarVariants || []).map(variant => variant.key).filter(Boolean);
+
+// Process and store a new avatar and point the user at it
+// Each upload gets its own random path, so its URLs never change and can be cached forever.
+// Returns the keys of the replaced files: delete them with removeAvatarFiles() once the user
+// is saved, so a failed save never leaves the user pointing at deleted files
+const saveAvatar = async (user, buffer) => {
+  const storage = getStorage();
+  const version = generateRandomToken(8);
+  const variants = await renderAvatarVariants(buffer);
+  const previousKeys = getAvatarKeys(user);
+
+  const stored = [];
+  for (const variant of variants) {
+    const key = `avatars/${user._id}/${version}/${variant.size}.jpg`;
+    await storage.put(key, variant.buffer, Jimp.MIME_JPEG);
+    stored.push({ size: variant.size, key });
+  }
+
+  user.avatar = stored[0].key;
+  user.avatarVariants = stored;
+
+  return previousKeys;
+};
+
+// Clear the avatar fields; returns the keys of the files to delete once the user is saved
+const clearAvatar = (user) => {
+  const previousKeys = getAvatarKeys(user);
+
+  user.avatar = null;
+  user.avatarVariants = [];
+
+  return previousKeys;
+};
+
+// Delete stored avatar files; failures are logged, since the user no longer points at them
+const removeAvatarFiles = async (keys) => {
+  const storage = getStorage();
+  for (const key of keys) {
+    try {
+      await storage.remove(key);
+    } catch (error) {
+      console.error(`Remove stored object error (${key}):`, error);
+    }
+  }
+};
+
+const getAvatarUrl = (key) => (key ? getStorage().getUrl(key) : null);
+
+// Public view of the user's avatar, with URLs built from the stored keys
+const formatAvatar = (user) => ({
+  avatar: getAvatarUrl(user.avatar),
+  avatarVariants: (user.avatarVariants || []).reduce((urls, variant) => {
+    urls[variant.size] = getAvatarUrl(variant.key);
+    return urls;
+  }, {})
+});
+
+module.exports = {
+  SUPPORTED_TYPES,
+  getMaxAvatarBytes,
+  detectImageType,
+  readImageDimensions,
+  validateAvatarFile,
+  saveAvatar,
+  clearAvatar,
+  removeAvatarFiles,
+  formatAvatar
+};
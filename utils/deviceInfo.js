@@ -0,0 +1,40 @@
+// Derive a readable device name from a user agent string
+const describeUserAgent = (userAgent = '') => {
+  if (!userAgent) return 'Unknown device';
+
+  let platform = 'Unknown OS';
+  if (/android/i.test(userAgent)) platform = 'Android';
+  else if (/iphone|ipad|ipod|ios/i.test(userAgent)) platform = 'iOS';
+  else if (/windows/i.test(userAgent)) platform = 'Windows';
+  else if (/mac os x|macintosh/i.test(userAgent)) platform = 'macOS';
+  else if (/linux/i.test(userAgent)) platform = 'Linux';
+
+  let client = null;
+  if (/dart|flutter/i.test(userAgent)) client = 'App';
+  else if (/edg\//i.test(userAgent)) client = 'Edge';
+  else if (/chrome\//i.test(userAgent)) client = 'Chrome';
+  else if (/firefox\//i.test(userAgent)) client = 'Firefox';
+  else if (/safari\//i.test(userAgent)) client = 'Safari';
+  else if (/postman/i.test(userAgent)) client = 'Postman';
+  else if (/curl/i.test(userAgent)) client = 'curl';
+
+  return client ? `${client} on ${platform}` : platform;
+};
+
+// Collect the device details recorded with each session
+// Clients can name the device through `deviceName` in the body or the X-Device-Name header
+const getRequestContext = (req) => {
+  const userAgent = (req.get('user-agent') || '').slice(0, 500);
+  const providedName = (req.body && req.body.deviceName) || req.get('x-device-name');
+
+  return {
+    deviceName: providedName ? String(providedName).trim().slice(0, 100) : describeUserAgent(userAgent),
+    userAgent,
+    ip: req.ip
+  };
+};
+
+module.exports = {
+  describeUserAgent,
+  getRequestContext
+};
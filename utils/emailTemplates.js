@@ -0,0 +1,142 @@
+const appUrl = () => process.env.APP_URL || 'http://localhost:3000';
+
+// Values from users or requests (names, device names, IPs) are escaped before going into HTML
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Email verification message
+const verificationEmail = (user, token) => {
+  const link = `${appUrl()}/verify-email?token=${token}`;
+
+  return {
+    to: user.email,
+    subject: 'Verify your We Spend Wise email address',
+    text: `Hi ${user.firstName},\n\nPlease verify your email address by opening the link below:\n\n${link}\n\nIf you did not create an account, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.firstName)},</p><p>Please verify your email address by opening the link below:</p><p><a href="${link}">${link}</a></p><p>If you did not create an account, you can ignore this email.</p>`
+  };
+};
+
+// Password reset message
+const passwordResetEmail = (user, token) => {
+  const link = `${appUrl()}/reset-password?token=${token}`;
+  const expiresInMinutes = parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 60;
+
+  return {
+    to: user.email,
+    subject: 'Reset your We Spend Wise password',
+    text: `Hi ${user.firstName},\n\nWe received a request to reset your password. Open the link below to choose a new one:\n\n${link}\n\nThis link expires in ${expiresInMinutes} minutes and can only be used once. If you did not request a password reset, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.firstName)},</p><p>We received a request to reset your password. Open the link below to choose a new one:</p><p><a href="${link}">${link}</a></p><p>This link expires in ${expiresInMinutes} minutes and can only be used once. If you did not request a password reset, you can ignore this email.</p>`
+  };
+};
+
+// Passwordless login (magic link) message
+const magicLinkEmail = (user, token) => {
+  const link = `${appUrl()}/magic-link?token=${token}`;
+  const expiresInMinutes = parseInt(process.env.PASSWORDLESS_EMAIL_EXPIRE_MINUTES) || 15;
+
+  return {
+    to: user.email,
+    subject: 'Your We Spend Wise sign-in link',
+    text: `Hi ${user.firstName},\n\nOpen the link below to sign in:\n\n${link}\n\nThis link expires in ${expiresInMinutes} minutes and can only be used once. If you did not try to sign in, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.firstName)},</p><p>Open the link below to sign in:</p><p><a href="${link}">${link}</a></p><p>This link expires in ${expiresInMinutes} minutes and can only be used once. If you did not try to sign in, you can ignore this email.</p>`
+  };
+};
+
+// Account locked after too many failed logins
+const accountLockedEmail = (user, lockUntil) => {
+  const link = `${appUrl()}/forgot-password`;
+  const until = lockUntil.toUTCString();
+
+  return {
+    to: user.email,
+    subject: 'Your We Spend Wise account has been locked',
+    text: `Hi ${user.firstName},\n\nYour account was locked after several failed sign-in attempts. You can sign in again after ${until}.\n\nIf this wasn't you, someone may be trying to guess your password. Consider resetting it:\n\n${link}`,
+    html: `<p>Hi ${escapeHtml(user.firstName)},</p><p>Your account was locked after several failed sign-in attempts. You can sign in again after ${until}.</p><p>If this wasn't you, someone may be trying to guess your password. Consider resetting it:</p><p><a href="${link}">${link}</a></p>`
+  };
+};
+
+// Confirmation sent to the new address of an email change
+const emailChangeConfirmationEmail = (user, newEmail, token) => {
+  const link = `${appUrl()}/confirm-email-change?token=${token}`;
+  const expiresInHours = parseInt(process.env.EMAIL_CHANGE_EXPIRE_HOURS) || 24;
+
+  return {
+    to: newEmail,
+    subject: 'Confirm your new We Spend Wise email address',
+    text: `Hi ${user.firstName},\n\nOpen the link below to start using this address for your We Spend Wise account:\n\n${link}\n\nThis link expires in ${expiresInHours} hours. If you did not request this change, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.firstName)},</p><p>Open the link below to start using this address for your We Spend Wise account:</p><p><a href="${link}">${link}</a></p><p>This link expires in ${expiresInHours} hours. If you did not request this change, you can ignore this email.</p>`
+  };
+};
+
+// Notice sent to the current address of an email change (with an undo link when there is one)
+const emailChangeNoticeEmail = (user, newEmail, revertToken) => {
+  const intro = `We received a request to change the email address of your We Spend Wise account to ${newEmail}.`;
+  const htmlIntro = escapeHtml(intro);
+
+  if (!revertToken) {
+    return {
+      to: user.email,
+      subject: 'Your We Spend Wise email address is being changed',
+      text: `Hi ${user.firstName},\n\n${intro}\n\nIf this wasn't you, use the link from the earlier email-change notice to undo it, or contact support.`,
+      html: `<p>Hi ${escapeHtml(user.firstName)},</p><p>${htmlIntro}</p><p>If this wasn't you, use the link from the earlier email-change notice to undo it, or contact support.</p>`
+    };
+  }
+
+  const link = `${appUrl()}/revert-email-change?token=${revertToken}`;
+  const revertDays = parseInt(process.env.EMAIL_CHANGE_REVERT_DAYS) || 7;
+
+  return {
+    to: user.email,
+    subject: 'Your We Spend Wise email address is being changed',
+    text: `Hi ${user.firstName},\n\n${intro}\n\nIf this wasn't you, open the link below within ${revertDays} days to keep (or get back) this address and sign out every device:\n\n${link}`,
+    html: `<p>Hi ${escapeHtml(user.firstName)},</p><p>${htmlIntro}</p><p>If this wasn't you, open the link below within ${revertDays} days to keep (or get back) this address and sign out every device:</p><p><a href="${link}">${link}</a></p>`
+  };
+};
+
+// Account scheduled for deletion (logging in again cancels it)
+const accountDeletionScheduledEmail = (user) => {
+  const link = `${appUrl()}/login`;
+  const when = user.deletionScheduledFor.toUTCString();
+
+  return {
+    to: user.email,
+    subject: 'Your We Spend Wise account will be deleted',
+    text: `Hi ${user.firstName},\n\nYour account and personal data will be deleted after ${when}. You have been signed out on every device.\n\nChanged your mind? Just sign in again before then to keep your account:\n\n${link}`,
+    html: `<p>Hi ${escapeHtml(user.firstName)},</p><p>Your account and personal data will be deleted after ${when}. You have been signed out on every device.</p><p>Changed your mind? Just sign in again before then to keep your account:</p><p><a href="${link}">${link}</a></p>`
+  };
+};
+
+// Login from a new device or region, with a "this wasn't me" link
+const newLoginAlertEmail = (user, alert, token) => {
+  const link = `${appUrl()}/report-login?token=${token}`;
+  const reportDays = parseInt(process.env.LOGIN_ALERT_REPORT_DAYS) || 7;
+  const what = alert.reasons.includes('new_device') ? 'a new device' : 'a new location';
+  const details = `Device: ${alert.deviceName}\nIP address: ${alert.ip}\nTime: ${alert.createdAt.toUTCString()}`;
+  const htmlDetails = [
+    `Device: ${escapeHtml(alert.deviceName)}`,
+    `IP address: ${escapeHtml(alert.ip)}`,
+    `Time: ${escapeHtml(alert.createdAt.toUTCString())}`
+  ].join('<br>');
+
+  return {
+    to: user.email,
+    subject: 'New sign-in to your We Spend Wise account',
+    text: `Hi ${user.firstName},\n\nYour account was just signed in to from ${what}:\n\n${details}\n\nIf this was you, there's nothing to do. If it wasn't, open the link below within ${reportDays} days. We'll sign out every device and ask you to choose a new password:\n\n${link}`,
+    html: `<p>Hi ${escapeHtml(user.firstName)},</p><p>Your account was just signed in to from ${what}:</p><p>${htmlDetails}</p><p>If this was you, there's nothing to do. If it wasn't, open the link below within ${reportDays} days. We'll sign out every device and ask you to choose a new password:</p><p><a href="${link}">${link}</a></p>`
+  };
+};
+
+module.exports = {
+  verificationEmail,
+  passwordResetEmail,
+  magicLinkEmail,
+  accountLockedEmail,
+  emailChangeConfirmationEmail,
+  emailChangeNoticeEmail,
+  accountDeletionScheduledEmail,
+  newLoginAlertEmail
+};
@@ -0,0 +1,67 @@
+const http = require('http');
+const https = require('https');
+
+// Minimal JSON-over-HTTP client for talking to identity providers
+
+const request = (url, { method = 'GET', headers = {}, body = null, timeoutMs = 10000 } = {}) => {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const client = target.protocol === 'http:' ? http : https;
+
+    const req = client.request(target, { method, headers }, (res) => {
+      let data = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => { data += chunk; });
+      res.on('end', () => {
+        let parsed = null;
+        try {
+          parsed = data ? JSON.parse(data) : null;
+        } catch (error) {
+          return reject(new Error(`Invalid JSON response from ${target.host}`));
+        }
+
+        if (res.statusCode < 200 || res.statusCode >= 300) {
+          const error = new Error(`Request to ${target.host} failed with status ${res.statusCode}`);
+          error.statusCode = res.statusCode;
+          error.response = parsed;
+          return reject(error);
+        }
+
+        resolve(parsed);
+      });
+    });
+
+    req.setTimeout(timeoutMs, () => {
+      req.destroy(new Error(`Request to ${target.host} timed out`));
+    });
+    req.on('error', reject);
+
+    if (body) req.write(body);
+    req.end();
+  });
+};
+
+// GET a JSON document
+const getJson = (url, options = {}) => request(url, options);
+
+// POST an application/x-www-form-urlencoded body and parse the JSON response
+const postForm = (url, params, options = {}) => {
+  const body = new URLSearchParams(params).toString();
+
+  return request(url, {
+    ...options,
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'Content-Length': Buffer.byteLength(body),
+      Accept: 'application/json',
+      ...(options.headers || {})
+    },
+    body
+  });
+};
+
+module.exports = {
+  getJson,
+  postForm
+};
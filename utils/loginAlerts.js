@@ -0,0 +1,167 @@
+const net = require('net');
+const KnownDevice = require('../models/KnownDevice');
+const LoginAlert = require('../models/LoginAlert');
+const SecurityEvent = require('../models/SecurityEvent');
+const { hashToken } = require('./tokens');
+const { getRequestContext } = require('./deviceInfo');
+const { sendMail } = require('./mailer');
+const { newLoginAlertEmail } = require('./emailTemplates');
+
+// New-device and new-region login alerts
+// Every login is matched against the user's known devices; when the device or the region is
+// new, the user is notified through each channel in LOGIN_ALERT_CHANNELS. A channel is any
+// object with an async notify({ user, alert, token }) method, so push or in-app delivery can
+// be added with registerChannel()
+
+// In-memory alerts sent by the memory channel (tests)
+const sentAlerts = [];
+
+const channels = {
+  email: {
+    name: 'email',
+    notify: ({ user, alert, token }) => sendMail(newLoginAlertEmail(user, alert, token))
+  },
+  memory: {
+    name: 'memory',
+    notify: async ({ user, alert, token }) => {
+      sentAlerts.push({ user: user._id, alert, token, sentAt: new Date() });
+    }
+  }
+};
+
+// Add (or replace) a delivery channel, e.g. registerChannel('push', { notify: async (...) => {} })
+const registerChannel = (name, channel) => {
+  channels[name] = { name, ...channel };
+};
+
+const isLoginAlertsEnabled = () => process.env.LOGIN_ALERTS_ENABLED !== 'false';
+
+const getChannelNames = () => {
+  const fallback = process.env.NODE_ENV === 'test' ? 'memory' : 'email';
+  return (process.env.LOGIN_ALERT_CHANNELS || fallback)
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean);
+};
+
+// Clients can send a stable id (X-Device-Id header or deviceId in the body); otherwise the
+// user agent is used with version numbers removed, so browser and app updates don't count
+// as a new device
+const getDeviceFingerprint = (req) => {
+  const deviceId = (req.body && req.body.deviceId) || req.get('x-device-id');
+  if (deviceId) {
+    return hashToken(`id:${String(deviceId).slice(0, 200)}`);
+  }
+
+  const userAgent = (req.get('user-agent') || '').replace(/\d+([._]\d+)*/g, '#');
+  return hashToken(`ua:${userAgent}`);
+};
+
+// All 8 groups of an IPv6 address without zero compression or leading zeros, so every way of
+// writing an address gives the same groups ("2001:db8::1" -> 2001, db8, 0, 0, 0, 0, 0, 1)
+const expandIPv6 = (ip) => {
+  const toGroups = (part) => (part ? part.split(':') : []).flatMap(group => {
+    // An embedded IPv4 address ("64:ff9b::192.0.2.1") takes up the last two groups
+    if (!net.isIPv4(group)) return [group];
+    const [a, b, c, d] = group.split('.').map(Number);
+    return [((a << 8) | b).toString(16), ((c << 8) | d).toString(16)];
+  });
+
+  const [head, tail] = ip.split('%')[0].split('::');
+  const headGroups = toGroups(head);
+  const tailGroups = toGroups(tail);
+  const zeros = new Array(8 - headGroups.length - tailGroups.length).fill('0');
+
+  return [...headGroups, ...zeros, ...tailGroups].map(group => parseInt(group, 16).toString(16));
+};
+
+// Coarse location of the request: the country from a trusted proxy header when one is
+// configured (LOGIN_ALERT_REGION_HEADER, e.g. cf-ipcountry), otherwise the IP's network
+// (/16 for IPv4, /48 for IPv6)
+const getRequestRegion = (req) => {
+  const headerName = process.env.LOGIN_ALERT_REGION_HEADER;
+  const country = headerName && req.get(headerName);
+  if (country) {
+    return `country:${String(country).trim().toUpperCase().slice(0, 10)}`;
+  }
+
+  const ip = String(req.ip || '').replace(/^::ffff:/, '');
+  if (net.isIPv4(ip)) {
+    const [a, b] = ip.split('.');
+    return `net:${a}.${b}.0.0/16`;
+  }
+  if (net.isIPv6(ip)) {
+    return `net:${expandIPv6(ip).slice(0, 3).join(':')}::/48`;
+  }
+  return 'unknown';
+};
+
+const sendAlert = async (user, alert, token) => {
+  for (const name of getChannelNames()) {
+    const channel = channels[name];
+    if (!channel) {
+      console.error(`Unknown login alert channel: ${name}`);
+      continue;
+    }
+
+    try {
+      await channel.notify({ user, alert, token });
+    } catch (error) {
+      console.error(`Login alert (${name}) error:`, error);
+    }
+  }
+};
+
+// Remember the device used for a login and alert the user when it (or its region) is new
+// The first login of an account is only recorded. Never fails the login.
+const checkLoginDevice = async (user, req, sessionId) => {
+  try {
+    const context = getRequestContext(req);
+    const region = getRequestRegion(req);
+
+    const { device, isFirstLogin, isNewDevice, isNewRegion } = await KnownDevice.recordLogin(user._id, {
+      fingerprint: getDeviceFingerprint(req),
+      region,
+      ...context
+    });
+
+    if (isFirstLogin || !isLoginAlertsEnabled() || (!isNewDevice && !isNewRegion)) {
+      return null;
+    }
+
+    const reasons = [];
+    if (isNewDevice) reasons.push('new_device');
+    if (isNewRegion) reasons.push('new_region');
+
+    const { alert, token } = await LoginAlert.issue({
+      user: user._id,
+      sessionId,
+      device: device._id,
+      reasons,
+      deviceName: context.deviceName,
+      userAgent: context.userAgent,
+      ip: context.ip,
+      region
+    });
+
+    await SecurityEvent.record('new_login_alert', {
+      user: user._id,
+      req,
+      details: { alertId: alert._id, reasons, region, sessionId }
+    });
+
+    await sendAlert(user, alert, token);
+    return alert;
+  } catch (error) {
+    console.error('Check login device error:', error);
+    return null;
+  }
+};
+
+module.exports = {
+  registerChannel,
+  getDeviceFingerprint,
+  getRequestRegion,
+  checkLoginDevice,
+  sentAlerts
+};
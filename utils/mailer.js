@@ -0,0 +1,102 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// In-memory outbox used by the memory transport (tests)
+const outbox = [];
+
+// SMTP transport (production)
+const createSmtpTransport = () => {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send: (message) => transporter.sendMail(message)
+  };
+};
+
+// File transport (development) - writes every message to the outbox directory
+const createFileTransport = () => {
+  const outboxDir = path.resolve(process.env.MAIL_OUTBOX_DIR || 'outbox');
+
+  return {
+    name: 'file',
+    send: async (message) => {
+      await fs.promises.mkdir(outboxDir, { recursive: true });
+      const fileName = `${Date.now()}-${message.to.replace(/[^a-z0-9@.-]/gi, '_')}.json`;
+      const filePath = path.join(outboxDir, fileName);
+      await fs.promises.writeFile(filePath, JSON.stringify(message, null, 2));
+      console.log(`Mail written to outbox: ${filePath}`);
+      return { messageId: fileName };
+    }
+  };
+};
+
+// Memory transport (tests) - keeps messages in the exported outbox array
+const createMemoryTransport = () => {
+  return {
+    name: 'memory',
+    send: async (message) => {
+      outbox.push({ ...message, sentAt: new Date() });
+      return { messageId: `memory-${outbox.length}` };
+    }
+  };
+};
+
+const transportFactories = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  memory: createMemoryTransport
+};
+
+const getDefaultTransportName = () => {
+  if (process.env.MAIL_TRANSPORT) return process.env.MAIL_TRANSPORT;
+  if (process.env.NODE_ENV === 'production') return 'smtp';
+  if (process.env.NODE_ENV === 'test') return 'memory';
+  return 'file';
+};
+
+let transport = null;
+
+const getTransport = () => {
+  if (!transport) {
+    const name = getDefaultTransportName();
+    const factory = transportFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+    transport = factory();
+  }
+  return transport;
+};
+
+// Replace the active transport (any object with an async send(message) method)
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+// Send an email through the active transport
+const sendMail = async ({ to, subject, text, html }) => {
+  const message = {
+    from: process.env.MAIL_FROM || 'We Spend Wise <no-reply@wespendwise.app>',
+    to,
+    subject,
+    text,
+    html
+  };
+
+  return getTransport().send(message);
+};
+
+module.exports = {
+  sendMail,
+  setTransport,
+  outbox
+};
@@ -0,0 +1,113 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { getJson, postForm } = require('./httpClient');
+
+// ID token verification against a provider's JWKS
+
+const JWKS_CACHE_MS = 60 * 60 * 1000; // 1 hour
+const jwksCache = new Map(); // jwksUri -> { keys, fetchedAt }
+
+const fetchJwks = async (jwksUri, forceRefresh = false) => {
+  const cached = jwksCache.get(jwksUri);
+  if (!forceRefresh && cached && Date.now() - cached.fetchedAt < JWKS_CACHE_MS) {
+    return cached.keys;
+  }
+
+  const document = await getJson(jwksUri);
+  const keys = (document && document.keys) || [];
+  jwksCache.set(jwksUri, { keys, fetchedAt: Date.now() });
+  return keys;
+};
+
+// Find the provider key for a kid, refetching once in case the provider rotated its keys
+const getProviderKey = async (jwksUri, kid) => {
+  let keys = await fetchJwks(jwksUri);
+  let jwk = keys.find(k => k.kid === kid);
+
+  if (!jwk) {
+    keys = await fetchJwks(jwksUri, true);
+    jwk = keys.find(k => k.kid === kid);
+  }
+
+  return jwk ? crypto.createPublicKey({ key: jwk, format: 'jwk' }) : null;
+};
+
+// Verify an ID token and return its claims
+const verifyIdToken = async (provider, idToken, { nonce } = {}) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded || !decoded.header) {
+    throw new jwt.JsonWebTokenError('Malformed ID token');
+  }
+
+  const key = await getProviderKey(provider.jwksUri, decoded.header.kid);
+  if (!key) {
+    throw new jwt.JsonWebTokenError('Unknown ID token signing key');
+  }
+
+  const claims = jwt.verify(idToken, key, {
+    algorithms: ['RS256', 'ES256'],
+    issuer: provider.issuers,
+    audience: provider.clientIds
+  });
+
+  // Providers hash the nonce (Apple) or return it as sent (Google)
+  if (nonce) {
+    const hashedNonce = crypto.createHash('sha256').update(nonce).digest('hex');
+    if (claims.nonce !== nonce && claims.nonce !== hashedNonce) {
+      throw new jwt.JsonWebTokenError('ID token nonce mismatch');
+    }
+  }
+
+  return claims;
+};
+
+// Exchange an authorization code for tokens and return the ID token
+const exchangeCode = async (provider, { code, redirectUri, codeVerifier, clientId }) => {
+  const resolvedClientId = clientId && provider.clientIds.includes(clientId)
+    ? clientId
+    : provider.clientIds[0];
+
+  const params = {
+    grant_type: 'authorization_code',
+    code,
+    client_id: resolvedClientId
+  };
+
+  const clientSecret = provider.clientSecret(resolvedClientId);
+  if (clientSecret) params.client_secret = clientSecret;
+  if (redirectUri) params.redirect_uri = redirectUri;
+  if (codeVerifier) params.code_verifier = codeVerifier;
+
+  const response = await postForm(provider.tokenEndpoint, params);
+  if (!response || !response.id_token) {
+    throw new Error('Token endpoint did not return an ID token');
+  }
+
+  return response.id_token;
+};
+
+// Normalize the claims we use from an ID token
+const getIdentityClaims = (claims) => {
+  return {
+    subject: String(claims.sub),
+    email: claims.email ? String(claims.email).toLowerCase().trim() : null,
+    // Apple sends email_verified as a string
+    emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+    firstName: claims.given_name,
+    lastName: claims.family_name
+  };
+};
+
+// Verify an ID token, or exchange an authorization code for one first, and return normalized claims
+const authenticateWithProvider = async (provider, { idToken, code, redirectUri, codeVerifier, clientId, nonce }) => {
+  const token = idToken || await exchangeCode(provider, { code, redirectUri, codeVerifier, clientId });
+  const claims = await verifyIdToken(provider, token, { nonce });
+  return getIdentityClaims(claims);
+};
+
+module.exports = {
+  authenticateWithProvider,
+  verifyIdToken,
+  exchangeCode,
+  getIdentityClaims
+};
@@ -0,0 +1,172 @@
+const fs = require('fs');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+
+// Password policy engine
+// Every rule can be tuned per environment; roles listed in PASSWORD_POLICY_ADMIN_ROLES
+// get the stricter "admin" tier (PASSWORD_ADMIN_* variables)
+
+const readInt = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+const readBool = (name, fallback) => {
+  if (process.env[name] === undefined || process.env[name] === '') return fallback;
+  return process.env[name] === 'true';
+};
+
+const getAdminRoles = () => (process.env.PASSWORD_POLICY_ADMIN_ROLES || 'admin,super-admin')
+  .split(',')
+  .map(role => role.trim())
+  .filter(Boolean);
+
+const tiers = {
+  user: () => ({
+    tier: 'user',
+    minLength: readInt('PASSWORD_MIN_LENGTH', 8),
+    // bcrypt only uses the first 72 bytes of a password
+    maxLength: readInt('PASSWORD_MAX_LENGTH', 72),
+    requireLowercase: readBool('PASSWORD_REQUIRE_LOWERCASE', true),
+    requireUppercase: readBool('PASSWORD_REQUIRE_UPPERCASE', true),
+    requireNumber: readBool('PASSWORD_REQUIRE_NUMBER', true),
+    requireSymbol: readBool('PASSWORD_REQUIRE_SYMBOL', false),
+    disallowPersonalInfo: readBool('PASSWORD_DISALLOW_PERSONAL_INFO', true),
+    checkBreached: readBool('PASSWORD_CHECK_BREACHED', true),
+    historyCount: readInt('PASSWORD_HISTORY_COUNT', 5)
+  }),
+  admin: () => ({
+    tier: 'admin',
+    minLength: readInt('PASSWORD_ADMIN_MIN_LENGTH', 12),
+    maxLength: readInt('PASSWORD_MAX_LENGTH', 72),
+    requireLowercase: readBool('PASSWORD_ADMIN_REQUIRE_LOWERCASE', true),
+    requireUppercase: readBool('PASSWORD_ADMIN_REQUIRE_UPPERCASE', true),
+    requireNumber: readBool('PASSWORD_ADMIN_REQUIRE_NUMBER', true),
+    requireSymbol: readBool('PASSWORD_ADMIN_REQUIRE_SYMBOL', true),
+    disallowPersonalInfo: true,
+    checkBreached: true,
+    historyCount: readInt('PASSWORD_ADMIN_HISTORY_COUNT', 10)
+  })
+};
+
+// Pick the policy for a set of role names (the strictest tier wins)
+const getPasswordPolicy = (roleNames = []) => {
+  const adminRoles = getAdminRoles();
+  const isAdmin = roleNames.some(role => adminRoles.includes(role));
+  return isAdmin ? tiers.admin() : tiers.user();
+};
+
+// How many old hashes the User model keeps (enough for the strictest tier)
+const getMaxHistoryCount = () => Math.max(tiers.user().historyCount, tiers.admin().historyCount);
+
+// Breached password list, one password per line ("#" starts a comment), loaded once
+let breachedPasswords = null;
+
+const getBreachedListFile = () => path.resolve(
+  process.env.PASSWORD_BREACHED_LIST_FILE || path.join(__dirname, '..', 'data', 'breached-passwords.txt')
+);
+
+const loadBreachedPasswords = () => {
+  if (!breachedPasswords) {
+    try {
+      breachedPasswords = new Set(
+        fs.readFileSync(getBreachedListFile(), 'utf8')
+          .split(/\r?\n/)
+          .map(line => line.trim().toLowerCase())
+          .filter(line => line && !line.startsWith('#'))
+      );
+    } catch (error) {
+      console.error('Breached password list could not be loaded:', error.message);
+      breachedPasswords = new Set();
+    }
+  }
+  return breachedPasswords;
+};
+
+const isBreachedPassword = (password) => loadBreachedPasswords().has(password.toLowerCase());
+
+// Name and email parts that must not appear in the password
+const getPersonalTerms = ({ firstName, lastName, email } = {}) => {
+  const emailLocalPart = email ? String(email).split('@')[0] : '';
+  return [firstName, lastName, emailLocalPart]
+    .filter(Boolean)
+    .map(term => String(term).toLowerCase())
+    .filter(term => term.length >= 3);
+};
+
+// Check a new password against the policy
+// user: { firstName, lastName, email, password (current hash), passwordHistory }
+// Returns a list of { rule, message } failures (empty when the password is accepted)
+const validatePassword = async (password, { user = {}, roleNames = [] } = {}) => {
+  const policy = getPasswordPolicy(roleNames);
+  const failures = [];
+  const fail = (rule, message) => failures.push({ rule, message });
+
+  if (typeof password !== 'string' || password.length === 0) {
+    fail('required', 'Password is required');
+    return failures;
+  }
+
+  if (password.length < policy.minLength) {
+    fail('minLength', `Password must be at least ${policy.minLength} characters long`);
+  }
+  if (password.length > policy.maxLength) {
+    fail('maxLength', `Password cannot be more than ${policy.maxLength} characters long`);
+  }
+  if (policy.requireLowercase && !/[a-z]/.test(password)) {
+    fail('lowercase', 'Password must contain at least one lowercase letter');
+  }
+  if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+    fail('uppercase', 'Password must contain at least one uppercase letter');
+  }
+  if (policy.requireNumber && !/\d/.test(password)) {
+    fail('number', 'Password must contain at least one number');
+  }
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+    fail('symbol', 'Password must contain at least one symbol');
+  }
+
+  if (policy.disallowPersonalInfo) {
+    const lowerPassword = password.toLowerCase();
+    if (getPersonalTerms(user).some(term => lowerPassword.includes(term))) {
+      fail('personalInfo', 'Password must not contain your name or email address');
+    }
+  }
+
+  if (policy.checkBreached && isBreachedPassword(password)) {
+    fail('breached', 'This password has appeared in a data breach. Please choose a different one');
+  }
+
+  if (policy.historyCount > 0) {
+    const previousHashes = (user.passwordHistory || [])
+      .slice(0, policy.historyCount)
+      .map(entry => entry.hash);
+    // Accounts created before history was recorded still can't keep their current password
+    if (user.password && !previousHashes.includes(user.password)) {
+      previousHashes.unshift(user.password);
+    }
+
+    for (const hash of previousHashes.slice(0, policy.historyCount)) {
+      if (await bcrypt.compare(password, hash)) {
+        fail('history', `Password must not match any of your last ${policy.historyCount} passwords`);
+        break;
+      }
+    }
+  }
+
+  return failures;
+};
+
+// Build the 400 response body for a rejected password
+const passwordPolicyErrorResponse = (failures, field = 'password') => ({
+  success: false,
+  message: `Password does not meet the password policy: ${failures.map(failure => failure.rule).join(', ')}`,
+  errors: failures.map(failure => ({ field, rule: failure.rule, message: failure.message }))
+});
+
+module.exports = {
+  getPasswordPolicy,
+  getMaxHistoryCount,
+  validatePassword,
+  passwordPolicyErrorResponse
+};
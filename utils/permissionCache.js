@@ -0,0 +1,188 @@
+const Permission = require('../models/Permission');
+const { loadRoleGraph, resolvePermissionIds } = require('./roleHierarchy');
+
+// Compiled permission sets
+// A user's effective permissions ("resource:action" strings from their active roles and the
+// roles those inherit from) are computed once and cached in an in-process LRU, optionally
+// backed by a shared store so several API processes see the same entries and invalidations. A shared store is any object with
+// async get(key), set(key, value, ttlSeconds), del(key) and incr(key) methods (e.g. a thin
+// Redis wrapper), installed with setSharedStore().
+//
+// Entries are tagged with a generation number and the user's role ids: changing a role's
+// permissions or a permission's isActive bumps the generation (every entry goes stale), and a
+// change to the user's own roles no longer matches the stored role ids. Changing a role's
+// parents counts as a permission change.
+
+const GENERATION_KEY = 'permissions:generation';
+const userKey = (userId) => `permissions:user:${userId}`;
+
+const isCacheEnabled = () => process.env.PERMISSION_CACHE_ENABLED !== 'false';
+const getMaxEntries = () => parseInt(process.env.PERMISSION_CACHE_MAX_ENTRIES) || 1000;
+// Safety net for changes made outside the API (e.g. directly in the database)
+const getTtlSeconds = () => parseInt(process.env.PERMISSION_CACHE_TTL_SECONDS) || 300;
+
+// Least recently used entries are dropped first (a Map keeps insertion order)
+const localCache = new Map();
+let localGeneration = 0;
+let sharedStore = null;
+
+const getLocal = (userId) => {
+  const entry = localCache.get(userId);
+  if (entry) {
+    localCache.delete(userId);
+    localCache.set(userId, entry);
+  }
+  return entry;
+};
+
+const setLocal = (userId, entry) => {
+  localCache.delete(userId);
+  localCache.set(userId, entry);
+  while (localCache.size > getMaxEntries()) {
+    localCache.delete(localCache.keys().next().value);
+  }
+};
+
+// Replace the shared store (null goes back to the in-process cache only)
+const setSharedStore = (store) => {
+  sharedStore = store;
+  localCache.clear();
+};
+
+// Current generation, or null when the shared store can't be reached (the cache is then skipped)
+const getGeneration = async () => {
+  if (!sharedStore) return localGeneration;
+
+  try {
+    return Number(await sharedStore.get(GENERATION_KEY)) || 0;
+  } catch (error) {
+    console.error('Permission cache store error:', error);
+    return null;
+  }
+};
+
+const getRoleKey = (roles = []) => roles
+  .map(role => String(role && role._id ? role._id : role))
+  .sort()
+  .join(',');
+
+// Work out the permissions granted by a set of roles, including inherited ones
+// Permissions with conditions or fields are kept apart, for the policy evaluator (utils/policy.js)
+const compilePermissions = async (roles = []) => {
+  const permissionIds = resolvePermissionIds(roles, await loadRoleGraph());
+
+  const permissions = await Permission.find({
+    _id: { $in: [...permissionIds] },
+    isActive: true
+  }).select('resource action conditions fields');
+
+  const unconditional = permissions.filter(permission => !permission.isConditional);
+  const conditional = permissions.filter(permission => permission.isConditional);
+
+  return {
+    permissions: [...new Set(unconditional.map(permission => `${permission.resource}:${permission.action}`))],
+    conditionalGrants: conditional.map(permission => ({
+      resource: permission.resource,
+      action: permission.action,
+      conditions: [...permission.conditions],
+      fields: [...permission.fields]
+    }))
+  };
+};
+
+// Get a user's compiled permissions: { permissions, conditionalGrants }
+// `user` needs its roles (populated or ids), as set on req.user by protect
+const getCompiledPermissions = async (user) => {
+  if (!isCacheEnabled()) {
+    return compilePermissions(user.roles);
+  }
+
+  const generation = await getGeneration();
+  if (generation === null) {
+    return compilePermissions(user.roles);
+  }
+
+  const userId = String(user._id);
+  const roleKey = getRoleKey(user.roles);
+  const isFresh = (entry) => Boolean(entry) &&
+    entry.generation === generation &&
+    entry.roleKey === roleKey &&
+    entry.expiresAt > Date.now();
+
+  let entry = getLocal(userId);
+
+  if (!isFresh(entry) && sharedStore) {
+    try {
+      const stored = await sharedStore.get(userKey(userId));
+      entry = stored ? JSON.parse(stored) : null;
+      if (isFresh(entry)) setLocal(userId, entry);
+    } catch (error) {
+      console.error('Permission cache store error:', error);
+      entry = null;
+    }
+  }
+
+  if (!isFresh(entry)) {
+    entry = {
+      generation,
+      roleKey,
+      ...await compilePermissions(user.roles),
+      expiresAt: Date.now() + getTtlSeconds() * 1000
+    };
+    setLocal(userId, entry);
+
+    if (sharedStore) {
+      try {
+        await sharedStore.set(userKey(userId), JSON.stringify(entry), getTtlSeconds());
+      } catch (error) {
+        console.error('Permission cache store error:', error);
+      }
+    }
+  }
+
+  return {
+    permissions: entry.permissions,
+    conditionalGrants: entry.conditionalGrants || []
+  };
+};
+
+// Get a user's unconditional permissions as a Set of "resource:action" strings
+const getEffectivePermissions = async (user) => {
+  const { permissions } = await getCompiledPermissions(user);
+  return new Set(permissions);
+};
+
+// Drop one user's entry (their roles changed)
+const invalidateUserPermissions = async (userId) => {
+  localCache.delete(String(userId));
+
+  if (sharedStore) {
+    try {
+      await sharedStore.del(userKey(userId));
+    } catch (error) {
+      console.error('Permission cache store error:', error);
+    }
+  }
+};
+
+// Make every entry stale (a role's permissions or a permission's status changed)
+const invalidateAllPermissions = async () => {
+  localGeneration += 1;
+  localCache.clear();
+
+  if (sharedStore) {
+    try {
+      await sharedStore.incr(GENERATION_KEY);
+    } catch (error) {
+      console.error('Permission cache store error:', error);
+    }
+  }
+};
+
+module.exports = {
+  getCompiledPermissions,
+  getEffectivePermissions,
+  invalidateUserPermissions,
+  invalidateAllPermissions,
+  setSharedStore
+};
@@ -0,0 +1,56 @@
+// Permission matching
+// A granted permission "resource:action" allows a required "resource:action" when:
+// - the resources are the same, or the granted resource is "*"
+// - the actions are the same, the granted action is "*", or the granted action is "manage"
+//   (manage implies every action on its resource)
+// So "*:read" reads every resource, "users:*" and "users:manage" allow anything on users,
+// and "*:*" allows everything.
+
+const WILDCARD = '*';
+const MANAGE_ACTION = 'manage';
+
+// Split "resource:action" into its parts
+const parsePermission = (permission) => {
+  const [resource = '', action = ''] = String(permission).toLowerCase().split(':');
+  return { resource, action };
+};
+
+// Does one granted permission string allow resource:action?
+const grantAllows = (granted, resource, action) => {
+  const grant = parsePermission(granted);
+  const resourceMatches = grant.resource === WILDCARD || grant.resource === resource;
+  const actionMatches = grant.action === WILDCARD || grant.action === MANAGE_ACTION || grant.action === action;
+  return resourceMatches && actionMatches;
+};
+
+// Does a Set (or array) of granted permission strings allow resource:action?
+const isAllowed = (grantedPermissions, resource, action) => {
+  const required = parsePermission(`${resource}:${action}`);
+  const granted = grantedPermissions instanceof Set ? grantedPermissions : new Set(grantedPermissions);
+
+  // Exact grants are the common case
+  if (granted.has(`${required.resource}:${required.action}`)) return true;
+
+  for (const permission of granted) {
+    if (grantAllows(permission, required.resource, required.action)) return true;
+  }
+  return false;
+};
+
+// Does any granted permission reach this resource (any action)?
+const allowsAnyOn = (grantedPermissions, resource) => {
+  const required = String(resource).toLowerCase();
+  return [...grantedPermissions].some(permission => {
+    const grant = parsePermission(permission);
+    return grant.resource === WILDCARD || grant.resource === required;
+  });
+};
+
+module.exports = {
+  WILDCARD,
+  MANAGE_ACTION,
+  parsePermission,
+  grantAllows,
+  isAllowed,
+  allowsAnyOn
+};
@@ -0,0 +1,25 @@
+const { parsePhoneNumberFromString } = require('libphonenumber-js');
+
+// Phone numbers are stored in E.164 format (e.g. +923001234567) so the same number always
+// matches, however it was typed. Numbers without a country code are read as local numbers
+// of PHONE_DEFAULT_COUNTRY (ISO 3166-1 alpha-2)
+
+const getDefaultPhoneCountry = () => (process.env.PHONE_DEFAULT_COUNTRY || 'PK').toUpperCase();
+
+// Normalize a phone number to E.164; returns null when it isn't a valid number
+const normalizePhone = (value) => {
+  if (typeof value !== 'string' || !value.trim()) return null;
+
+  const phoneNumber = parsePhoneNumberFromString(value.trim(), getDefaultPhoneCountry());
+  if (!phoneNumber || !phoneNumber.isValid()) return null;
+
+  return phoneNumber.number;
+};
+
+const isValidPhone = (value) => normalizePhone(value) !== null;
+
+module.exports = {
+  getDefaultPhoneCountry,
+  normalizePhone,
+  isValidPhone
+};
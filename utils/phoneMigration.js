@@ -0,0 +1,78 @@
+const User = require('../models/User');
+const { normalizePhone } = require('./phone');
+
+// Phone numbers saved before they were normalized (e.g. "03001234567") fail the E.164
+// validation, so any save of those users would fail and they can't sign in by phone.
+// This rewrites them once at startup; it only touches numbers that aren't E.164 yet, so
+// running it again does nothing. A number that can't be parsed, or that another account
+// already has, is moved to legacyPhone instead of being lost.
+
+const E164_PATTERN = /^\+[1-9]\d{1,14}$/;
+
+// Move a phone number out of the way, keeping it for support to sort out
+const setAsideLegacyPhone = async (user, reason) => {
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { legacyPhone: user.phone }, $unset: { phone: 1 } }
+  );
+  console.warn(`Phone of user ${user._id} moved to legacyPhone (${reason})`);
+};
+
+const normalizeStoredPhones = async () => {
+  let normalized = 0;
+  let setAside = 0;
+
+  const users = await User.find({ phone: { $type: 'string', $not: E164_PATTERN } })
+    .select('phone')
+    .sort({ createdAt: 1 })
+    .lean();
+
+  for (const user of users) {
+    // Empty strings aren't a number, and several of them would break the unique index
+    if (!user.phone.trim()) {
+      await User.updateOne({ _id: user._id }, { $unset: { phone: 1 } });
+      continue;
+    }
+
+    const phone = normalizePhone(user.phone);
+    if (!phone) {
+      await setAsideLegacyPhone(user, 'not a valid number');
+      setAside++;
+    } else if (await User.isPhoneInUse(phone, user._id)) {
+      await setAsideLegacyPhone(user, 'number already used by another account');
+      setAside++;
+    } else {
+      await User.updateOne({ _id: user._id }, { $set: { phone } });
+      normalized++;
+    }
+  }
+
+  // Numbers that were already E.164 can still be shared by several accounts;
+  // the oldest account keeps it
+  const duplicates = await User.aggregate([
+    { $match: { phone: { $type: 'string' } } },
+    { $sort: { createdAt: 1 } },
+    { $group: { _id: '$phone', users: { $push: { _id: '$_id', phone: '$phone' } }, count: { $sum: 1 } } },
+    { $match: { count: { $gt: 1 } } }
+  ]);
+
+  for (const duplicate of duplicates) {
+    for (const user of duplicate.users.slice(1)) {
+      await setAsideLegacyPhone(user, 'number already used by another account');
+      setAside++;
+    }
+  }
+
+  if (normalized || setAside) {
+    console.log(`Phone migration: ${normalized} normalized, ${setAside} moved to legacyPhone`);
+  }
+
+  // The unique phone index can't be built while duplicates exist, so build it now
+  await User.createIndexes();
+
+  return { normalized, setAside };
+};
+
+module.exports = {
+  normalizeStoredPhones
+};
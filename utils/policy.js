@@ -0,0 +1,157 @@
+const Role = require('../models/Role');
+const { isAllowed, grantAllows } = require('./permissionMatch');
+
+// Attribute-based permission conditions
+// A permission can carry conditions, e.g. "target.id == actor.id" or
+// "target.role.level < actor.role.level", and a list of fields it covers (for updates).
+// It then only applies when every condition holds for the request's actor and target;
+// permissions without conditions or fields apply everywhere, as before.
+//
+// A condition is "<path> <operator> <path or JSON value>", with spaces around the operator.
+// Paths start with actor, target or request (see buildPolicyContext). Operators are
+// ==, !=, <, <=, >, >=, in (left value in a right array) and contains (left array holds the
+// right value). A missing attribute fails the condition.
+
+const PATH_PATTERN = /^(actor|target|request)(\.[A-Za-z_]\w*)+$/;
+const CONDITION_PATTERN = /^(\S+)\s+(==|!=|<=|>=|<|>|in|contains)\s+(.+)$/;
+
+// Parse a condition string; throws on anything that isn't a valid condition
+const parseCondition = (condition) => {
+  const match = CONDITION_PATTERN.exec(String(condition).trim());
+  if (!match || !PATH_PATTERN.test(match[1])) {
+    throw new Error(`Invalid condition: ${condition}`);
+  }
+
+  const [, left, operator, rawRight] = match;
+  if (PATH_PATTERN.test(rawRight)) {
+    return { left, operator, right: { path: rawRight } };
+  }
+
+  try {
+    return { left, operator, right: { value: JSON.parse(rawRight) } };
+  } catch (error) {
+    throw new Error(`Invalid condition: ${condition}`);
+  }
+};
+
+const isValidCondition = (condition) => {
+  try {
+    parseCondition(condition);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Only own properties are followed, so paths can't reach into prototypes (e.g. target.constructor)
+const resolvePath = (context, path) => path
+  .split('.')
+  .reduce((value, key) => (
+    value !== undefined && value !== null && Object.prototype.hasOwnProperty.call(value, key)
+      ? value[key]
+      : undefined
+  ), context);
+
+// Ids and strings compare by value
+const isEqual = (a, b) => a === b || (a !== null && b !== null && String(a) === String(b));
+
+const compare = (operator, left, right) => {
+  if (left === undefined || right === undefined) return false;
+
+  switch (operator) {
+    case '==': return isEqual(left, right);
+    case '!=': return !isEqual(left, right);
+    case '<': return typeof left === 'number' && typeof right === 'number' && left < right;
+    case '<=': return typeof left === 'number' && typeof right === 'number' && left <= right;
+    case '>': return typeof left === 'number' && typeof right === 'number' && left > right;
+    case '>=': return typeof left === 'number' && typeof right === 'number' && left >= right;
+    case 'in': return Array.isArray(right) && right.some(value => isEqual(left, value));
+    case 'contains': return Array.isArray(left) && left.some(value => isEqual(value, right));
+    default: return false;
+  }
+};
+
+// Evaluate one condition against a policy context; invalid conditions never pass
+const evaluateCondition = (condition, context) => {
+  try {
+    const { left, operator, right } = parseCondition(condition);
+    const rightValue = right.path ? resolvePath(context, right.path) : right.value;
+    return compare(operator, resolvePath(context, left), rightValue);
+  } catch (error) {
+    console.error('Policy condition error:', error.message);
+    return false;
+  }
+};
+
+// Attributes of a user or resource document that conditions can refer to:
+// id, owner (the document's user), roles (active role names), role.level (highest active
+// role level, only when roles are populated) and isActive
+const describeSubject = (subject) => {
+  if (!subject) return undefined;
+
+  const attributes = { id: String(subject._id || subject.id) };
+
+  if (subject.user) {
+    attributes.owner = String(subject.user._id || subject.user);
+  }
+
+  if (Array.isArray(subject.roles) && subject.roles.every(role => role && role.name !== undefined)) {
+    attributes.roles = subject.roles.filter(role => role.isActive).map(role => role.name);
+    attributes.role = { level: Role.getHighestLevel(subject.roles) };
+  }
+
+  if (typeof subject.isActive === 'boolean') {
+    attributes.isActive = subject.isActive;
+  }
+
+  return attributes;
+};
+
+// Everything conditions can see for a request
+const buildPolicyContext = (req, target) => ({
+  actor: describeSubject(req.user),
+  target: describeSubject(target),
+  request: {
+    method: req.method,
+    ip: req.ip,
+    apiKey: Boolean(req.apiKey),
+    impersonated: Boolean(req.impersonator)
+  }
+});
+
+// Decide whether resource:action is allowed
+// `permissions` are the unconditional grants, `conditionalGrants` the ones with conditions
+// or fields ({ resource, action, conditions, fields }). Returns { allowed, fields }, where
+// fields is null when every field may be changed
+const evaluatePolicy = ({ permissions, conditionalGrants = [], resource, action, context }) => {
+  if (isAllowed(permissions, resource, action)) {
+    return { allowed: true, fields: null };
+  }
+
+  const matchingGrants = conditionalGrants.filter(grant =>
+    grantAllows(`${grant.resource}:${grant.action}`, resource, action) &&
+    (grant.conditions || []).every(condition => evaluateCondition(condition, context))
+  );
+
+  if (matchingGrants.length === 0) {
+    return { allowed: false, fields: [] };
+  }
+
+  if (matchingGrants.some(grant => !grant.fields || grant.fields.length === 0)) {
+    return { allowed: true, fields: null };
+  }
+
+  return {
+    allowed: true,
+    fields: [...new Set(matchingGrants.flatMap(grant => grant.fields))]
+  };
+};
+
+module.exports = {
+  parseCondition,
+  isValidCondition,
+  evaluateCondition,
+  describeSubject,
+  buildPolicyContext,
+  evaluatePolicy
+};
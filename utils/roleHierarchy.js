@@ -0,0 +1,136 @@
+const Role = require('../models/Role');
+const Permission = require('../models/Permission');
+const { isAllowed } = require('./permissionMatch');
+
+// Role inheritance
+// A role inherits every permission of its parent roles (and their parents, and so on).
+// An inactive role grants nothing, including what it would inherit through its parents.
+// Role graphs are small, so they're loaded whole and walked in memory.
+
+const toId = (value) => String(value && value._id ? value._id : value);
+
+// Load every role as a map of id -> role
+const loadRoleGraph = async () => {
+  const roles = await Role.find({}).select('name displayName level isActive parents permissions');
+  return new Map(roles.map(role => [role._id.toString(), role]));
+};
+
+// Would giving `roleId` these parents create a cycle? (a role can't inherit from itself)
+const createsCycle = (roleId, parentIds, graph) => {
+  const target = toId(roleId);
+  const stack = parentIds.map(toId);
+  const visited = new Set();
+
+  while (stack.length > 0) {
+    const id = stack.pop();
+    if (id === target) return true;
+    if (visited.has(id)) continue;
+    visited.add(id);
+
+    const role = graph.get(id);
+    if (role) stack.push(...role.parents.map(toId));
+  }
+
+  return false;
+};
+
+// The given roles plus every role they inherit from, active roles only
+const expandInheritedRoles = (roleIds, graph) => {
+  const expanded = new Map();
+  const stack = roleIds.map(toId);
+
+  while (stack.length > 0) {
+    const id = stack.pop();
+    const role = graph.get(id);
+    if (!role || !role.isActive || expanded.has(id)) continue;
+
+    expanded.set(id, role);
+    stack.push(...role.parents.map(toId));
+  }
+
+  return [...expanded.values()];
+};
+
+// Ids of every permission granted (directly or through inheritance) by the given roles
+const resolvePermissionIds = (roleIds, graph) => {
+  const permissionIds = new Set();
+  for (const role of expandInheritedRoles(roleIds, graph)) {
+    role.permissions.forEach(permission => permissionIds.add(toId(permission)));
+  }
+  return permissionIds;
+};
+
+// Names of the permissions among `permissionIds` that an actor can't hand out. An actor can only
+// grant what they hold themselves: the same permission through their own roles, or an
+// unconditional grant covering it (e.g. "users:manage" covers "users:delete").
+// `actor` is { roleIds, permissions } where permissions are the actor's unconditional grants.
+const findUngrantablePermissions = async (permissionIds, actor, graph) => {
+  const ids = [...permissionIds].map(toId);
+  if (ids.length === 0) return [];
+
+  const heldIds = resolvePermissionIds(actor.roleIds, graph);
+  const permissions = await Permission.find({ _id: { $in: ids.filter(id => !heldIds.has(id)) } });
+
+  return permissions
+    .filter(permission => !isAllowed(actor.permissions, permission.resource, permission.action))
+    .map(permission => permission.name)
+    .sort();
+};
+
+// Resolved view of a role for GET /api/roles/:id/tree: the role with its parents nested
+// recursively, plus the flattened permission list and the roles each permission comes from
+const buildRoleTree = async (roleId, graph) => {
+  const allPermissionIds = [...graph.values()].flatMap(role => role.permissions.map(toId));
+  const permissions = await Permission.find({ _id: { $in: allPermissionIds } });
+  const permissionsById = new Map(permissions.map(permission => [permission._id.toString(), permission]));
+
+  const buildNode = (id, path) => {
+    const role = graph.get(id);
+    if (!role) return null;
+
+    return {
+      id: role._id,
+      name: role.name,
+      displayName: role.displayName,
+      level: role.level,
+      isActive: role.isActive,
+      permissions: role.permissions
+        .map(permission => permissionsById.get(toId(permission)))
+        .filter(Boolean)
+        .map(permission => permission.name),
+      // Guard against cycles that were stored before cycle detection existed
+      parents: role.parents
+        .map(toId)
+        .filter(parentId => !path.includes(parentId))
+        .map(parentId => buildNode(parentId, [...path, parentId]))
+        .filter(Boolean)
+    };
+  };
+
+  const grantedBy = new Map();
+  for (const role of expandInheritedRoles([roleId], graph)) {
+    for (const permissionId of role.permissions.map(toId)) {
+      const permission = permissionsById.get(permissionId);
+      if (!permission || !permission.isActive) continue;
+
+      if (!grantedBy.has(permission.name)) grantedBy.set(permission.name, []);
+      grantedBy.get(permission.name).push(role.name);
+    }
+  }
+
+  return {
+    tree: buildNode(toId(roleId), [toId(roleId)]),
+    effectivePermissions: [...grantedBy.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([name, roles]) => ({ name, grantedBy: roles }))
+  };
+};
+
+module.exports = {
+  loadRoleGraph,
+  createsCycle,
+  expandInheritedRoles,
+  resolvePermissionIds,
+  findUngrantablePermissions,
+  buildRoleTree
+};
@@ -9,6 +9,11 @@ const defaultPermissions = [
   { name: 'users:read', displayName: 'Read Users', resource: 'users', action: 'read', category: 'user-management', isSystemPermission: true },
   { name: 'users:update', displayName: 'Update Users', resource: 'users', action: 'update', category: 'user-management', isSystemPermission: true },
   { name: 'users:delete', displayName: 'Delete Users', resource: 'users', action: 'delete', category: 'user-management', isSystemPermission: true },
+  { name: 'users:impersonate', displayName: 'Impersonate Users', resource: 'users', action: 'impersonate', category: 'user-management', isSystemPermission: true },
+
+  // Own account only (conditions are evaluated by utils/policy.js)
+  { name: 'users:read:self', displayName: 'Read Own Account', resource: 'users', action: 'read', category: 'user-management', conditions: ['target.id == actor.id'], isSystemPermission: true },
+  { name: 'users:update:self', displayName: 'Update Own Account', resource: 'users', action: 'update', category: 'user-management', conditions: ['target.id == actor.id'], fields: ['firstName', 'lastName', 'phone', 'password'], isSystemPermission: true },
   
   // Role permissions
   { name: 'roles:create', displayName: 'Create Roles', resource: 'roles', action: 'create', category: 'role-management', isSystemPermission: true },
@@ -32,25 +37,25 @@ const defaultPermissions = [
   // Settings permissions
   { name: 'settings:read', displayName: 'Read Settings', resource: 'settings', action: 'read', category: 'settings', isSystemPermission: true },
   { name: 'settings:update', displayName: 'Update Settings', resource: 'settings', action: 'update', category: 'settings', isSystemPermission: true },
+
+  // Every action on every resource (see utils/permissionMatch.js)
+  { name: '*:*', displayName: 'All Permissions', resource: '*', action: '*', category: 'system', isSystemPermission: true },
 ];
 
-// Default roles
+// Default roles, lowest level first so parents exist before the roles that inherit from them
+// Each role lists only what it adds on top of its parents. revokedPermissions are taken away
+// from existing roles: they used to be granted but were never usable, because the routes also
+// required the super-admin role before permissions decided access on their own
 const defaultRoles = [
   {
-    name: 'super-admin',
-    displayName: 'Super Administrator',
-    description: 'Full system access with all permissions',
-    level: 10,
-    isSystemRole: true,
-    isActive: true
-  },
-  {
-    name: 'admin',
-    displayName: 'Administrator',
-    description: 'Administrative access with most permissions',
-    level: 8,
+    name: 'user',
+    displayName: 'User',
+    description: 'Standard user with basic permissions',
+    level: 1,
     isSystemRole: true,
-    isActive: true
+    isActive: true,
+    parents: [],
+    permissions: ['profile:read', 'profile:update', 'dashboard:read', 'users:read:self', 'users:update:self']
   },
   {
     name: 'moderator',
@@ -58,15 +63,35 @@ const defaultRoles = [
     description: 'Moderator access with limited administrative permissions',
     level: 6,
     isSystemRole: true,
-    isActive: true
+    isActive: true,
+    parents: ['user'],
+    permissions: ['users:read']
   },
   {
-    name: 'user',
-    displayName: 'User',
-    description: 'Standard user with basic permissions',
-    level: 1,
+    name: 'admin',
+    displayName: 'Administrator',
+    description: 'Administrative access with most permissions',
+    level: 8,
+    isSystemRole: true,
+    isActive: true,
+    parents: ['moderator'],
+    permissions: [
+      'users:create', 'users:update', 'users:delete', 'users:impersonate',
+      'roles:read',
+      'permissions:read',
+      'settings:read', 'settings:update'
+    ],
+    revokedPermissions: ['roles:create', 'roles:update', 'roles:delete']
+  },
+  {
+    name: 'super-admin',
+    displayName: 'Super Administrator',
+    description: 'Full system access with all permissions',
+    level: 10,
     isSystemRole: true,
-    isActive: true
+    isActive: true,
+    parents: [],
+    permissions: ['*:*']
   }
 ];
 
@@ -77,11 +102,13 @@ const seedDatabase = async () => {
     // Create permissions
     console.log('Creating permissions...');
     const createdPermissions = [];
+    const newPermissionNames = new Set();
     for (const permissionData of defaultPermissions) {
       const existingPermission = await Permission.findOne({ name: permissionData.name });
       if (!existingPermission) {
         const permission = await Permission.create(permissionData);
         createdPermissions.push(permission);
+        newPermissionNames.add(permission.name);
         console.log(`Created permission: ${permission.name}`);
       } else {
         createdPermissions.push(existingPermission);
@@ -92,46 +119,47 @@ const seedDatabase = async () => {
     // Create roles
     console.log('Creating roles...');
     const createdRoles = [];
-    for (const roleData of defaultRoles) {
+    for (const { parents, permissions, revokedPermissions = [], ...roleData } of defaultRoles) {
       const existingRole = await Role.findOne({ name: roleData.name });
       if (!existingRole) {
-        // Assign permissions based on role level
-        let rolePermissions = [];
-        
-        if (roleData.name === 'super-admin') {
-          // Super admin gets all permissions
-          rolePermissions = createdPermissions.map(p => p._id);
-        } else if (roleData.name === 'admin') {
-          // Admin gets most permissions except super-admin specific ones
-          rolePermissions = createdPermissions
-            .filter(p => !p.name.includes('permissions:') || p.action === 'read')
-            .map(p => p._id);
-        } else if (roleData.name === 'moderator') {
-          // Moderator gets limited permissions
-          rolePermissions = createdPermissions
-            .filter(p => 
-              p.category === 'profile' || 
-              p.category === 'dashboard' ||
-              (p.category === 'user-management' && p.action === 'read')
-            )
-            .map(p => p._id);
-        } else if (roleData.name === 'user') {
-          // User gets basic permissions
-          rolePermissions = createdPermissions
-            .filter(p => 
-              p.category === 'profile' || 
-              p.category === 'dashboard'
-            )
-            .map(p => p._id);
-        }
+        const rolePermissions = createdPermissions
+          .filter(p => permissions.includes(p.name))
+          .map(p => p._id);
+        const parentRoles = createdRoles
+          .filter(r => parents.includes(r.name))
+          .map(r => r._id);
 
         const role = await Role.create({
           ...roleData,
-          permissions: rolePermissions
+          permissions: rolePermissions,
+          parents: parentRoles
         });
         createdRoles.push(role);
-        console.log(`Created role: ${role.name} with ${rolePermissions.length} permissions`);
+        console.log(`Created role: ${role.name} with ${rolePermissions.length} permissions` +
+          (parents.length > 0 ? ` (inherits from ${parents.join(', ')})` : ''));
       } else {
+        // Default permissions added since the role was created are attached to it
+        const addedPermissions = createdPermissions
+          .filter(p => permissions.includes(p.name) && newPermissionNames.has(p.name))
+          .map(p => p._id);
+        if (addedPermissions.length > 0) {
+          await Role.updateOne({ _id: existingRole._id }, { $addToSet: { permissions: { $each: addedPermissions } } });
+          console.log(`Added ${addedPermissions.length} new permissions to role: ${existingRole.name}`);
+        }
+
+        const removedPermissions = createdPermissions
+          .filter(p => revokedPermissions.includes(p.name))
+          .map(p => p._id);
+        if (removedPermissions.length > 0) {
+          const { modifiedCount } = await Role.updateOne(
+            { _id: existingRole._id },
+            { $pull: { permissions: { $in: removedPermissions } } }
+          );
+          if (modifiedCount > 0) {
+            console.log(`Removed ${revokedPermissions.join(', ')} from role: ${existingRole.name}`);
+          }
+        }
+
         createdRoles.push(existingRole);
         console.log(`Role already exists: ${existingRole.name}`);
       }
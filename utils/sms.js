@@ -0,0 +1,103 @@
+const fs = require('fs');
+const path = require('path');
+const { postForm } = require('./httpClient');
+
+// In-memory outbox used by the memory transport (tests)
+const outbox = [];
+
+// Twilio transport (production)
+const createTwilioTransport = () => {
+  const accountSid = process.env.TWILIO_ACCOUNT_SID;
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+  const url = `https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`;
+
+  return {
+    name: 'twilio',
+    send: (message) => postForm(url, {
+      From: message.from,
+      To: message.to,
+      Body: message.body
+    }, {
+      headers: {
+        Authorization: `Basic ${Buffer.from(`${accountSid}:${authToken}`).toString('base64')}`
+      }
+    })
+  };
+};
+
+// File transport (development) - writes every message to the outbox directory
+const createFileTransport = () => {
+  const outboxDir = path.resolve(process.env.SMS_OUTBOX_DIR || path.join('outbox', 'sms'));
+
+  return {
+    name: 'file',
+    send: async (message) => {
+      await fs.promises.mkdir(outboxDir, { recursive: true });
+      const fileName = `${Date.now()}-${message.to.replace(/[^0-9+]/g, '')}.json`;
+      const filePath = path.join(outboxDir, fileName);
+      await fs.promises.writeFile(filePath, JSON.stringify(message, null, 2));
+      console.log(`SMS written to outbox: ${filePath}`);
+      return { sid: fileName };
+    }
+  };
+};
+
+// Memory transport (tests) - keeps messages in the exported outbox array
+const createMemoryTransport = () => {
+  return {
+    name: 'memory',
+    send: async (message) => {
+      outbox.push({ ...message, sentAt: new Date() });
+      return { sid: `memory-${outbox.length}` };
+    }
+  };
+};
+
+const transportFactories = {
+  twilio: createTwilioTransport,
+  file: createFileTransport,
+  memory: createMemoryTransport
+};
+
+const getDefaultTransportName = () => {
+  if (process.env.SMS_TRANSPORT) return process.env.SMS_TRANSPORT;
+  if (process.env.NODE_ENV === 'production') return 'twilio';
+  if (process.env.NODE_ENV === 'test') return 'memory';
+  return 'file';
+};
+
+let transport = null;
+
+const getTransport = () => {
+  if (!transport) {
+    const name = getDefaultTransportName();
+    const factory = transportFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown SMS transport: ${name}`);
+    }
+    transport = factory();
+  }
+  return transport;
+};
+
+// Replace the active transport (any object with an async send(message) method)
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+// Send a text message through the active transport
+const sendSms = async ({ to, body }) => {
+  const message = {
+    from: process.env.SMS_FROM,
+    to,
+    body
+  };
+
+  return getTransport().send(message);
+};
+
+module.exports = {
+  sendSms,
+  setTransport,
+  outbox
+};
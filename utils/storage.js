@@ -0,0 +1,99 @@
+const fs = require('fs');
+const path = require('path');
+
+// File storage adapters
+// Every adapter implements:
+//   put(key, buffer, contentType) -> stores the object
+//   remove(key)                   -> deletes the object (missing objects are ignored)
+//   getUrl(key)                   -> public URL for a key
+// Keys are slash-separated paths such as "avatars/<userId>/<version>/256.jpg". Only keys are
+// saved in the database; URLs are built from them when read, so STORAGE_PUBLIC_URL can change
+
+// In-memory objects used by the memory adapter (tests)
+const memoryObjects = new Map();
+
+const getPublicBaseUrl = () => (
+  process.env.STORAGE_PUBLIC_URL || `http://localhost:${process.env.PORT || 5000}/uploads`
+).replace(/\/+$/, '');
+
+// Local disk adapter - files are served by server.js under /uploads
+const createLocalStorage = () => {
+  const rootDir = getLocalStorageDir();
+
+  const resolveKey = (key) => {
+    const filePath = path.resolve(rootDir, key);
+    // Never write outside the storage directory
+    if (!filePath.startsWith(rootDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+    getUrl: (key) => `${getPublicBaseUrl()}/${key}`,
+    put: async (key, buffer) => {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+    },
+    remove: async (key) => {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    }
+  };
+};
+
+// Memory adapter (tests) - keeps objects in the exported map
+const createMemoryStorage = () => {
+  return {
+    name: 'memory',
+    getUrl: (key) => `${getPublicBaseUrl()}/${key}`,
+    put: async (key, buffer, contentType) => {
+      memoryObjects.set(key, { buffer, contentType });
+    },
+    remove: async (key) => {
+      memoryObjects.delete(key);
+    }
+  };
+};
+
+const storageFactories = {
+  local: createLocalStorage,
+  memory: createMemoryStorage
+};
+
+const getLocalStorageDir = () => path.resolve(process.env.STORAGE_LOCAL_DIR || 'uploads');
+
+const getStorageDriverName = () => {
+  if (process.env.STORAGE_DRIVER) return process.env.STORAGE_DRIVER;
+  if (process.env.NODE_ENV === 'test') return 'memory';
+  return 'local';
+};
+
+let storage = null;
+
+const getStorage = () => {
+  if (!storage) {
+    const name = getStorageDriverName();
+    const factory = storageFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown storage driver: ${name}`);
+    }
+    storage = factory();
+  }
+  return storage;
+};
+
+// Other backends (e.g. an S3 bucket) are plugged in here
+// Replace the active storage adapter (any object implementing put/remove/getUrl)
+const setStorage = (customStorage) => {
+  storage = customStorage;
+};
+
+module.exports = {
+  getStorage,
+  setStorage,
+  getStorageDriverName,
+  getLocalStorageDir,
+  memoryObjects
+};
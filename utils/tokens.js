@@ -0,0 +1,16 @@
+const crypto = require('crypto');
+
+// Generate a random URL-safe token to send to the user
+const generateRandomToken = (bytes = 32) => {
+  return crypto.randomBytes(bytes).toString('hex');
+};
+
+// Hash a token before storing it (only the hash is kept in the database)
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+module.exports = {
+  generateRandomToken,
+  hashToken
+};